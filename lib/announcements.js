@@ -0,0 +1,66 @@
+// lib/announcements.js - KTU announcements listing
+// - The portal lists newest first and links to older pages; pages are walked only as far as a request needs
+// - Filtering by category / date range and full-text search run over the normalised announcements
+
+import { makeRequest } from './http.js';
+import { parseAnnouncements, parseAnnouncementPager } from './parsers/announcements.js';
+
+export const KTU_ANNOUNCEMENTS_URL = 'https://ktu.edu.in/eu/core/announcements.htm';
+
+// One listing page ({ announcements, nextPage }), or null when KTU answered with an empty page
+export async function fetchAnnouncementsPage(url = KTU_ANNOUNCEMENTS_URL) {
+  const response = await makeRequest(url, { method: 'GET' });
+  if (!response || !response.data) return null;
+  return {
+    announcements: parseAnnouncements(response.data, { baseUrl: url }),
+    nextPage: parseAnnouncementPager(response.data, { baseUrl: url }),
+  };
+}
+
+// Announcements on the first page, or null when KTU answered with an empty page
+export async function fetchAnnouncements() {
+  const page = await fetchAnnouncementsPage();
+  return page ? page.announcements : null;
+}
+
+// Walk listing pages from the newest until `enough(items)` holds, there is no older page or `maxPages` are read.
+// `loadPage(number, url)` returns { announcements, nextPage } or null. Duplicates (items shifting to the
+// next page between reads) are dropped. Returns null when the first page could not be loaded.
+export async function collectAnnouncements(loadPage, { enough = () => false, maxPages = 5 } = {}) {
+  const items = [];
+  const seen = new Set();
+  let url = KTU_ANNOUNCEMENTS_URL;
+  let pages = 0;
+
+  while (url && pages < maxPages) {
+    const page = await loadPage(pages + 1, url);
+    if (!page) {
+      if (!pages) return null;
+      break;
+    }
+    pages++;
+    for (const item of page.announcements) {
+      if (!seen.has(item.id)) {
+        seen.add(item.id);
+        items.push(item);
+      }
+    }
+    url = page.nextPage;
+    if (enough(items)) break;
+  }
+  return { items, pages, exhausted: !url };
+}
+
+// Every whitespace-separated term must appear in the title or description (case-insensitive)
+export function matchesQuery(announcement, q) {
+  const haystack = `${announcement.title} ${announcement.description}`.toLowerCase();
+  return String(q).toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+}
+
+// categories: list of category ids; from / to: inclusive ISO dates; q: search terms
+export function filterAnnouncements(items, { categories = [], from, to, q } = {}) {
+  return items.filter(a => (!categories.length || categories.includes(a.category))
+    && (!from || (a.date && a.date >= from))
+    && (!to || (a.date && a.date <= to))
+    && (!q || matchesQuery(a, q)));
+}
@@ -0,0 +1,161 @@
+// lib/apiKeys.js - API keys with per-key limits and a daily usage report
+// - Keys look like `ktu_<random>`; only a SHA-256 hash is stored (DATA_DIR/api-keys.json), the key is shown once
+// - Each key may override the request budgets, set a daily quota and restrict the browser origins it is used from
+// - Usage is counted in memory per UTC day and flushed to disk every few seconds; `usageDays` days are kept
+// - A request counts against the daily quota when it is admitted, so concurrent requests cannot overshoot it
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const hashKey = key => crypto.createHash('sha256').update(String(key)).digest('hex');
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Seconds until the daily quota resets (next UTC midnight)
+export function secondsUntilTomorrow(now = new Date()) {
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+// Key record without its hash
+const publicKey = ({ hash, ...rest }) => rest;
+
+export class ApiKeyStore {
+  constructor({ file = path.join(process.env.DATA_DIR || './data', 'api-keys.json'), usageDays = 30, flushDelay = 5000 } = {}) {
+    this.file = file;
+    this.usageDays = usageDays;
+    this.flushDelay = flushDelay;
+    this.state = null; // { keys: { id: { id, name, hash, prefix, limits, origins, createdAt, revokedAt } }, usage: { id: { day: {...} } } }
+    this.flushTimer = null;
+  }
+
+  async load() {
+    if (this.state) return this.state;
+    try {
+      this.state = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('Could not read API key store:', err?.message || err);
+      this.state = { keys: {}, usage: {} };
+    }
+    return this.state;
+  }
+
+  async persist() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(this.state), { mode: 0o600 });
+    await fs.rename(tmp, this.file);
+  }
+
+  // limits: { rateLimit, loginRateLimit, dailyQuota } — omitted ones use the server defaults
+  async issue({ name, limits = {}, origins = [] }) {
+    const state = await this.load();
+    const key = `ktu_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      hash: hashKey(key),
+      prefix: key.slice(0, 8),
+      limits,
+      origins,
+      createdAt: new Date().toISOString(),
+    };
+    state.keys[record.id] = record;
+    await this.persist();
+    return { ...publicKey(record), key };
+  }
+
+  async list() {
+    return Object.values((await this.load()).keys).map(publicKey);
+  }
+
+  async get(id) {
+    const record = (await this.load()).keys[id];
+    return record ? publicKey(record) : null;
+  }
+
+  async revoke(id) {
+    const record = (await this.load()).keys[id];
+    if (!record || record.revokedAt) return false;
+    record.revokedAt = new Date().toISOString();
+    await this.persist();
+    return true;
+  }
+
+  // Active key record for a presented key, or null
+  async validate(key) {
+    if (!key) return null;
+    const hash = hashKey(key);
+    const record = Object.values((await this.load()).keys).find(k => k.hash === hash);
+    return record && !record.revokedAt ? publicKey(record) : null;
+  }
+
+  day(state, id) {
+    const days = (state.usage[id] ||= {});
+    return (days[today()] ||= { requests: 0, expensive: 0, rejected: 0, routes: {} });
+  }
+
+  // Count a request against today's usage before it runs; false (and counted as rejected) once `quota` is spent.
+  // The check and the count happen without an await in between, so concurrent requests cannot both take the last one.
+  async admit(id, quota) {
+    const day = this.day(await this.load(), id);
+    this.scheduleFlush();
+    if (quota && day.requests >= quota) {
+      day.rejected++;
+      return false;
+    }
+    day.requests++;
+    return true;
+  }
+
+  // An admitted request finished; `outcome` 'rejected' gives its quota back, `expensive` marks login-backed routes
+  async record(id, { route, expensive = false, outcome = 'ok' }) {
+    const day = this.day(await this.load(), id);
+    if (outcome === 'rejected') {
+      day.requests = Math.max(day.requests - 1, 0);
+      day.rejected++;
+    } else {
+      if (expensive) day.expensive++;
+      if (route) day.routes[route] = (day.routes[route] || 0) + 1;
+    }
+    this.scheduleFlush();
+  }
+
+  async usedToday(id) {
+    return (await this.load()).usage[id]?.[today()]?.requests || 0;
+  }
+
+  // Usage report: today's totals plus one entry per recorded day, newest first
+  async usage(id) {
+    const state = await this.load();
+    const record = state.keys[id];
+    if (!record) return null;
+    const days = Object.entries(state.usage[id] || {})
+      .sort(([a], [b]) => b.localeCompare(a))
+      .map(([date, counts]) => ({ date, ...counts }));
+    const { date, routes, ...totals } = days[0]?.date === today() ? days[0] : { requests: 0, expensive: 0, rejected: 0 };
+    return {
+      ...publicKey(record),
+      today: { ...totals, quota: record.limits.dailyQuota ?? null },
+      days,
+    };
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush().catch(err => console.error('Could not save API key usage:', err?.message || err)), this.flushDelay);
+    this.flushTimer.unref?.();
+  }
+
+  // Drop usage older than `usageDays` and write the store
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.state) return;
+    const cutoff = new Date(Date.now() - this.usageDays * 86400000).toISOString().slice(0, 10);
+    for (const days of Object.values(this.state.usage)) {
+      for (const date of Object.keys(days)) if (date < cutoff) delete days[date];
+    }
+    await this.persist();
+  }
+}
@@ -0,0 +1,74 @@
+// lib/attendance.js - Attendance scraping through an authenticated portal session
+// - The attendance page has a semester selector; every listed semester is fetched and parsed
+// - Each subject reports how many classes can still be missed (or must still be attended)
+//   to stay at or above the threshold
+
+import { parseAttendanceSemesters, parseAttendanceTable } from './parsers/attendance.js';
+import { findDrift } from './scrapeHealth.js';
+
+export const KTU_ATTENDANCE_URL = 'https://app.ktu.edu.in/eu/stu/attendanceDetailsView.htm';
+
+export const DEFAULT_ATTENDANCE_THRESHOLD = parseFloat(process.env.ATTENDANCE_THRESHOLD) || 75;
+
+const toPercent = (attended, total) => (total ? ((attended / total) * 100).toFixed(2) + '%' : '0%');
+
+// Classes that can be skipped while staying >= threshold, or that must be attended in a row to get back there.
+// threshold is a percentage (0 < threshold < 100).
+export function attendanceMargin(attended, total, threshold = DEFAULT_ATTENDANCE_THRESHOLD) {
+  const t = threshold / 100;
+  const eps = 1e-9;
+  if (!total || attended >= t * total - eps) {
+    return { canMiss: Math.max(0, Math.floor(attended / t - total + eps)), mustAttend: 0 };
+  }
+  return { canMiss: 0, mustAttend: Math.ceil((t * total - attended) / (1 - t) - eps) };
+}
+
+const withMargins = (subjects, threshold) => subjects.map(sub => ({ ...sub, ...attendanceMargin(sub.attended, sub.total, threshold) }));
+
+function summarise(subjects, threshold) {
+  const attended = subjects.reduce((s, sub) => s + sub.attended, 0);
+  const total = subjects.reduce((s, sub) => s + sub.total, 0);
+  return { attended, total, overall: toPercent(attended, total), ...attendanceMargin(attended, total, threshold) };
+}
+
+// Fetch every semester's attendance for a student through the session manager.
+// Resolves to null when the portal login fails.
+export async function fetchAttendance(sessions, registerNo, password, threshold = DEFAULT_ATTENDANCE_THRESHOLD) {
+  const landing = await sessions.fetch(registerNo, password, KTU_ATTENDANCE_URL);
+  if (!landing) return null;
+
+  const options = parseAttendanceSemesters(landing.data);
+  const semesters = [];
+
+  if (!options.length) {
+    // No selector: the page only shows the current semester
+    const subjects = withMargins(parseAttendanceTable(landing.data), threshold);
+    if (subjects.length) semesters.push({ semester: 'Current', ...summarise(subjects, threshold), subjects });
+  }
+
+  for (const option of options) {
+    let html = landing.data;
+    if (!option.selected) {
+      const response = await sessions.fetch(registerNo, password, `${KTU_ATTENDANCE_URL}?semesterId=${encodeURIComponent(option.id)}`);
+      if (!response) return null;
+      html = response.data;
+    }
+    const subjects = withMargins(parseAttendanceTable(html), threshold);
+    if (subjects.length) semesters.push({ semester: option.name, ...summarise(subjects, threshold), subjects });
+  }
+
+  const all = semesters.flatMap(s => s.subjects);
+  // The semester preselected on the portal is the current one; otherwise take the last listed
+  const selectedName = options.find(o => o.selected)?.name;
+  const latest = semesters.find(s => s.semester === selectedName) || semesters[semesters.length - 1];
+  const drift = findDrift({ attendance: all });
+  return {
+    overall: toPercent(all.reduce((s, sub) => s + sub.attended, 0), all.reduce((s, sub) => s + sub.total, 0)),
+    threshold,
+    current: latest ? { semester: latest.semester, overall: latest.overall, canMiss: latest.canMiss, mustAttend: latest.mustAttend } : null,
+    subjects: latest ? latest.subjects : [],
+    semesters,
+    lastUpdated: new Date().toISOString(),
+    ...(drift.length ? { drift } : {}),
+  };
+}
@@ -0,0 +1,223 @@
+// lib/auth.js - Access / refresh tokens so clients send the KTU password only once
+// - Access tokens are short-lived HS256 JWTs ({ sub: REGNO, sid, jti, iat, exp })
+// - Refresh tokens are opaque `<sid>.<secret>` strings; only a hash is stored and they rotate on use.
+//   Presenting an already-rotated refresh token revokes the whole session (token theft)
+// - Link tokens are signed claims for one `purpose` (e.g. a calendar feed url); they never act as access tokens
+// - The portal password is kept sealed in the vault so the server can log in again when the
+//   portal session expires; it is removed once the student's last auth session ends or expires
+// - Expired sessions are pruned on every vault write and by a periodic sweep
+
+import crypto from 'crypto';
+import { Vault } from './vault.js';
+import { sendError } from './errors.js';
+import { isRegisterNo } from './registerNo.js';
+
+const b64url = input => Buffer.from(input).toString('base64url');
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+// Constant-time check of a refresh secret against its stored hash
+const matchesHash = (secret, stored) => {
+  const given = Buffer.from(hash(secret));
+  const expected = Buffer.from(String(stored || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+export function signJwt(claims, secret) {
+  const header = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = b64url(JSON.stringify(claims));
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// Claims of a valid, unexpired token; null otherwise
+export function verifyJwt(token, secret) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url')).alg !== 'HS256') return null;
+    const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+    return claims.exp && claims.exp > Math.floor(Date.now() / 1000) ? claims : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Drop expired sessions, then the credentials of students left without a live session.
+// Runs inside vault.update(); returns the register numbers whose credentials were dropped.
+function pruneSessions(state, now = Date.now()) {
+  for (const [sid, session] of Object.entries(state.sessions)) {
+    if (session.expiresAt <= now) delete state.sessions[sid];
+  }
+  const live = new Set(Object.values(state.sessions).map(session => session.registerNo));
+  const dropped = Object.keys(state.credentials).filter(registerNo => !live.has(registerNo));
+  for (const registerNo of dropped) delete state.credentials[registerNo];
+  return dropped;
+}
+
+export class AuthService {
+  constructor({ secret = process.env.AUTH_SECRET, accessTtl = 900, refreshTtl = 7 * 24 * 3600, sweepInterval = 3600, vault } = {}) {
+    if (!secret) {
+      console.warn('⚠️  AUTH_SECRET is not set — using a random secret; tokens and stored credentials will not survive a restart');
+      secret = crypto.randomBytes(32).toString('hex');
+    }
+    this.signingKey = crypto.createHmac('sha256', secret).update('ktu-api:jwt').digest();
+    this.vault = vault || new Vault({ key: crypto.createHmac('sha256', secret).update('ktu-api:vault').digest() });
+    this.accessTtl = accessTtl;
+    this.refreshTtl = refreshTtl;
+
+    if (sweepInterval > 0) {
+      const sweep = setInterval(() => this.sweep().catch(err => console.error('Error sweeping auth sessions:', err?.message || err)), sweepInterval * 1000);
+      sweep.unref?.();
+    }
+  }
+
+  accessToken(registerNo, sid) {
+    const now = Math.floor(Date.now() / 1000);
+    return signJwt({ sub: registerNo, sid, jti: crypto.randomUUID(), iat: now, exp: now + this.accessTtl }, this.signingKey);
+  }
+
+  tokens(registerNo, sid, refreshSecret) {
+    return {
+      tokenType: 'Bearer',
+      accessToken: this.accessToken(registerNo, sid),
+      expiresIn: this.accessTtl,
+      refreshToken: `${sid}.${refreshSecret}`,
+      refreshExpiresIn: this.refreshTtl,
+      registerNo,
+    };
+  }
+
+  // Start an auth session after the portal accepted the credentials
+  async login(registerNo, password) {
+    const key = registerNo.toUpperCase();
+    const sid = crypto.randomUUID();
+    const refreshSecret = crypto.randomBytes(32).toString('base64url');
+    // The session goes in first, so a prune running in between never drops the new credentials
+    await this.vault.update(state => {
+      pruneSessions(state);
+      state.sessions[sid] = { registerNo: key, refreshHash: hash(refreshSecret), createdAt: Date.now(), expiresAt: Date.now() + this.refreshTtl * 1000 };
+    });
+    await this.vault.putCredentials(key, password);
+    return this.tokens(key, sid, refreshSecret);
+  }
+
+  // New token pair for a refresh token, or null when it is unknown, expired or already used
+  async refresh(refreshToken) {
+    const [sid, refreshSecret] = String(refreshToken || '').split('.');
+    if (!sid || !refreshSecret) return null;
+    const next = crypto.randomBytes(32).toString('base64url');
+
+    const registerNo = await this.vault.update(state => {
+      const session = state.sessions[sid];
+      if (session && !matchesHash(refreshSecret, session.refreshHash)) {
+        // An old refresh token was replayed: assume it leaked and end the session
+        delete state.sessions[sid];
+      }
+      pruneSessions(state);
+      if (!state.sessions[sid]) return null;
+      session.refreshHash = hash(next);
+      return session.registerNo;
+    });
+    return registerNo ? this.tokens(registerNo, sid, next) : null;
+  }
+
+  // Claims of an access token whose session is still active
+  async verify(accessToken) {
+    const claims = verifyJwt(accessToken, this.signingKey);
+    if (!claims || claims.purpose) return null;
+    const session = (await this.vault.load()).sessions[claims.sid];
+    if (session && session.expiresAt <= Date.now()) await this.sweep();
+    return session && session.expiresAt > Date.now() ? claims : null;
+  }
+
+  // Remove expired sessions and the credentials nobody can use any more; returns the register numbers dropped
+  async sweep() {
+    return this.vault.update(state => pruneSessions(state));
+  }
+
+  // Signed, self-contained token for links that cannot send a header (calendar subscriptions).
+  // It is not an access token and does not end with the auth session.
+  linkToken(purpose, claims, ttl) {
+    const now = Math.floor(Date.now() / 1000);
+    return signJwt({ ...claims, purpose, iat: now, exp: now + ttl }, this.signingKey);
+  }
+
+  verifyLinkToken(token, purpose) {
+    const claims = verifyJwt(token, this.signingKey);
+    return claims?.purpose === purpose ? claims : null;
+  }
+
+  // Whether the student has a live auth session
+  async hasSession(registerNo) {
+    const key = registerNo.toUpperCase();
+    const now = Date.now();
+    return Object.values((await this.vault.load()).sessions).some(s => s.registerNo === key && s.expiresAt > now);
+  }
+
+  async credentials(registerNo) {
+    return this.vault.getCredentials(registerNo);
+  }
+
+  // End an auth session; returns the register number and whether it was the student's last one.
+  // With `refreshSecret` the session only ends when it is the session's current refresh secret.
+  async revoke(sid, refreshSecret) {
+    const outcome = await this.vault.update(state => {
+      const session = state.sessions[sid];
+      if (!session) return null;
+      if (refreshSecret !== undefined && !matchesHash(refreshSecret, session.refreshHash)) return null;
+      delete state.sessions[sid];
+      const last = pruneSessions(state).includes(session.registerNo)
+        || !Object.values(state.sessions).some(s => s.registerNo === session.registerNo);
+      return { registerNo: session.registerNo, last };
+    });
+    return outcome;
+  }
+
+  // revoke() for the session of a refresh token; null unless the token is its current one
+  async revokeRefreshToken(refreshToken) {
+    const [sid, refreshSecret] = String(refreshToken || '').split('.');
+    if (!sid || !refreshSecret) return null;
+    return this.revoke(sid, refreshSecret);
+  }
+}
+
+// Middleware for login-backed routes: `Authorization: Bearer <access token>` from /api/auth/login, or (legacy)
+// registerNo + password in the body. requireStudent sets req.student = { registerNo, password }.
+// Body credentials are checked against the portal session (a login when there is none) before any route
+// runs, since cached private data is keyed by register number alone.
+export function studentAuth({ auth, sessions }) {
+  // Student behind `Authorization: Bearer <access token>`: { student } or { error: [code, message] }
+  async function bearerStudent(req) {
+    const claims = await auth.verify((req.get('Authorization') || '').replace(/^Bearer\s+/i, ''));
+    if (!claims) return { error: ['INVALID_TOKEN', 'Invalid or expired access token'] };
+    const password = await auth.credentials(claims.sub);
+    if (!password) return { error: ['SESSION_EXPIRED', 'Session has no stored credentials; log in again'] };
+    return { student: { registerNo: claims.sub, password, sid: claims.sid } };
+  }
+
+  async function requireStudent(req, res, next) {
+    try {
+      if (/^Bearer\s+/i.test(req.get('Authorization') || '')) {
+        const found = await bearerStudent(req);
+        if (found.error) return sendError(res, 401, ...found.error);
+        req.student = found.student;
+        return next();
+      }
+      const { registerNo, password } = req.body || {};
+      if (!registerNo || !password) {
+        return sendError(res, 400, 'CREDENTIALS_REQUIRED', 'Register number and password (or an Authorization: Bearer token) are required');
+      }
+      if (!isRegisterNo(registerNo)) return sendError(res, 400, 'INVALID_REGISTER_NUMBER', 'Invalid register number format');
+      if (!await sessions.get(registerNo, password)) return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials');
+      req.student = { registerNo, password };
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  return { requireStudent, bearerStudent };
+}
@@ -0,0 +1,60 @@
+// lib/backlogs.js - Failed courses and their later attempts across semesters
+// - A course code seen in more than one semester is treated as repeated attempts, in semester order
+// - A course is outstanding while its latest graded attempt is a fail (F / FE / I / Absent)
+// - A course failed once and passed later is reported as cleared, with the semester it was cleared in
+
+import { gradePoint, isFailGrade, normalizeGrade } from './grading.js';
+
+export function trackBacklogs(semesterResults, scheme = '2019') {
+  const courses = new Map(); // code -> { code, name, credits, attempts[] }
+
+  for (const { semester, subjects } of semesterResults) {
+    for (const subject of subjects) {
+      const key = subject.code || subject.name;
+      if (!courses.has(key)) courses.set(key, { code: subject.code, name: subject.name, credits: subject.credits, attempts: [] });
+      const gp = gradePoint(subject.grade, scheme);
+      courses.get(key).attempts.push({
+        semester,
+        grade: subject.grade,
+        gradePoint: gp === null ? '' : gp.toString(),
+        result: normalizeGrade(subject.grade) === 'WITHHELD' || gp === null ? 'Pending' : isFailGrade(subject.grade) ? 'Failed' : 'Passed',
+      });
+    }
+  }
+
+  const outstanding = [];
+  const cleared = [];
+  let earned = 0;
+
+  for (const course of courses.values()) {
+    const credits = parseFloat(course.credits) || 0;
+    const graded = course.attempts.filter(a => a.result !== 'Pending');
+    const failedAttempts = graded.filter(a => a.result === 'Failed');
+    const latest = graded[graded.length - 1];
+
+    if (latest?.result === 'Passed') earned += credits;
+    if (!failedAttempts.length) continue;
+
+    const entry = { ...course, attemptCount: course.attempts.length, firstFailedIn: failedAttempts[0].semester };
+    if (latest.result === 'Passed') {
+      cleared.push({ ...entry, clearedIn: latest.semester });
+    } else {
+      outstanding.push({ ...entry, status: course.attempts[course.attempts.length - 1].result === 'Pending' ? 'Result pending' : 'Not cleared' });
+    }
+  }
+
+  const outstandingCredits = outstanding.reduce((s, c) => s + (parseFloat(c.credits) || 0), 0);
+  const clearedCredits = cleared.reduce((s, c) => s + (parseFloat(c.credits) || 0), 0);
+
+  return {
+    count: outstanding.length,
+    outstanding,
+    cleared,
+    credits: {
+      earned: earned.toString(),
+      outstanding: outstandingCredits.toString(),
+      recoveredBySupplementary: clearedCredits.toString(),
+      earnedIfAllCleared: (earned + outstandingCredits).toString(),
+    },
+  };
+}
@@ -0,0 +1,147 @@
+// lib/batch.js - Class-wide results lookups
+// - Register numbers come as a list or a range (ABC20CS001 to ABC20CS066)
+// - Lookups run with bounded concurrency, and a shared limiter spaces out requests to KTU
+// - Jobs are kept in memory with progress so clients can poll instead of holding a connection open
+// - Aggregates: pass percentage, grade distribution per course and top performers
+
+import crypto from 'crypto';
+import { computeCgpa, isFailGrade, normalizeGrade } from './grading.js';
+
+// Every register number between two of the same prefix and width, inclusive.
+// Null for a mismatched or reversed range, or one longer than `max` (checked before anything is allocated).
+export function expandRange(from, to, max = Infinity) {
+  const a = String(from || '').toUpperCase().match(/^(.*?)(\d+)$/);
+  const b = String(to || '').toUpperCase().match(/^(.*?)(\d+)$/);
+  if (!a || !b || a[1] !== b[1] || a[2].length !== b[2].length) return null;
+  const start = parseInt(a[2], 10);
+  const end = parseInt(b[2], 10);
+  if (end < start || end - start + 1 > max) return null;
+  const width = a[2].length;
+  return Array.from({ length: end - start + 1 }, (_, i) => `${a[1]}${String(start + i).padStart(width, '0')}`);
+}
+
+// Spaces calls at least `interval` ms apart, across every batch in the process
+export function createRateLimiter(interval) {
+  let next = 0;
+  return async () => {
+    const now = Date.now();
+    const wait = Math.max(0, next - now);
+    next = Math.max(now, next) + interval;
+    if (wait) await new Promise(r => setTimeout(r, wait));
+  };
+}
+
+// Run `task` for every item with at most `concurrency` in flight; onResult fires as each finishes
+export async function runBatch(items, task, { concurrency = 3, limiter = async () => {}, onResult = () => {} } = {}) {
+  const results = new Array(items.length);
+  let index = 0;
+  const worker = async () => {
+    while (index < items.length) {
+      const i = index++;
+      await limiter();
+      results[i] = await task(items[i]);
+      onResult(results[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+// Class-level summary over per-student entries ({ registerNo, status, data })
+export function aggregateResults(entries, { scheme = '2019', top = 5 } = {}) {
+  const found = entries.filter(e => e.status === 'ok');
+  const courses = new Map();
+  const performers = [];
+  let passed = 0;
+
+  for (const { registerNo, data } of found) {
+    const semesters = data.results.map(exam => ({ semester: exam.examName, subjects: exam.subjects }));
+    let failed = false;
+
+    // Latest attempt of each course decides the student's grade in the distribution
+    const latest = new Map();
+    for (const { subjects } of semesters) for (const subject of subjects) latest.set(subject.code, subject);
+    for (const subject of latest.values()) {
+      if (!courses.has(subject.code)) courses.set(subject.code, { code: subject.code, name: subject.name, grades: {}, students: 0, passed: 0 });
+      const course = courses.get(subject.code);
+      const grade = normalizeGrade(subject.grade) || 'UNKNOWN';
+      course.grades[grade] = (course.grades[grade] || 0) + 1;
+      course.students++;
+      if (isFailGrade(subject.grade)) failed = true;
+      else course.passed++;
+    }
+
+    if (!failed) passed++;
+    const cgpa = computeCgpa(semesters, scheme);
+    performers.push({ registerNo, studentName: data.studentName, cgpa, allClear: !failed });
+  }
+
+  const pct = (n, d) => (d ? ((n / d) * 100).toFixed(2) + '%' : '0%');
+
+  return {
+    requested: entries.length,
+    found: found.length,
+    notFound: entries.filter(e => e.status === 'not_found').length,
+    errors: entries.filter(e => e.status === 'error').length,
+    passed,
+    passPercentage: pct(passed, found.length),
+    courses: [...courses.values()]
+      .sort((x, y) => x.code.localeCompare(y.code))
+      .map(c => ({ ...c, passPercentage: pct(c.passed, c.students) })),
+    topPerformers: performers
+      .filter(p => p.cgpa !== null)
+      .sort((x, y) => y.cgpa - x.cgpa)
+      .slice(0, top)
+      .map(p => ({ ...p, cgpa: p.cgpa.toFixed(2) })),
+  };
+}
+
+// In-memory batch jobs; finished jobs are dropped after `ttl` seconds
+export class BatchJobs {
+  constructor({ ttl = 3600 } = {}) {
+    this.ttl = ttl * 1000;
+    this.jobs = new Map();
+  }
+
+  // Start a job; `run(onResult)` performs the lookups and resolves to { results, aggregates }.
+  // `meta` (e.g. the grading scheme) is kept on the job for later exports.
+  create(registerNos, run, meta = {}) {
+    this.sweep();
+    const job = {
+      ...meta,
+      id: crypto.randomUUID(),
+      status: 'running',
+      total: registerNos.length,
+      completed: 0,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      results: [],
+      aggregates: null,
+      error: null,
+    };
+    this.jobs.set(job.id, job);
+
+    run(() => { job.completed++; })
+      .then(({ results, aggregates }) => {
+        Object.assign(job, { status: 'done', results, aggregates });
+      })
+      .catch(err => {
+        console.error(`Batch job ${job.id} failed:`, err?.message || err);
+        Object.assign(job, { status: 'failed', error: err?.message || String(err) });
+      })
+      .finally(() => { job.finishedAt = new Date().toISOString(); });
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  sweep() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) this.jobs.delete(id);
+    }
+  }
+}
@@ -0,0 +1,118 @@
+// lib/browserPool.js - Small bounded pool of headless Chromium instances
+// - At most `size` browsers are alive at once; extra callers wait in a FIFO queue
+// - Idle browsers are closed after `idleTimeout` ms so a quiet server holds no Chromium
+// - Browsers that crashed or disconnected are discarded instead of being handed out again
+// - close() shuts down idle and checked-out browsers alike; later acquires fail
+
+import puppeteer from 'puppeteer';
+
+const defaultLaunchOptions = {
+  headless: true,
+  args: ['--no-sandbox', '--disable-setuid-sandbox'],
+};
+
+export class BrowserPool {
+  constructor({ size = 2, idleTimeout = 60000, launch = () => puppeteer.launch(defaultLaunchOptions) } = {}) {
+    this.size = Math.max(1, size);
+    this.idleTimeout = idleTimeout;
+    this.launch = launch;
+    this.idle = []; // [{ browser, timer }]
+    this.inUse = new Set(); // browsers currently checked out
+    this.active = 0; // browsers launched and not yet closed (idle or checked out)
+    this.waiters = [];
+    this.closed = false;
+  }
+
+  async acquire() {
+    if (this.closed) throw new Error('Browser pool closed');
+
+    while (this.idle.length) {
+      const { browser, timer } = this.idle.pop();
+      clearTimeout(timer);
+      if (browser.connected) return this.checkOut(browser);
+      this.active--;
+    }
+
+    if (this.active < this.size) {
+      this.active++;
+      try {
+        console.log('Launching browser...');
+        const browser = await this.launch();
+        // The pool may have been closed while Chromium was starting
+        if (this.closed) {
+          this.active--;
+          await browser.close().catch(() => {});
+          throw new Error('Browser pool closed');
+        }
+        return this.checkOut(browser);
+      } catch (err) {
+        this.active--;
+        this.wakeNext();
+        throw err;
+      }
+    }
+
+    return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+  }
+
+  checkOut(browser) {
+    this.inUse.add(browser);
+    return browser;
+  }
+
+  release(browser) {
+    // Browsers that close() already shut down are not pooled again
+    if (!this.inUse.delete(browser)) return;
+    if (!browser.connected) {
+      this.active--;
+      this.wakeNext();
+      return;
+    }
+
+    const waiter = this.waiters.shift();
+    if (waiter) return waiter.resolve(this.checkOut(browser));
+
+    const timer = setTimeout(() => this.retire(browser), this.idleTimeout);
+    timer.unref?.();
+    this.idle.push({ browser, timer });
+  }
+
+  // Hand a free slot to the next waiter after a browser went away
+  wakeNext() {
+    const waiter = this.waiters.shift();
+    if (waiter) this.acquire().then(waiter.resolve, waiter.reject);
+  }
+
+  async retire(browser) {
+    this.idle = this.idle.filter(entry => entry.browser !== browser);
+    this.active--;
+    console.log('Closing idle browser...');
+    await browser.close().catch(() => {});
+    this.wakeNext();
+  }
+
+  async withBrowser(fn) {
+    const browser = await this.acquire();
+    try {
+      return await fn(browser);
+    } finally {
+      this.release(browser);
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    for (const waiter of this.waiters.splice(0)) waiter.reject(new Error('Browser pool closed'));
+
+    const idle = this.idle.splice(0);
+    for (const { timer } of idle) clearTimeout(timer);
+    const browsers = [...idle.map(entry => entry.browser), ...this.inUse];
+    this.inUse.clear();
+    this.active -= browsers.length;
+    await Promise.all(browsers.map(browser => browser.close().catch(() => {})));
+  }
+
+  stats() {
+    return { size: this.size, active: this.active, idle: this.idle.length, inUse: this.inUse.size, waiting: this.waiters.length };
+  }
+}
@@ -0,0 +1,176 @@
+// lib/cache.js - Response cache with pluggable backends and per-resource TTLs
+// - Backends: in-memory (NodeCache) or Redis (any server speaking the Redis protocol), chosen by CACHE_BACKEND
+// - Each resource type (profile, results, announcements, timetable) has its own TTL; CACHE_TTL is the fallback
+// - Stale-while-revalidate: for CACHE_STALE_TTL seconds after expiry an entry is still served
+//   while a single background reload refreshes it
+// - Keys embed the register number as `<resource>_<REGNO>_...` so a student's entries can be purged together
+
+import NodeCache from 'node-cache';
+
+const seconds = (value, fallback) => {
+  const n = parseInt(value);
+  return Number.isNaN(n) ? fallback : n;
+};
+
+const DEFAULT_TTL = seconds(process.env.CACHE_TTL, 1800);
+
+export const DEFAULT_TTLS = {
+  profile: seconds(process.env.CACHE_TTL_PROFILE, DEFAULT_TTL),
+  results: seconds(process.env.CACHE_TTL_RESULTS, DEFAULT_TTL * 4),
+  announcements: seconds(process.env.CACHE_TTL_ANNOUNCEMENTS, Math.min(DEFAULT_TTL, 600)),
+  timetable: seconds(process.env.CACHE_TTL_TIMETABLE, DEFAULT_TTL),
+};
+
+export const DEFAULT_STALE_TTL = seconds(process.env.CACHE_STALE_TTL, 300);
+
+// In-process backend. Entries are lost on restart and not shared between instances.
+export class MemoryBackend {
+  constructor() {
+    this.store = new NodeCache({ useClones: false });
+  }
+
+  async get(key) {
+    return this.store.get(key);
+  }
+
+  async set(key, entry, ttl) {
+    this.store.set(key, entry, ttl);
+  }
+
+  async del(keys) {
+    return this.store.del(keys);
+  }
+
+  async keys(pattern = '*') {
+    const re = new RegExp('^' + pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return this.store.keys().filter(k => re.test(k));
+  }
+
+  async stats() {
+    return { backend: 'memory', ...this.store.getStats() };
+  }
+}
+
+// Redis backend over an ioredis-compatible client; entries are JSON strings under `prefix`
+export class RedisBackend {
+  constructor(client, { prefix = 'ktu:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    return raw ? JSON.parse(raw) : undefined;
+  }
+
+  async set(key, entry, ttl) {
+    await this.client.set(this.prefix + key, JSON.stringify(entry), 'EX', ttl);
+  }
+
+  async del(keys) {
+    if (!keys.length) return 0;
+    return this.client.del(...keys.map(k => this.prefix + k));
+  }
+
+  async keys(pattern = '*') {
+    const found = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', this.prefix + pattern, 'COUNT', 100);
+      cursor = next;
+      found.push(...batch.map(k => k.slice(this.prefix.length)));
+    } while (cursor !== '0');
+    return [...new Set(found)];
+  }
+
+  async stats() {
+    return { backend: 'redis', keys: (await this.keys()).length };
+  }
+}
+
+export class Cache {
+  constructor({ backend = new MemoryBackend(), ttls = DEFAULT_TTLS, staleTtl = DEFAULT_STALE_TTL } = {}) {
+    this.backend = backend;
+    this.ttls = ttls;
+    this.staleTtl = staleTtl;
+    this.revalidating = new Map(); // key -> in-flight background reload
+  }
+
+  ttlFor(resource) {
+    return this.ttls[resource] ?? DEFAULT_TTL;
+  }
+
+  async set(key, resource, value) {
+    const ttl = this.ttlFor(resource);
+    await this.backend.set(key, { value, resource, storedAt: Date.now(), ttl }, ttl + this.staleTtl);
+  }
+
+  // Cached value for key, loading (and storing) it when missing, expired or `refresh` is set.
+  // Resolves to { value, cached, stale }. Values failing `cacheable` are returned but not stored.
+  async wrap(key, resource, loader, { refresh = false, cacheable = value => value != null } = {}) {
+    if (!refresh) {
+      const entry = await this.backend.get(key).catch(err => {
+        console.error('Cache read failed:', err?.message || err);
+        return undefined;
+      });
+      if (entry) {
+        const age = (Date.now() - entry.storedAt) / 1000;
+        if (age < entry.ttl) return { value: entry.value, cached: true, stale: false };
+        this.revalidate(key, resource, loader, cacheable);
+        return { value: entry.value, cached: true, stale: true };
+      }
+    }
+
+    const value = await loader();
+    if (cacheable(value)) await this.set(key, resource, value).catch(err => console.error('Cache write failed:', err?.message || err));
+    return { value, cached: false, stale: false };
+  }
+
+  revalidate(key, resource, loader, cacheable) {
+    if (this.revalidating.has(key)) return;
+    const run = Promise.resolve()
+      .then(loader)
+      .then(value => (cacheable(value) ? this.set(key, resource, value) : undefined))
+      .catch(err => console.error(`Background refresh of ${key} failed:`, err?.message || err))
+      .finally(() => this.revalidating.delete(key));
+    this.revalidating.set(key, run);
+  }
+
+  // Keys and entry metadata (not values) for one student, or every key when registerNo is omitted
+  async inspect(registerNo) {
+    const keys = await this.backend.keys(registerNo ? `*_${registerNo.toUpperCase()}_*` : '*');
+    const entries = [];
+    for (const key of keys.sort()) {
+      const entry = await this.backend.get(key);
+      if (!entry) continue;
+      const age = Math.round((Date.now() - entry.storedAt) / 1000);
+      entries.push({ key, resource: entry.resource, storedAt: new Date(entry.storedAt).toISOString(), ageSeconds: age, ttl: entry.ttl, stale: age >= entry.ttl });
+    }
+    return entries;
+  }
+
+  async purge(registerNo) {
+    const keys = await this.backend.keys(`*_${registerNo.toUpperCase()}_*`);
+    await this.backend.del(keys);
+    return keys;
+  }
+
+  async purgeKey(key) {
+    return (await this.backend.del([key])) > 0;
+  }
+
+  async stats() {
+    return { ...(await this.backend.stats()), ttls: this.ttls, staleTtl: this.staleTtl };
+  }
+}
+
+// Cache configured from CACHE_BACKEND (memory | redis) and REDIS_URL
+export async function createCache() {
+  if (process.env.CACHE_BACKEND === 'redis') {
+    const { default: Redis } = await import('ioredis');
+    const client = new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+    client.on('error', err => console.error('Redis error:', err?.message || err));
+    return new Cache({ backend: new RedisBackend(client) });
+  }
+  return new Cache();
+}
@@ -0,0 +1,101 @@
+// lib/curriculum.js - Curriculum catalogue: canonical course name, credits, L-T-P, category and semester
+// - Bundled dataset in lib/data/curriculum.json: { scheme: { common: [...], <branch code>: [...] } }.
+//   `common` holds first-year and mandatory courses shared by every branch. Only the 2019 scheme's common
+//   courses and CS are bundled; other schemes and branches are unknown (null / 404) until CURRICULUM_FILE adds them
+// - CURRICULUM_FILE may point to a JSON file with the same shape; its courses are added, replacing
+//   bundled entries with the same code
+// - Course codes are unique within a scheme, so lookups do not need the branch
+
+import { readFileSync } from 'fs';
+
+export const COURSE_CATEGORIES = ['core', 'elective', 'minor', 'honours'];
+
+// Course codes as printed by KTU: CST302 (2015/2019), PCCST302 / GAMAT101 (2024). Lookarounds rather than \b,
+// since the portal sometimes glues the name on ('CST302COMPILER DESIGN')
+export const COURSE_CODE_RE = /(?<![A-Z0-9])[A-Z]{3,5}\d{3}(?!\d)/;
+
+export const isCourseCode = code => /^[A-Z]{3,5}\d{3}$/.test(String(code || '').toUpperCase());
+
+function loadCatalogue() {
+  const bundled = JSON.parse(readFileSync(new URL('./data/curriculum.json', import.meta.url), 'utf8'));
+  const file = process.env.CURRICULUM_FILE;
+  if (!file) return bundled;
+  try {
+    const overrides = JSON.parse(readFileSync(file, 'utf8'));
+    for (const [scheme, branches] of Object.entries(overrides)) {
+      bundled[scheme] ||= {};
+      for (const [branch, courses] of Object.entries(branches)) {
+        const codes = new Set(courses.map(c => c.code));
+        bundled[scheme][branch] = [...(bundled[scheme][branch] || []).filter(c => !codes.has(c.code)), ...courses];
+      }
+    }
+  } catch (err) {
+    console.error(`Could not load curriculum from ${file}:`, err?.message || err);
+  }
+  return bundled;
+}
+
+const catalogue = loadCatalogue();
+
+// code -> { ...course, scheme, branches } per scheme
+const index = Object.fromEntries(Object.entries(catalogue).map(([scheme, branches]) => {
+  const byCode = new Map();
+  for (const [branch, courses] of Object.entries(branches)) {
+    for (const course of courses) {
+      const entry = byCode.get(course.code) || { ...course, scheme, branches: [] };
+      entry.branches.push(branch);
+      byCode.set(course.code, entry);
+    }
+  }
+  return [scheme, byCode];
+}));
+
+export const curriculumSchemes = () => Object.keys(catalogue);
+
+export const curriculumBranches = scheme => Object.keys(catalogue[scheme] || {}).filter(b => b !== 'common');
+
+// Catalogue entry for a course code, in `scheme` or (without one) the newest scheme that has it
+export function findCourse(code, scheme) {
+  const key = String(code || '').toUpperCase();
+  const schemes = scheme ? [String(scheme)] : curriculumSchemes().sort().reverse();
+  for (const s of schemes) {
+    const course = index[s]?.get(key);
+    if (course) return course;
+  }
+  return null;
+}
+
+// A branch's curriculum, common courses included: core and elective courses by semester, minor and honours apart
+export function curriculumFor(scheme, branch) {
+  const courses = catalogue[scheme]?.[String(branch).toUpperCase()];
+  if (!courses) return null;
+  const all = [...(catalogue[scheme].common || []), ...courses];
+
+  const semesters = [...new Set(all.map(c => c.semester))].sort((a, b) => a - b).map(semester => {
+    const inSemester = all.filter(c => c.semester === semester && ['core', 'elective'].includes(c.category));
+    return {
+      semester,
+      coreCredits: inSemester.filter(c => c.category === 'core').reduce((s, c) => s + c.credits, 0),
+      courses: inSemester,
+    };
+  }).filter(s => s.courses.length);
+
+  return {
+    scheme: String(scheme),
+    branch: String(branch).toUpperCase(),
+    semesters,
+    minor: all.filter(c => c.category === 'minor'),
+    honours: all.filter(c => c.category === 'honours'),
+  };
+}
+
+// Subjects with their catalogue entry as `curriculum` (null for codes the catalogue does not know)
+export function enrichSubjects(subjects, scheme) {
+  return subjects.map(subject => {
+    const course = findCourse(subject.code, scheme);
+    return {
+      ...subject,
+      curriculum: course && { name: course.name, credits: course.credits, ltp: course.ltp, category: course.category, semester: course.semester },
+    };
+  });
+}
@@ -0,0 +1,124 @@
+// lib/diff.js - What changed between two snapshots of the same record type
+// Every change is { kind, ...details }; an empty list means nothing changed.
+
+const gradeMap = semesterResults => {
+  const map = new Map();
+  for (const { semester, subjects } of semesterResults || []) {
+    for (const subject of subjects) map.set(`${semester}|${subject.code}`, { semester, ...subject });
+  }
+  return map;
+};
+
+function diffGrades(prevMap, nextMap) {
+  const changes = [];
+  for (const [key, next] of nextMap) {
+    const prev = prevMap.get(key);
+    if (!prev) {
+      changes.push({ kind: 'grade_published', semester: next.semester, code: next.code, name: next.name, grade: next.grade });
+    } else if (prev.grade !== next.grade) {
+      changes.push({ kind: 'grade_changed', semester: next.semester, code: next.code, name: next.name, from: prev.grade, to: next.grade });
+    }
+  }
+  return changes;
+}
+
+export function diffAttendance(prev = {}, next = {}) {
+  const changes = [];
+  const prevSubjects = new Map((prev.semesters || []).flatMap(s => s.subjects.map(sub => [`${s.semester}|${sub.subject}`, sub])));
+  for (const semester of next.semesters || []) {
+    for (const sub of semester.subjects) {
+      const before = prevSubjects.get(`${semester.semester}|${sub.subject}`);
+      if (before && before.attended === sub.attended && before.total === sub.total) continue;
+      const from = before ? parseFloat(before.percentage) : null;
+      const to = parseFloat(sub.percentage);
+      changes.push({
+        kind: from !== null && to < from ? 'attendance_dropped' : 'attendance_changed',
+        semester: semester.semester,
+        subject: sub.subject,
+        from: before ? before.percentage : null,
+        to: sub.percentage,
+        attended: sub.attended,
+        total: sub.total,
+      });
+    }
+  }
+  if ((prev.overall || '') !== (next.overall || '') && next.overall) {
+    changes.push({ kind: 'overall_attendance_changed', from: prev.overall || null, to: next.overall });
+  }
+  return changes;
+}
+
+export function diffProfile(prev = {}, next = {}) {
+  const changes = diffGrades(gradeMap(prev.semesterResults), gradeMap(next.semesterResults));
+
+  const cgpaFrom = prev.academicInfo?.cgpa || '';
+  const cgpaTo = next.academicInfo?.cgpa || '';
+  if (cgpaFrom !== cgpaTo) changes.push({ kind: 'cgpa_changed', from: cgpaFrom || null, to: cgpaTo || null });
+
+  const pointsFrom = parseInt(prev.activityPoints?.total) || 0;
+  const pointsTo = parseInt(next.activityPoints?.total) || 0;
+  if (pointsFrom !== pointsTo) {
+    changes.push({ kind: pointsTo > pointsFrom ? 'activity_points_added' : 'activity_points_changed', from: pointsFrom, to: pointsTo });
+  }
+
+  return [...changes, ...diffAttendance(prev.attendance, next.attendance)];
+}
+
+export function diffResults(prev = {}, next = {}) {
+  const changes = [];
+  const prevExams = new Map((prev.results || []).map(exam => [exam.examName, exam]));
+  for (const exam of next.results || []) {
+    const before = prevExams.get(exam.examName);
+    if (!before) {
+      changes.push({ kind: 'exam_published', examName: exam.examName, sgpa: exam.sgpa, subjects: exam.subjects.length });
+      continue;
+    }
+    const grades = diffGrades(gradeMap([{ semester: exam.examName, subjects: before.subjects }]), gradeMap([{ semester: exam.examName, subjects: exam.subjects }]));
+    changes.push(...grades.map(({ semester, ...change }) => ({ ...change, examName: semester })));
+  }
+  return changes;
+}
+
+// Announcements are identified by title and the portal's date text; anything not seen before is new.
+// (Older stored states have no rawDate: their `date` was the portal text.)
+export function diffAnnouncements(prev = [], next = []) {
+  const key = a => `${a.title}|${a.rawDate ?? a.date}`;
+  const seen = new Set(prev.map(key));
+  return next.filter(a => !seen.has(key(a))).map(a => ({ kind: 'announcement_published', ...a }));
+}
+
+export const differs = {
+  profile: diffProfile,
+  results: diffResults,
+  attendance: diffAttendance,
+};
+
+export function diffSnapshots(prev, next) {
+  return {
+    type: next.type,
+    from: prev ? prev.takenAt : null,
+    to: next.takenAt,
+    changes: differs[next.type](prev ? prev.data : {}, next.data),
+  };
+}
+
+// CGPA, attendance and activity point series across snapshots, oldest first
+export function timeline(snapshots) {
+  const series = { cgpa: [], attendance: [], activityPoints: [], credits: [] };
+  const push = (name, takenAt, value) => {
+    if (value !== undefined && value !== null && value !== '' && value !== 'N/A') series[name].push({ takenAt, value });
+  };
+  for (const { type, takenAt, data } of snapshots) {
+    if (type === 'profile') {
+      push('cgpa', takenAt, data.academicInfo?.cgpa);
+      push('attendance', takenAt, data.attendance?.overall);
+      push('activityPoints', takenAt, data.activityPoints?.total);
+      push('credits', takenAt, data.credits?.earned);
+    } else if (type === 'attendance') {
+      push('attendance', takenAt, data.overall);
+    } else if (type === 'results') {
+      push('cgpa', takenAt, data.results?.[data.results.length - 1]?.cgpa);
+    }
+  }
+  return series;
+}
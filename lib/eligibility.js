@@ -0,0 +1,110 @@
+// lib/eligibility.js - Graduation requirements per scheme and admission type
+// - Rule sets are plain data: total credits, credits by category, activity points and allowed backlogs
+// - GRADUATION_RULES_FILE may point to a JSON file with the same shape; its entries override the defaults
+// - Lateral entry students join in S3, so their credit and activity point targets are lower
+
+import { readFileSync } from 'fs';
+
+export const ADMISSION_TYPES = ['regular', 'lateral'];
+
+export const DEFAULT_RULES = {
+  2015: {
+    regular: { credits: { course: 180, activity: 2 }, activityPoints: 100, maxBacklogs: 0 },
+    lateral: { credits: { course: 134, activity: 2 }, activityPoints: 75, maxBacklogs: 0 },
+  },
+  2019: {
+    regular: { credits: { course: 160, activity: 2 }, activityPoints: 100, maxBacklogs: 0 },
+    lateral: { credits: { course: 120, activity: 2 }, activityPoints: 75, maxBacklogs: 0 },
+  },
+  2024: {
+    regular: { credits: { course: 160, activity: 2 }, activityPoints: 100, maxBacklogs: 0 },
+    lateral: { credits: { course: 120, activity: 2 }, activityPoints: 75, maxBacklogs: 0 },
+  },
+};
+
+function loadRules() {
+  const file = process.env.GRADUATION_RULES_FILE;
+  if (!file) return DEFAULT_RULES;
+  try {
+    const overrides = JSON.parse(readFileSync(file, 'utf8'));
+    const rules = structuredClone(DEFAULT_RULES);
+    for (const [scheme, types] of Object.entries(overrides)) {
+      rules[scheme] = { ...(rules[scheme] || {}) };
+      for (const [type, rule] of Object.entries(types)) rules[scheme][type] = { ...(rules[scheme][type] || {}), ...rule };
+    }
+    return rules;
+  } catch (err) {
+    console.error(`Could not load graduation rules from ${file}:`, err?.message || err);
+    return DEFAULT_RULES;
+  }
+}
+
+const rules = loadRules();
+
+// Lateral entry register numbers carry an L prefix (LABC21CS001)
+export function admissionTypeForRegisterNo(registerNo) {
+  return /^L[A-Z]{3}\d{2}/i.test(String(registerNo || '')) ? 'lateral' : 'regular';
+}
+
+export function rulesFor(scheme, admissionType = 'regular') {
+  const rule = rules[scheme]?.[admissionType];
+  if (!rule) return null;
+  const totalCredits = Object.values(rule.credits).reduce((s, c) => s + c, 0);
+  return { scheme, admissionType, totalCredits, ...rule };
+}
+
+// Fill the requirement fields of the parsed credits / activity point sections from a rule set
+export function applyRequirements({ credits, activityPoints }, rule) {
+  const points = parseInt(activityPoints.total) || 0;
+  return {
+    credits: {
+      earned: credits.earned,
+      required: rule.totalCredits.toString(),
+      courseCredits: rule.credits.course.toString(),
+      activityCredits: rule.credits.activity.toString(),
+    },
+    activityPoints: {
+      ...activityPoints,
+      required: rule.activityPoints.toString(),
+      status: points >= rule.activityPoints ? 'Completed' : 'Pending',
+    },
+  };
+}
+
+// Eligibility verdict from earned credits, activity points and outstanding backlogs
+export function evaluateEligibility({ credits, activityPoints, backlogs }, rule) {
+  const points = parseInt(activityPoints.total) || 0;
+  const earnedByCategory = {
+    course: parseFloat(credits.earned) || 0,
+    // Activity credits are awarded once the activity point target is met
+    activity: points >= rule.activityPoints ? rule.credits.activity : 0,
+  };
+
+  const byCategory = Object.entries(rule.credits).map(([category, required]) => {
+    const earned = earnedByCategory[category] || 0;
+    return { category, required, earned, missing: Math.max(0, required - earned) };
+  });
+  const earned = byCategory.reduce((s, c) => s + c.earned, 0);
+  const pointsMissing = Math.max(0, rule.activityPoints - points);
+  const outstanding = backlogs?.outstanding || [];
+
+  const reasons = [];
+  for (const c of byCategory) {
+    if (c.missing > 0) reasons.push(`${c.missing} ${c.category} credit${c.missing === 1 ? '' : 's'} still to be earned`);
+  }
+  if (pointsMissing > 0) reasons.push(`${pointsMissing} activity point${pointsMissing === 1 ? '' : 's'} still needed`);
+  if (outstanding.length > rule.maxBacklogs) {
+    reasons.push(`${outstanding.length} backlog${outstanding.length === 1 ? '' : 's'} not cleared: ${outstanding.map(c => c.code || c.name).join(', ')}`);
+  }
+
+  return {
+    scheme: rule.scheme,
+    admissionType: rule.admissionType,
+    eligible: reasons.length === 0,
+    verdict: reasons.length === 0 ? 'Eligible' : 'Not eligible',
+    reasons,
+    credits: { required: rule.totalCredits, earned, missing: Math.max(0, rule.totalCredits - earned), byCategory },
+    activityPoints: { required: rule.activityPoints, earned: points, missing: pointsMissing },
+    backlogs: { allowed: rule.maxBacklogs, count: outstanding.length, courses: outstanding.map(c => c.code || c.name) },
+  };
+}
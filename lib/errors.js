@@ -0,0 +1,44 @@
+// lib/errors.js - Error responses, one shape per API version
+// - /api (v1) keeps its original shape: { error: <message>, ...extra }
+// - /api/v2: { error: { code, message, details } } where `code` is one of ERROR_CODES
+// - The version is read from res.locals.apiVersion, set when the request enters the v2 router
+
+export const ERROR_CODES = [
+  'VALIDATION_FAILED',
+  'INVALID_JSON',
+  'INVALID_REGISTER_NUMBER',
+  'INVALID_PARAMETER',
+  'INVALID_SCHEME',
+  'UNKNOWN_SCHEME',
+  'INVALID_ADMISSION_TYPE',
+  'INVALID_THRESHOLD',
+  'CREDENTIALS_REQUIRED',
+  'INVALID_CREDENTIALS',
+  'TOKEN_REQUIRED',
+  'INVALID_TOKEN',
+  'SESSION_EXPIRED',
+  'API_KEY_REQUIRED',
+  'INVALID_API_KEY',
+  'ORIGIN_NOT_ALLOWED',
+  'ADMIN_DISABLED',
+  'INVALID_ADMIN_TOKEN',
+  'RATE_LIMITED',
+  'QUOTA_EXCEEDED',
+  'BATCH_TOO_LARGE',
+  'NOT_FOUND',
+  'NO_RESULTS',
+  'JOB_NOT_FINISHED',
+  'UNSUPPORTED_FORMAT',
+  'UPSTREAM_EMPTY',
+  'UPSTREAM_UNAVAILABLE',
+  'INTERNAL_ERROR',
+  'RESPONSE_VALIDATION_FAILED',
+];
+
+export function sendError(res, status, code, message, extra = {}) {
+  if (res.locals.apiVersion === 2) {
+    const details = Object.keys(extra).length ? { details: extra } : {};
+    return res.status(status).json({ error: { code, message, ...details } });
+  }
+  return res.status(status).json({ error: message, ...extra });
+}
@@ -0,0 +1,54 @@
+// lib/exams.js - Exam timetables (public), exam registration and hall tickets (through a portal session)
+// - Timetable entries are flattened and filtered by scheme, semester, branch, course codes and date range
+// - A student's own schedule is the timetable filtered to their registered courses, or to their
+//   scheme / semester / branch when the registration page lists no courses
+
+import { makeRequest } from './http.js';
+import { parseTimetable, parseExamRegistration, parseHallTickets, semesterNumber } from './parsers/exams.js';
+
+export const KTU_TIMETABLE_URL = 'https://ktu.edu.in/exam/timetable';
+export const KTU_EXAM_REGISTRATION_URL = 'https://app.ktu.edu.in/eu/exm/examRegistrationStatus.htm';
+export const KTU_HALL_TICKET_URL = 'https://app.ktu.edu.in/eu/exm/hallTicketView.htm';
+
+// Published timetables, or null when KTU answered with an empty page
+export async function fetchTimetable() {
+  const response = await makeRequest(KTU_TIMETABLE_URL, { method: 'GET' });
+  if (!response || !response.data) return null;
+  return parseTimetable(response.data);
+}
+
+// Registration status and registered courses; null when the portal login fails
+export async function fetchExamRegistration(sessions, registerNo, password) {
+  const response = await sessions.fetch(registerNo, password, KTU_EXAM_REGISTRATION_URL);
+  return response ? parseExamRegistration(response.data) : null;
+}
+
+// Hall-ticket availability per exam; null when the portal login fails
+export async function fetchHallTickets(sessions, registerNo, password) {
+  const response = await sessions.fetch(registerNo, password, KTU_HALL_TICKET_URL);
+  return response ? parseHallTickets(response.data) : null;
+}
+
+// Branch names on timetables vary ("CS", "Computer Science", "All Branches"); match either way round
+const branchMatches = (entryBranch, branch) => {
+  if (!entryBranch || /\ball\b|common/i.test(entryBranch)) return true;
+  const a = entryBranch.toLowerCase();
+  const b = branch.toLowerCase();
+  return a === b || a.includes(b) || b.includes(a);
+};
+
+// Date, then start time (forenoon before afternoon when no time is printed)
+const sortKey = e => `${e.date}T${e.startTime || (e.session === 'AN' ? '13:30' : '09:30')}`;
+
+// Flat, date-ordered entries of every exam that match. courses: course codes (overrides semester / branch)
+export function filterTimetable(exams, { scheme, semester, branch, courses = [], from, to } = {}) {
+  const sem = semesterNumber(semester);
+  const codes = courses.map(c => c.toUpperCase());
+  return exams
+    .flatMap(({ exam, entries }) => entries.map(entry => ({ exam, ...entry })))
+    .filter(e => (!scheme || !e.scheme || e.scheme === String(scheme))
+      && (codes.length ? codes.includes(e.courseCode) : (!sem || e.semester === sem) && (!branch || branchMatches(e.branch, branch)))
+      && (!from || (e.date && e.date >= from))
+      && (!to || (e.date && e.date <= to)))
+    .sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+}
@@ -0,0 +1,12 @@
+// lib/export/csv.js - RFC 4180 CSV for one table
+
+// Cells that a spreadsheet would treat as a formula are prefixed with a quote
+const cell = value => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv({ columns, rows }) {
+  return [columns, ...rows].map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,38 @@
+// lib/export/index.js - Content negotiation for JSON / CSV / XLSX / PDF responses
+// The format comes from `?format=` when given, otherwise from the Accept header.
+// - an unknown `?format=` is rejected (406); an Accept header naming none of the export types
+//   (e.g. a browser's text/html) gets JSON
+
+import { tableBuilders } from './tables.js';
+import { toCsv } from './csv.js';
+import { toXlsx } from './xlsx.js';
+import { toPdf } from './pdf.js';
+
+export const EXPORT_FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf',
+};
+
+// Requested format name, or null when the client asked for something we cannot produce
+export function negotiateFormat(req) {
+  const requested = req.query?.format;
+  if (requested) return EXPORT_FORMATS[String(requested).toLowerCase()] ? String(requested).toLowerCase() : null;
+  const type = req.accepts(Object.values(EXPORT_FORMATS));
+  return type ? Object.keys(EXPORT_FORMATS).find(f => EXPORT_FORMATS[f] === type) : 'json';
+}
+
+export async function renderExport(format, kind, data) {
+  if (format === 'csv') return toCsv(tableBuilders[kind](data)[0]);
+  if (format === 'xlsx') return toXlsx(tableBuilders[kind](data));
+  if (format === 'pdf') return toPdf(kind, data);
+  throw new Error(`Unsupported export format: ${format}`);
+}
+
+// Send data as JSON or as a downloadable file named `<filename>.<format>`
+export async function sendExport(res, format, kind, data, filename) {
+  if (format === 'json') return res.json(data);
+  const body = await renderExport(format, kind, data);
+  return res.type(EXPORT_FORMATS[format]).attachment(`${filename}.${format}`).send(body);
+}
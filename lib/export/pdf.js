@@ -0,0 +1,141 @@
+// lib/export/pdf.js - Printable reports
+// - profile: transcript with personal info, per-semester grades with SGPA, CGPA, credits and activity points
+// - results / batch: the same tables as the spreadsheet exports, one section each
+// - text uses the built-in Helvetica (Latin-1 only) unless PDF_FONT / PDF_FONT_BOLD point at TTF/OTF files;
+//   names in Malayalam or other non-Latin scripts need such a font or they print as garbage
+
+import { readFileSync } from 'fs';
+import PDFDocument from 'pdfkit';
+import { tableBuilders } from './tables.js';
+
+const MARGIN = 40;
+
+function loadFont(file, fallback) {
+  if (!file) return fallback;
+  try {
+    return readFileSync(file);
+  } catch (err) {
+    console.error(`Could not load PDF font from ${file}:`, err?.message || err);
+    return fallback;
+  }
+}
+
+const REGULAR = loadFont(process.env.PDF_FONT, 'Helvetica');
+const BOLD = process.env.PDF_FONT_BOLD
+  ? loadFont(process.env.PDF_FONT_BOLD, 'Helvetica-Bold')
+  : REGULAR === 'Helvetica' ? 'Helvetica-Bold' : REGULAR;
+
+function render(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: 'KTU API Report', Producer: 'KTU API' } });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.registerFont('Regular', REGULAR);
+    doc.registerFont('Bold', BOLD);
+    draw(doc);
+    doc.end();
+  });
+}
+
+// Column widths proportional to `weights`, spanning the printable width
+function drawTable(doc, columns, rows, weights = columns.map(() => 1)) {
+  const width = doc.page.width - MARGIN * 2;
+  const total = weights.reduce((s, w) => s + w, 0);
+  const widths = weights.map(w => (w / total) * width);
+
+  const drawRow = (cells, bold) => {
+    doc.font(bold ? 'Bold' : 'Regular').fontSize(9);
+    const height = Math.max(...cells.map((c, i) => doc.heightOfString(String(c ?? ''), { width: widths[i] - 4 }))) + 4;
+    if (doc.y + height > doc.page.height - MARGIN) {
+      doc.addPage();
+      if (!bold) drawRow(columns, true);
+    }
+    const y = doc.y;
+    let x = MARGIN;
+    cells.forEach((c, i) => {
+      doc.text(String(c ?? ''), x + 2, y + 2, { width: widths[i] - 4 });
+      x += widths[i];
+    });
+    doc.moveTo(MARGIN, y + height).lineTo(MARGIN + width, y + height).lineWidth(0.3).strokeColor('#999999').stroke();
+    doc.x = MARGIN;
+    doc.y = y + height;
+  };
+
+  drawRow(columns, true);
+  rows.forEach(r => drawRow(r, false));
+  doc.moveDown();
+}
+
+function heading(doc, text, size = 12) {
+  if (doc.y > doc.page.height - MARGIN - 60) doc.addPage();
+  doc.font('Bold').fontSize(size).text(text, MARGIN);
+  doc.moveDown(0.3);
+}
+
+function fields(doc, pairs) {
+  doc.fontSize(10);
+  for (const [label, value] of pairs) {
+    if (value === undefined || value === null || value === '') continue;
+    doc.font('Bold').text(`${label}: `, MARGIN, doc.y, { continued: true }).font('Regular').text(String(value));
+  }
+  doc.moveDown();
+}
+
+function transcript(doc, profile) {
+  const info = profile.personalInfo || {};
+  const academic = profile.academicInfo || {};
+
+  doc.font('Bold').fontSize(16).text('Academic Transcript', { align: 'center' });
+  doc.font('Regular').fontSize(9).text('Generated from the KTU student portal — not an official document', { align: 'center' });
+  doc.moveDown();
+
+  fields(doc, [
+    ['Name', info.name],
+    ['Register No', profile.registerNo],
+    ['Admission No', info.admissionNo],
+    ['Branch', info.branch],
+    ['College', info.college],
+    ['Current Semester', info.semester],
+    ['Scheme', academic.scheme],
+  ]);
+
+  for (const { semester, sgpa, subjects } of profile.semesterResults || []) {
+    heading(doc, `${semester}${sgpa ? `  —  SGPA ${sgpa}` : ''}`, 11);
+    drawTable(doc, ['Code', 'Course', 'Credits', 'Grade', 'GP'],
+      subjects.map(s => [s.code, s.name, s.credits, s.grade, s.gradePoint]), [1.2, 5, 1, 1, 1]);
+  }
+
+  heading(doc, 'Summary');
+  fields(doc, [
+    ['CGPA', academic.cgpa],
+    ['Percentage', academic.percentage],
+    ['Credits', profile.credits ? `${profile.credits.earned} earned of ${profile.credits.required} required` : ''],
+    ['Activity Points', profile.activityPoints ? `${profile.activityPoints.total} of ${profile.activityPoints.required} (${profile.activityPoints.status})` : ''],
+    ['Attendance', profile.attendance?.overall],
+    ['Backlogs', profile.backlogs ? String(profile.backlogs.count) : ''],
+    ['Eligibility', profile.eligibility?.verdict],
+  ]);
+}
+
+export function toPdf(kind, data) {
+  return render(doc => {
+    if (kind === 'profile') return transcript(doc, data);
+
+    doc.font('Bold').fontSize(16).text(kind === 'batch' ? 'Class Results' : `Results — ${data.registerNo}`, { align: 'center' });
+    if (data.studentName) doc.font('Regular').fontSize(11).text(data.studentName, { align: 'center' });
+    doc.moveDown();
+    if (kind === 'batch' && data.aggregates) {
+      fields(doc, [
+        ['Students', `${data.aggregates.found} found of ${data.aggregates.requested}`],
+        ['Pass percentage', data.aggregates.passPercentage],
+        ['Top performers', data.aggregates.topPerformers.map(p => `${p.registerNo} (${p.cgpa})`).join(', ')],
+      ]);
+    }
+    for (const table of tableBuilders[kind](data)) {
+      heading(doc, table.name);
+      drawTable(doc, table.columns, table.rows);
+    }
+  });
+}
@@ -0,0 +1,75 @@
+// lib/export/tables.js - Flat tables for spreadsheet exports
+// Each builder returns [{ name, columns, rows }]; the first table is the one written to CSV.
+
+import { computeCgpa } from '../grading.js';
+
+export function profileTables(profile) {
+  const grades = (profile.semesterResults || []).flatMap(({ semester, sgpa, subjects }) =>
+    subjects.map(s => [semester, s.code, s.name, s.credits, s.grade, s.gradePoint, sgpa ?? '']));
+
+  const info = profile.personalInfo || {};
+  const academic = profile.academicInfo || {};
+  const summary = [
+    ['Name', info.name],
+    ['Register No', profile.registerNo],
+    ['Admission No', info.admissionNo],
+    ['Branch', info.branch],
+    ['Current Semester', info.semester],
+    ['College', info.college],
+    ['Scheme', academic.scheme],
+    ['CGPA', academic.cgpa],
+    ['Percentage', academic.percentage],
+    ['Credits Earned', profile.credits?.earned],
+    ['Credits Required', profile.credits?.required],
+    ['Activity Points', profile.activityPoints?.total],
+    ['Activity Points Required', profile.activityPoints?.required],
+    ['Attendance', profile.attendance?.overall],
+    ['Backlogs', profile.backlogs?.count],
+    ['Eligibility', profile.eligibility?.verdict],
+  ].map(([field, value]) => [field, value ?? '']);
+
+  return [
+    { name: 'Grades', columns: ['Semester', 'Code', 'Course', 'Credits', 'Grade', 'Grade Point', 'SGPA'], rows: grades },
+    { name: 'Summary', columns: ['Field', 'Value'], rows: summary },
+  ];
+}
+
+export function resultsTables(results) {
+  const rows = (results.results || []).flatMap(exam =>
+    exam.subjects.map(s => [exam.examName, s.code, s.name, s.credits, s.grade, s.gradePoint, exam.sgpa, exam.cgpa]));
+  return [{ name: 'Results', columns: ['Exam', 'Code', 'Course', 'Credits', 'Grade', 'Grade Point', 'SGPA', 'CGPA'], rows }];
+}
+
+// Class sheet: one row per student, one column per course with the latest grade
+export function batchTables(job) {
+  const entries = job.results || [];
+  const codes = [...new Set(entries.flatMap(e => (e.data?.results || []).flatMap(exam => exam.subjects.map(s => s.code))))].sort();
+
+  const students = entries.map(entry => {
+    const exams = entry.data?.results || [];
+    const latest = new Map();
+    for (const exam of exams) for (const s of exam.subjects) latest.set(s.code, s.grade);
+    const cgpa = exams.length ? computeCgpa(exams.map(e => ({ semester: e.examName, subjects: e.subjects })), job.scheme) : null;
+    return [entry.registerNo, entry.data?.studentName || '', entry.status, cgpa === null ? '' : cgpa.toFixed(2), ...codes.map(c => latest.get(c) || '')];
+  });
+
+  const courses = (job.aggregates?.courses || []).map(c => [
+    c.code,
+    c.name,
+    c.students,
+    c.passed,
+    c.passPercentage,
+    Object.entries(c.grades).map(([g, n]) => `${g}: ${n}`).join(', '),
+  ]);
+
+  return [
+    { name: 'Class', columns: ['Register No', 'Name', 'Status', 'CGPA', ...codes], rows: students },
+    { name: 'Courses', columns: ['Code', 'Course', 'Students', 'Passed', 'Pass %', 'Grades'], rows: courses },
+  ];
+}
+
+export const tableBuilders = {
+  profile: profileTables,
+  results: resultsTables,
+  batch: batchTables,
+};
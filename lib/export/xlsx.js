@@ -0,0 +1,19 @@
+// lib/export/xlsx.js - Excel workbook with one worksheet per table
+
+import ExcelJS from 'exceljs';
+
+export async function toXlsx(tables) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'KTU API';
+  for (const { name, columns, rows } of tables) {
+    const sheet = workbook.addWorksheet(name);
+    sheet.addRow(columns).font = { bold: true };
+    sheet.addRows(rows);
+    sheet.columns.forEach((column, i) => {
+      const longest = Math.max(...[columns, ...rows].map(r => String(r[i] ?? '').length));
+      column.width = Math.min(60, Math.max(8, longest + 2));
+    });
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
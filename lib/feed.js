@@ -0,0 +1,87 @@
+// lib/feed.js - RSS 2.0 and Atom feeds of announcements
+// - Items link to the portal's detail page, falling back to the first attachment or the listing
+// - Attachments become RSS enclosures / Atom `enclosure` links
+
+import { KTU_ANNOUNCEMENTS_URL } from './announcements.js';
+
+export const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+};
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  zip: 'application/zip',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+};
+
+const escapeXml = value => String(value ?? '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+const mimeType = fileType => MIME_TYPES[fileType] || 'application/octet-stream';
+const itemLink = a => a.url || a.attachments[0]?.url || KTU_ANNOUNCEMENTS_URL;
+const itemDate = (a, fallback) => (a.date ? new Date(`${a.date}T00:00:00+05:30`) : fallback);
+
+export function toRss(items, { title = 'KTU Announcements', link, updated = new Date() } = {}) {
+  const entries = items.map(a => [
+    '    <item>',
+    `      <title>${escapeXml(a.title)}</title>`,
+    `      <link>${escapeXml(itemLink(a))}</link>`,
+    `      <guid isPermaLink="false">ktu-announcement-${escapeXml(a.id)}</guid>`,
+    `      <pubDate>${itemDate(a, updated).toUTCString()}</pubDate>`,
+    `      <category>${escapeXml(a.category)}</category>`,
+    `      <description>${escapeXml(a.description)}</description>`,
+    ...a.attachments.map(f => `      <enclosure url="${escapeXml(f.url)}" type="${mimeType(f.fileType)}" length="0"/>`),
+    '    </item>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(KTU_ANNOUNCEMENTS_URL)}</link>`,
+    ...(link ? [`    <atom:link href="${escapeXml(link)}" rel="self" type="application/rss+xml"/>`] : []),
+    '    <description>Announcements from the KTU portal</description>',
+    `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+export function toAtom(items, { title = 'KTU Announcements', link, updated = new Date() } = {}) {
+  const entries = items.map(a => [
+    '  <entry>',
+    `    <id>urn:ktu-announcement:${escapeXml(a.id)}</id>`,
+    `    <title>${escapeXml(a.title)}</title>`,
+    `    <link href="${escapeXml(itemLink(a))}"/>`,
+    `    <updated>${itemDate(a, updated).toISOString()}</updated>`,
+    `    <category term="${escapeXml(a.category)}"/>`,
+    `    <summary>${escapeXml(a.description)}</summary>`,
+    ...a.attachments.map(f => `    <link rel="enclosure" href="${escapeXml(f.url)}" type="${mimeType(f.fileType)}" title="${escapeXml(f.title)}"/>`),
+    '  </entry>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(link || KTU_ANNOUNCEMENTS_URL)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link href="${escapeXml(KTU_ANNOUNCEMENTS_URL)}"/>`,
+    ...(link ? [`  <link rel="self" href="${escapeXml(link)}"/>`] : []),
+    `  <updated>${updated.toISOString()}</updated>`,
+    '  <author><name>APJ Abdul Kalam Technological University</name></author>',
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+export const renderFeed = (format, items, meta) => (format === 'atom' ? toAtom(items, meta) : toRss(items, meta));
@@ -0,0 +1,138 @@
+// lib/grading.js - KTU grade points, SGPA / CGPA and percentage conversion per scheme
+// - Grade scales and CGPA-to-percentage formulas are tables keyed by scheme ('2015', '2019', '2024')
+// - SGPA is credit-weighted over every graded course of the semester (F / FE / Absent count as 0)
+// - CGPA uses the latest attempt of each course, so a cleared supplementary replaces the failed attempt
+// - Withheld and unknown grades carry no grade point and are left out of both
+
+const SCALE_2019 = { S: 10, 'A+': 9, A: 8.5, 'B+': 8, B: 7.5, 'C+': 7, C: 6.5, D: 6, P: 5.5, F: 0, FE: 0, I: 0, ABSENT: 0 };
+
+export const GRADE_SCALES = {
+  2015: { O: 10, 'A+': 9, A: 8.5, 'B+': 8, B: 7, C: 6, P: 5, F: 0, FE: 0, I: 0, ABSENT: 0 },
+  2019: SCALE_2019,
+  2024: { ...SCALE_2019 },
+};
+
+export const PERCENTAGE_CONVERSIONS = {
+  2015: cgpa => (cgpa - 0.25) * 10,
+  2019: cgpa => (cgpa - 0.75) * 10,
+  2024: cgpa => (cgpa - 0.75) * 10,
+};
+
+export const SCHEMES = Object.keys(GRADE_SCALES);
+
+// Grades that mean the course is not cleared
+export const FAIL_GRADES = ['F', 'FE', 'I', 'ABSENT'];
+
+// Portal figures are shown with two decimals; anything further apart is reported
+const TOLERANCE = 0.011;
+
+// Canonical grade string: upper-case, with the portal's spellings of absent / withheld folded together
+export function normalizeGrade(grade) {
+  const g = String(grade || '').replace(/\s+/g, '').toUpperCase();
+  if (['AB', 'ABS', 'ABSENT'].includes(g)) return 'ABSENT';
+  if (['W', 'WH', 'WITHHELD'].includes(g)) return 'WITHHELD';
+  return g;
+}
+
+// Scheme from the admission year in the register number (ABC20CS001 -> 2020 -> 2019 scheme)
+export function schemeForRegisterNo(registerNo) {
+  const match = String(registerNo || '').match(/^L?[A-Z]{3}(\d{2})/i);
+  if (!match) return '2019';
+  const year = 2000 + parseInt(match[1], 10);
+  if (year >= 2024) return '2024';
+  if (year >= 2019) return '2019';
+  return '2015';
+}
+
+// Grade point for a grade, or null when the grade carries none (withheld, not yet published, unknown)
+export function gradePoint(grade, scheme = '2019') {
+  const scale = GRADE_SCALES[scheme] || GRADE_SCALES[2019];
+  const point = scale[normalizeGrade(grade)];
+  return point === undefined ? null : point;
+}
+
+export function isFailGrade(grade) {
+  return FAIL_GRADES.includes(normalizeGrade(grade));
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// Credit-weighted average over subjects that have both credits and a grade point; null when none do
+function weightedAverage(subjects, scheme) {
+  let points = 0;
+  let credits = 0;
+  for (const subject of subjects) {
+    const credit = parseFloat(subject.credits);
+    const gp = gradePoint(subject.grade, scheme);
+    if (!credit || gp === null) continue;
+    points += credit * gp;
+    credits += credit;
+  }
+  return credits ? { value: round2(points / credits), credits } : null;
+}
+
+export function computeSgpa(subjects, scheme = '2019') {
+  return weightedAverage(subjects, scheme)?.value ?? null;
+}
+
+export function computeCgpa(semesterResults, scheme = '2019') {
+  const latest = new Map();
+  for (const { subjects } of semesterResults) {
+    for (const subject of subjects) {
+      if (gradePoint(subject.grade, scheme) === null) continue;
+      latest.set(subject.code || subject.name, subject);
+    }
+  }
+  return weightedAverage([...latest.values()], scheme)?.value ?? null;
+}
+
+export function cgpaToPercentage(cgpa, scheme = '2019') {
+  const value = parseFloat(cgpa);
+  if (isNaN(value)) return '';
+  const convert = PERCENTAGE_CONVERSIONS[scheme] || PERCENTAGE_CONVERSIONS[2019];
+  return Math.max(0, convert(value)).toFixed(2) + '%';
+}
+
+const disagrees = (portal, computed) => {
+  const value = parseFloat(portal);
+  return !isNaN(value) && computed !== null && Math.abs(value - computed) > TOLERANCE;
+};
+
+// Fill grade points and computed SGPA / CGPA into parsed profile sections.
+// Returns new { academicInfo, semesterResults }; portal figures are kept alongside the computed ones.
+export function gradeProfile({ academicInfo = {}, semesterResults = [] }, scheme = '2019') {
+  const discrepancies = [];
+
+  const graded = semesterResults.map(semester => {
+    const subjects = semester.subjects.map(subject => {
+      const gp = gradePoint(subject.grade, scheme);
+      return { ...subject, gradePoint: gp === null ? '' : gp.toString() };
+    });
+    const sgpa = computeSgpa(subjects, scheme);
+    if (disagrees(semester.portalSgpa, sgpa)) {
+      discrepancies.push({ field: 'sgpa', semester: semester.semester, portal: semester.portalSgpa, computed: sgpa.toFixed(2) });
+    }
+    return { ...semester, sgpa: sgpa === null ? '' : sgpa.toFixed(2), subjects };
+  });
+
+  const computedCgpa = computeCgpa(graded, scheme);
+  if (disagrees(academicInfo.cgpa, computedCgpa)) {
+    discrepancies.push({ field: 'cgpa', portal: academicInfo.cgpa, computed: computedCgpa.toFixed(2) });
+  }
+
+  const lastGraded = [...graded].reverse().find(s => s.sgpa);
+  const cgpa = academicInfo.cgpa || (computedCgpa === null ? '' : computedCgpa.toFixed(2));
+
+  return {
+    academicInfo: {
+      ...academicInfo,
+      cgpa,
+      sgpa: lastGraded ? lastGraded.sgpa : academicInfo.sgpa || '',
+      percentage: cgpaToPercentage(cgpa, scheme),
+      scheme,
+      computedCgpa: computedCgpa === null ? '' : computedCgpa.toFixed(2),
+      discrepancies,
+    },
+    semesterResults: graded,
+  };
+}
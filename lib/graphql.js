@@ -0,0 +1,305 @@
+// lib/graphql.js - GraphQL schema over the student data model (served at /graphql, /api/graphql and /api/v2/graphql)
+// - Resolvers load lazily: the profile page is only fetched when a selected field needs it, and only the
+//   selected sections are parsed (sharing one cheerio parse per request); attendance has its own pages
+// - Every parsed section and attendance threshold is cached on its own, so later queries asking for other
+//   fields reuse what earlier ones loaded
+// - The server supplies the context: `student(args)` (authenticated, returns a Student) and
+//   `announcements(args)`; errors carry the REST error codes (lib/errors.js) as `extensions.code`
+
+import { buildSchema, parse, validate, execute, GraphQLError } from 'graphql';
+import { load } from './parsers/load.js';
+import { parseProfile } from './parsers/index.js';
+import { gradeProfile, cgpaToPercentage } from './grading.js';
+import { applyRequirements } from './eligibility.js';
+import { enrichSubjects } from './curriculum.js';
+
+export const typeDefs = `
+type Query {
+  "The student behind the Bearer access token from POST /api/auth/login"
+  student(scheme: String, admissionType: String): Student!
+  "Newest KTU announcements, filtered like GET /api/announcements"
+  announcements(category: [String!], q: String, from: String, to: String, limit: Int = 20): [Announcement!]!
+}
+
+type Student {
+  registerNo: String!
+  scheme: String!
+  personalInfo: PersonalInfo!
+  academicInfo: AcademicInfo!
+  semesterResults(semester: String): [SemesterResult!]!
+  "Attendance for every semester; threshold defaults to ATTENDANCE_THRESHOLD (75)"
+  attendance(threshold: Float): Attendance!
+  activityPoints: ActivityPoints!
+}
+
+type PersonalInfo {
+  name: String
+  admissionNo: String
+  gender: String
+  dob: String
+  branch: String
+  semester: String
+  batch: String
+  college: String
+}
+
+"cgpa is the portal figure (computed from the grades when the portal has none); sgpa is the latest graded semester"
+type AcademicInfo {
+  cgpa: String!
+  sgpa: String!
+  percentage: String!
+  computedCgpa: String!
+  scheme: String!
+}
+
+type SemesterResult {
+  semester: String!
+  portalSgpa: String!
+  sgpa: String!
+  subjects: [Subject!]!
+}
+
+type Subject {
+  code: String!
+  name: String!
+  credits: String!
+  grade: String!
+  gradePoint: String!
+  curriculum: CurriculumEntry
+}
+
+type CurriculumEntry {
+  name: String!
+  credits: Float!
+  ltp: String
+  category: String!
+  semester: Int
+}
+
+type Attendance {
+  overall: String!
+  threshold: Float!
+  current: CurrentAttendance
+  subjects: [AttendanceSubject!]!
+  semesters: [AttendanceSemester!]!
+  lastUpdated: String
+}
+
+type CurrentAttendance {
+  semester: String!
+  overall: String!
+  canMiss: Int!
+  mustAttend: Int!
+}
+
+type AttendanceSemester {
+  semester: String!
+  attended: Int!
+  total: Int!
+  overall: String!
+  canMiss: Int!
+  mustAttend: Int!
+  subjects: [AttendanceSubject!]!
+}
+
+type AttendanceSubject {
+  subject: String!
+  code: String!
+  attended: Int!
+  total: Int!
+  percentage: String!
+  canMiss: Int!
+  mustAttend: Int!
+}
+
+type ActivityPoints {
+  total: String!
+  required: String!
+  status: String!
+  breakdown: [ActivityCategory!]!
+}
+
+type ActivityCategory {
+  category: String!
+  points: Float!
+}
+
+type Announcement {
+  id: ID!
+  title: String!
+  date: String
+  rawDate: String
+  category: String!
+  description: String
+  url: String
+  attachments: [Attachment!]!
+}
+
+type Attachment {
+  title: String!
+  url: String!
+  fileType: String
+}
+`;
+
+export const graphqlSchema = buildSchema(typeDefs);
+
+// Resolver error with a lib/errors.js code
+export const graphqlError = (code, message, extensions = {}) => new GraphQLError(message, { extensions: { code, ...extensions } });
+
+// Loads one student's data on demand; every method is memoized for the lifetime of the request.
+// fetchPage() resolves to the profile page HTML (null when the portal login fails), fetchAttendance(threshold)
+// to lib/attendance.js's result.
+export class StudentLoader {
+  constructor({ registerNo, scheme, rule, fetchPage, fetchAttendance, cache, refresh = false }) {
+    Object.assign(this, { registerNo: registerNo.toUpperCase(), scheme, rule, fetchPage, fetchAttendance, cache, refresh });
+    this.loaded = new Map();
+  }
+
+  memo(key, fn) {
+    if (!this.loaded.has(key)) this.loaded.set(key, fn());
+    return this.loaded.get(key);
+  }
+
+  async cached(key, resource, fn) {
+    const { value } = await this.cache.wrap(key, resource, fn, { refresh: this.refresh });
+    return value;
+  }
+
+  // Cheerio root of the profile page, fetched at most once
+  page() {
+    return this.memo('page', async () => {
+      const html = await this.fetchPage();
+      if (!html) throw graphqlError('INVALID_CREDENTIALS', 'Invalid credentials or login failed');
+      return load(html);
+    });
+  }
+
+  // One parsed profile section (lib/parsers/profile.js)
+  section(name) {
+    return this.memo(`section:${name}`, () => this.cached(`section_${this.registerNo}_${name}`, 'profile', async () => {
+      const $ = await this.page();
+      return parseProfile($, [name])[name];
+    }));
+  }
+
+  // Semester results with grade points, SGPA and curriculum entries, plus the computed academic figures
+  graded() {
+    return this.memo('graded', async () => {
+      const { academicInfo, semesterResults } = gradeProfile({ semesterResults: await this.section('semesterResults') }, this.scheme);
+      return { academicInfo, semesterResults: semesterResults.map(sem => ({ ...sem, subjects: enrichSubjects(sem.subjects, this.scheme) })) };
+    });
+  }
+
+  attendance(threshold) {
+    return this.memo(`attendance:${threshold}`, () => this.cached(`attendance_${this.registerNo}_${threshold}`, 'profile', async () => {
+      const attendance = await this.fetchAttendance(threshold);
+      if (!attendance) throw graphqlError('INVALID_CREDENTIALS', 'Invalid credentials or login failed');
+      return attendance;
+    }));
+  }
+}
+
+class AcademicInfo {
+  constructor(loader) {
+    this.loader = loader;
+    this.scheme = loader.scheme;
+  }
+
+  // Portal CGPA; the grades are only parsed when the portal shows none
+  async cgpa() {
+    const portal = (await this.loader.section('academicInfo')).cgpa;
+    return portal || this.computedCgpa();
+  }
+
+  async computedCgpa() {
+    return (await this.loader.graded()).academicInfo.computedCgpa;
+  }
+
+  async sgpa() {
+    const computed = (await this.loader.graded()).academicInfo.sgpa;
+    return computed || (await this.loader.section('academicInfo')).sgpa || '';
+  }
+
+  async percentage() {
+    return cgpaToPercentage(await this.cgpa(), this.scheme);
+  }
+}
+
+export class Student {
+  constructor(loader, { defaultThreshold }) {
+    this.loader = loader;
+    this.defaultThreshold = defaultThreshold;
+    this.registerNo = loader.registerNo;
+    this.scheme = loader.scheme;
+  }
+
+  personalInfo() {
+    return this.loader.section('personalInfo');
+  }
+
+  academicInfo() {
+    return new AcademicInfo(this.loader);
+  }
+
+  async semesterResults({ semester }) {
+    const { semesterResults } = await this.loader.graded();
+    return semester ? semesterResults.filter(sem => sem.semester === semester) : semesterResults;
+  }
+
+  attendance({ threshold = this.defaultThreshold }) {
+    if (!(threshold > 0 && threshold < 100)) {
+      throw graphqlError('INVALID_THRESHOLD', 'Attendance threshold must be a percentage between 0 and 100');
+    }
+    return this.loader.attendance(threshold);
+  }
+
+  async activityPoints() {
+    const activityPoints = await this.loader.section('activityPoints');
+    return applyRequirements({ credits: {}, activityPoints }, this.loader.rule).activityPoints;
+  }
+}
+
+const rootValue = {
+  student: (args, context) => context.student(args),
+  announcements: (args, context) => context.announcements(args),
+};
+
+// GraphQLError -> response entry; errors without a code are unexpected and logged
+function formatError(err) {
+  if (!err.extensions?.code) {
+    console.error('Error resolving GraphQL query:', err.originalError?.message || err.message);
+    return { ...err.toJSON(), extensions: { code: 'INTERNAL_ERROR' } };
+  }
+  return err.toJSON();
+}
+
+// Runs one GraphQL request: { status, body }. Malformed or invalid documents (and bad variables) are 400s
+// without `data`; resolver errors come back as 200 with partial `data` and `errors`.
+export async function executeGraphql({ query, variables, operationName } = {}, context) {
+  if (typeof query !== 'string' || !query.trim()) {
+    return { status: 400, body: { errors: [{ message: 'GraphQL query is required', extensions: { code: 'VALIDATION_FAILED' } }] } };
+  }
+  if (variables != null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    return { status: 400, body: { errors: [{ message: 'variables must be a JSON object', extensions: { code: 'VALIDATION_FAILED' } }] } };
+  }
+  let document;
+  try {
+    document = parse(query);
+  } catch (err) {
+    return { status: 400, body: { errors: [{ ...err.toJSON(), extensions: { code: 'VALIDATION_FAILED' } }] } };
+  }
+  const invalid = validate(graphqlSchema, document);
+  if (invalid.length) {
+    return { status: 400, body: { errors: invalid.map(err => ({ ...err.toJSON(), extensions: { code: 'VALIDATION_FAILED' } })) } };
+  }
+
+  const result = await execute({
+    schema: graphqlSchema, document, rootValue, contextValue: context, variableValues: variables, operationName,
+  });
+  // Without `data` execution never started: the variables did not match their declared types
+  if (result.data === undefined) {
+    return { status: 400, body: { errors: result.errors.map(err => ({ ...err.toJSON(), extensions: { code: 'VALIDATION_FAILED' } })) } };
+  }
+  return { status: 200, body: { ...result, ...(result.errors ? { errors: result.errors.map(formatError) } : {}) } };
+}
@@ -0,0 +1,61 @@
+// lib/http.js - Shared axios instance and retrying request helper
+// - TLS verification is enabled by default; disable in development with SKIP_TLS_VERIFY=true
+// - Headers passed to makeRequest are merged over the default headers
+// - Every attempt is recorded per upstream in lib/scrapeHealth.js (latency, retries, failures)
+
+import axios from 'axios';
+import https from 'https';
+import { scrapeHealth } from './scrapeHealth.js';
+
+// TLS: enable verification by default. To bypass for local dev only set SKIP_TLS_VERIFY=true
+const skipTls = process.env.SKIP_TLS_VERIFY === 'true';
+if (skipTls) {
+  console.warn('⚠️  TLS verification is disabled (SKIP_TLS_VERIFY=true) — only use for local development');
+}
+
+const httpsAgent = new https.Agent({ rejectUnauthorized: !skipTls });
+
+// Default axios instance
+export const defaultHeaders = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+  Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9',
+  Referer: 'https://app.ktu.edu.in/',
+};
+
+export const axiosInstance = axios.create({
+  timeout: 15000,
+  httpsAgent,
+  maxRedirects: 5,
+  headers: { ...defaultHeaders },
+});
+
+// Helper: makeRequest with retry + header merging
+export async function makeRequest(url, options = {}, retries = 3) {
+  const opts = { ...options };
+  opts.headers = { ...defaultHeaders, ...(opts.headers || {}) };
+  opts.url = url;
+
+  for (let i = 0; i < retries; i++) {
+    const started = Date.now();
+    try {
+      const response = await axiosInstance.request(opts);
+      scrapeHealth.attempt(url, { durationMs: Date.now() - started, ok: true, status: response.status, retry: i > 0 });
+      return response;
+    } catch (err) {
+      const short = err?.message || String(err);
+      const status = err?.response?.status;
+      const last = i === retries - 1;
+      scrapeHealth.attempt(url, { durationMs: Date.now() - started, ok: false, status, error: err, retry: i > 0, last });
+      console.error(`Request failed (attempt ${i + 1}/${retries}):`, short, status ? `(status ${status})` : '');
+      if (last) throw err;
+      // backoff
+      await new Promise(r => setTimeout(r, 1000 * (i + 1)));
+    }
+  }
+}
+
+// Final URL after redirects (axios on node exposes it on the underlying response)
+export function finalUrl(response) {
+  return response?.request?.res?.responseUrl || response?.config?.url || '';
+}
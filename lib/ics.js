@@ -0,0 +1,64 @@
+// lib/ics.js - iCalendar (RFC 5545) export of exam timetable entries
+// - Times are Indian Standard Time (UTC+05:30, no DST) written as UTC
+// - Without a printed time, FN / AN sessions use KTU's usual 09:30-12:30 / 13:30-16:30 slots;
+//   entries with neither become all-day events
+
+export const ICS_CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+const SESSION_TIMES = { FN: ['09:30', '12:30'], AN: ['13:30', '16:30'] };
+
+const escapeText = value => String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function fold(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const utcStamp = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const istToUtc = (date, time) => utcStamp(new Date(`${date}T${time}:00+05:30`));
+
+function event(entry, now) {
+  const [start, end] = entry.startTime
+    ? [entry.startTime, entry.endTime || entry.startTime]
+    : SESSION_TIMES[entry.session] || [];
+  const when = start
+    ? [`DTSTART:${istToUtc(entry.date, start)}`, `DTEND:${istToUtc(entry.date, end)}`]
+    : [`DTSTART;VALUE=DATE:${entry.date.replace(/-/g, '')}`];
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${entry.date}-${entry.session || 'day'}-${entry.courseCode}@ktu-api`,
+    `DTSTAMP:${utcStamp(now)}`,
+    ...when,
+    `SUMMARY:${escapeText(`${entry.courseCode} ${entry.courseName}`.trim())}`,
+    `DESCRIPTION:${escapeText([entry.exam, entry.session && `Session: ${entry.session}`].filter(Boolean).join('\n'))}`,
+    'CATEGORIES:EXAM',
+    'END:VEVENT',
+  ];
+}
+
+// Entries without a date cannot be placed on a calendar and are left out
+export function toIcs(entries, { name = 'KTU Exams', now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//KTU API//Exam Timetable//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-WR-TIMEZONE:Asia/Kolkata',
+    ...entries.filter(e => e.date).flatMap(e => event(e, now)),
+    'END:VCALENDAR',
+  ];
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,68 @@
+// lib/metrics.js - Prometheus metrics (served at /metrics)
+// - One registry for the process, with Node's default process metrics
+// - Upstream metrics are labelled by lib/scrapeHealth.js's upstreamLabel(): host + path, register numbers
+//   replaced, so each guessed results URL is its own series without one series per student
+
+import { Registry, Counter, Gauge, Histogram, collectDefaultMetrics } from 'prom-client';
+
+export const metricsRegistry = new Registry();
+collectDefaultMetrics({ register: metricsRegistry, prefix: 'ktu_api_' });
+
+const registers = [metricsRegistry];
+
+export const upstreamDuration = new Histogram({
+  name: 'ktu_upstream_request_duration_seconds',
+  help: 'Duration of each request attempt to KTU',
+  labelNames: ['upstream', 'outcome'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15],
+  registers,
+});
+
+export const upstreamRequests = new Counter({
+  name: 'ktu_upstream_requests_total',
+  help: 'Requests to KTU by final outcome, after retries',
+  labelNames: ['upstream', 'outcome'],
+  registers,
+});
+
+export const upstreamRetries = new Counter({
+  name: 'ktu_upstream_retries_total',
+  help: 'Retried request attempts to KTU',
+  labelNames: ['upstream'],
+  registers,
+});
+
+export const upstreamFailures = new Counter({
+  name: 'ktu_upstream_failures_total',
+  help: 'Requests to KTU that failed on every attempt, by the last error (HTTP status or error code)',
+  labelNames: ['upstream', 'reason'],
+  registers,
+});
+
+export const selectorMatches = new Gauge({
+  name: 'ktu_parser_selector_matches',
+  help: 'Elements matched by each tracked parser selector in the latest parse',
+  labelNames: ['section', 'selector'],
+  registers,
+});
+
+export const parserChecks = new Counter({
+  name: 'ktu_parser_checks_total',
+  help: 'Parsed sections checked for layout drift',
+  labelNames: ['section'],
+  registers,
+});
+
+export const parserDrift = new Counter({
+  name: 'ktu_parser_drift_total',
+  help: 'Required fields that came back empty, by section and field',
+  labelNames: ['section', 'field'],
+  registers,
+});
+
+export const sectionDegraded = new Gauge({
+  name: 'ktu_section_degraded',
+  help: '1 while the latest parse of a section had required fields empty',
+  labelNames: ['section'],
+  registers,
+});
@@ -0,0 +1,575 @@
+// lib/openapi.js - OpenAPI 3 description of the /api/v2 routes
+// - Served at /api/v2/openapi.json (interactive docs at /api/v2/docs)
+// - lib/validation.js checks v2 requests against it, and responses too outside production
+// - Enums come from the modules that own them, so the document cannot drift from the code
+// - CSV / XLSX / PDF exports, feeds and calendars are described but not validated
+
+import { ERROR_CODES } from './errors.js';
+import { REGISTER_NO_PATTERN } from './registerNo.js';
+import { SCHEMES } from './grading.js';
+import { ADMISSION_TYPES } from './eligibility.js';
+import { SNAPSHOT_TYPES } from './snapshots.js';
+import { WEBHOOK_EVENTS } from './webhooks.js';
+import { EXPORT_FORMATS } from './export/index.js';
+import { ANNOUNCEMENT_CATEGORIES } from './parsers/announcements.js';
+import { FEED_FORMATS } from './feed.js';
+import { COURSE_CATEGORIES } from './curriculum.js';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const int = (extra = {}) => ({ type: 'integer', ...extra });
+const num = (extra = {}) => ({ type: 'number', ...extra });
+const bool = { type: 'boolean' };
+const arr = items => ({ type: 'array', items });
+const obj = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+const nullable = schema => ({ ...schema, nullable: true });
+const date = str({ format: 'date' });
+const dateTime = str({ format: 'date-time' });
+
+const registerNo = str({ pattern: REGISTER_NO_PATTERN, example: 'ABC20CS001' });
+
+// Cache flags added to cached responses
+const cacheFlags = { cached: bool, stale: bool };
+
+// Required fields that came back empty (lib/scrapeHealth.js); only present when something drifted
+const drift = arr(str({ example: 'personalInfo.name' }));
+
+const schemas = {
+  Error: obj({
+    error: obj({
+      code: str({ enum: ERROR_CODES }),
+      message: str(),
+      details: { type: 'object', description: 'Extra context, e.g. the accepted values or the failing fields' },
+    }, ['code', 'message']),
+  }),
+
+  // GraphQL answers in its own shape; errors carry the codes above as `extensions.code`
+  GraphQLResponse: obj({
+    data: nullable({ type: 'object' }),
+    errors: arr(obj({
+      message: str(),
+      locations: arr(obj({ line: int(), column: int() })),
+      path: arr({}),
+      extensions: obj({ code: str({ enum: ERROR_CODES }) }, ['code']),
+    }, ['message'])),
+  }, []),
+
+  AuthTokens: obj({
+    tokenType: str({ enum: ['Bearer'] }),
+    accessToken: str(),
+    expiresIn: int(),
+    refreshToken: str(),
+    refreshExpiresIn: int(),
+    registerNo,
+  }),
+
+  PersonalInfo: obj({
+    name: str(), admissionNo: str(), gender: str(), dob: str(), branch: str(), semester: str(), batch: str(), college: str(),
+  }, ['name']),
+  AcademicInfo: obj({
+    cgpa: str(),
+    sgpa: str(),
+    percentage: str(),
+    scheme: str({ enum: SCHEMES }),
+    computedCgpa: nullable(str()),
+    discrepancies: arr({ type: 'object' }),
+  }, ['cgpa', 'sgpa', 'percentage', 'scheme']),
+  ActivityPoints: obj({
+    total: str(),
+    breakdown: arr(obj({ category: str(), points: num() })),
+    required: str(),
+    status: str(),
+  }, ['total', 'breakdown']),
+  Credits: obj({ earned: str(), required: str(), courseCredits: str(), activityCredits: str() }, ['earned']),
+
+  CurriculumEntry: nullable(obj({
+    name: str(), credits: num(), ltp: nullable(str()), category: str({ enum: COURSE_CATEGORIES }), semester: nullable(int()),
+  }, ['name', 'credits', 'category'])),
+  Subject: obj({
+    code: str(), name: str(), credits: str(), grade: str(), gradePoint: str(), curriculum: ref('CurriculumEntry'),
+  }, ['code', 'name', 'credits', 'grade', 'gradePoint']),
+  SemesterResult: obj({ semester: str(), portalSgpa: str(), sgpa: nullable(str()), subjects: arr(ref('Subject')) }, ['semester', 'subjects']),
+
+  AttendanceSubject: obj({
+    subject: str(), code: str(), attended: int(), total: int(), percentage: str(), canMiss: int(), mustAttend: int(),
+  }, ['subject', 'code', 'attended', 'total', 'percentage']),
+  AttendanceSemester: obj({
+    semester: str(), attended: int(), total: int(), overall: str(), canMiss: int(), mustAttend: int(), subjects: arr(ref('AttendanceSubject')),
+  }),
+  Attendance: obj({
+    overall: str(),
+    threshold: num(),
+    current: nullable(obj({ semester: str(), overall: str(), canMiss: int(), mustAttend: int() })),
+    subjects: arr(ref('AttendanceSubject')),
+    semesters: arr(ref('AttendanceSemester')),
+    lastUpdated: dateTime,
+    drift,
+  }, ['overall', 'subjects', 'semesters']),
+
+  Backlogs: obj({
+    count: int(),
+    outstanding: arr({ type: 'object' }),
+    cleared: arr({ type: 'object' }),
+    credits: { type: 'object' },
+  }),
+  Eligibility: obj({
+    scheme: str({ enum: SCHEMES }),
+    admissionType: str({ enum: ADMISSION_TYPES }),
+    eligible: bool,
+    verdict: str(),
+    reasons: arr(str()),
+    credits: { type: 'object' },
+    activityPoints: { type: 'object' },
+    backlogs: { type: 'object' },
+  }, ['scheme', 'admissionType', 'eligible', 'verdict', 'reasons']),
+
+  Profile: obj({
+    registerNo,
+    personalInfo: ref('PersonalInfo'),
+    academicInfo: ref('AcademicInfo'),
+    attendance: ref('Attendance'),
+    activityPoints: ref('ActivityPoints'),
+    credits: ref('Credits'),
+    semesterResults: arr(ref('SemesterResult')),
+    backlogs: ref('Backlogs'),
+    eligibility: ref('Eligibility'),
+    drift,
+    ...cacheFlags,
+  }, ['registerNo', 'personalInfo', 'academicInfo', 'attendance', 'activityPoints', 'credits', 'semesterResults', 'backlogs']),
+  BacklogReport: {
+    allOf: [ref('Backlogs'), obj({ registerNo, scheme: str({ enum: SCHEMES }), ...cacheFlags }, ['registerNo', 'scheme'])],
+  },
+  EligibilityReport: {
+    allOf: [ref('Eligibility'), obj({ registerNo, ...cacheFlags }, ['registerNo'])],
+  },
+
+  ExamResult: obj({ examName: str(), examDate: str(), sgpa: str(), cgpa: str(), subjects: arr(ref('Subject')) }),
+  Results: obj({
+    registerNo, studentName: str(), results: arr(ref('ExamResult')), fetchedFrom: str({ format: 'uri' }), drift, ...cacheFlags,
+  }, ['registerNo', 'studentName', 'results']),
+  BatchAccepted: obj({ jobId: str(), status: str(), total: int(), statusUrl: str() }),
+  BatchJob: obj({
+    id: str(),
+    status: str({ enum: ['running', 'done', 'failed'] }),
+    total: int(),
+    completed: int(),
+    progress: int({ minimum: 0, maximum: 100 }),
+    results: arr(obj({ registerNo: str(), status: str({ enum: ['ok', 'not_found', 'error'] }), cached: bool, data: ref('Results'), error: str() }, ['registerNo', 'status'])),
+    aggregates: { type: 'object' },
+    error: str(),
+  }, ['id', 'status', 'total', 'progress']),
+
+  History: obj({
+    registerNo,
+    snapshots: arr(obj({ type: str({ enum: SNAPSHOT_TYPES }), takenAt: dateTime })),
+    series: obj(Object.fromEntries(['cgpa', 'attendance', 'activityPoints', 'credits'].map(name => [name, arr(obj({ takenAt: dateTime, value: {} }))]))),
+  }),
+  HistoryDiff: obj({
+    registerNo, type: str({ enum: SNAPSHOT_TYPES }), from: nullable(dateTime), to: dateTime, changes: arr(obj({ kind: str() })),
+  }),
+
+  Announcement: obj({
+    id: str(),
+    title: str(),
+    date: nullable(date),
+    rawDate: str(),
+    category: str({ enum: ANNOUNCEMENT_CATEGORIES }),
+    description: str(),
+    url: nullable(str({ format: 'uri' })),
+    attachments: arr(obj({ title: str(), url: str({ format: 'uri' }), fileType: nullable(str()) })),
+    links: arr(obj({ title: str(), url: str({ format: 'uri' }) })),
+  }),
+  AnnouncementList: obj({
+    announcements: arr(ref('Announcement')),
+    count: int(),
+    page: int(),
+    limit: int(),
+    hasMore: bool,
+    portalPages: int(),
+    lastUpdated: nullable(dateTime),
+    ...cacheFlags,
+  }, ['announcements', 'count', 'page', 'limit', 'hasMore']),
+
+  TimetableEntry: obj({
+    exam: str(),
+    date: nullable(date),
+    session: nullable(str()),
+    startTime: nullable(str()),
+    endTime: nullable(str()),
+    courseCode: str(),
+    courseName: str(),
+    branch: nullable(str()),
+    semester: nullable(int()),
+    scheme: nullable(str()),
+  }, ['exam', 'date', 'courseCode', 'courseName']),
+  Timetable: obj({ entries: arr(ref('TimetableEntry')), count: int(), exams: arr(str()), ...cacheFlags }, ['entries', 'count', 'exams']),
+  ExamRegistration: obj({
+    registerNo,
+    registrations: arr(obj({ exam: str(), status: str(), registered: bool, feeStatus: nullable(str()), registeredOn: nullable(date) })),
+    courses: arr(obj({ code: str(), name: str(), type: nullable(str()) })),
+    lastUpdated: dateTime,
+  }),
+  HallTickets: obj({
+    registerNo,
+    available: bool,
+    hallTickets: arr(obj({ exam: str(), available: bool, url: nullable(str({ format: 'uri' })) })),
+    lastUpdated: dateTime,
+  }),
+  ExamCalendar: obj({ registerNo, url: str({ format: 'uri' }), filters: { type: 'object' }, expiresAt: dateTime }),
+
+  Course: obj({
+    code: str(),
+    name: str(),
+    credits: num(),
+    ltp: nullable(str()),
+    category: str({ enum: COURSE_CATEGORIES }),
+    semester: nullable(int()),
+    scheme: str(),
+    branches: arr(str()),
+  }, ['code', 'name', 'credits', 'category', 'scheme', 'branches']),
+  Curriculum: obj({
+    scheme: str(),
+    branch: str(),
+    semesters: arr(obj({ semester: int(), coreCredits: num(), courses: arr({ type: 'object' }) })),
+    minor: arr({ type: 'object' }),
+    honours: arr({ type: 'object' }),
+  }, ['scheme', 'branch', 'semesters']),
+
+  Webhook: obj({ id: str(), url: str({ format: 'uri' }), event: str({ enum: WEBHOOK_EVENTS }), registerNo, secret: str(), createdAt: dateTime }, ['id', 'url', 'event', 'createdAt']),
+  ApiKey: obj({
+    id: str(),
+    name: str(),
+    prefix: str(),
+    key: str({ description: 'Only returned when the key is issued' }),
+    limits: obj({ rateLimit: int(), loginRateLimit: int(), dailyQuota: int() }, []),
+    origins: arr(str()),
+    createdAt: dateTime,
+  }, ['id', 'name', 'limits', 'origins']),
+  Usage: obj({
+    id: str(),
+    name: str(),
+    today: obj({ requests: int(), expensive: int(), rejected: int(), quota: nullable(int()) }, ['requests', 'rejected']),
+    days: arr({ type: 'object' }),
+  }, ['id', 'today', 'days']),
+};
+
+// Parameters and bodies shared between routes
+const query = (name, schema, description) => ({ name, in: 'query', required: false, schema, ...(description ? { description } : {}) });
+const path = (name, schema) => ({ name, in: 'path', required: true, schema });
+
+const refresh = query('refresh', bool, 'Bypass the cache');
+const format = query('format', str({ enum: Object.keys(EXPORT_FORMATS) }), 'Export format (or use the Accept header)');
+const dateFilters = [query('from', date), query('to', date)];
+const announcementFilters = [
+  query('category', str(), `Comma-separated: ${ANNOUNCEMENT_CATEGORIES.join(', ')}`),
+  ...dateFilters,
+  query('q', str(), 'Words to look for in the title and description'),
+  query('page', int({ minimum: 1 })),
+  query('limit', int({ minimum: 1, maximum: 100 })),
+];
+const timetableFilters = [
+  query('scheme', str({ enum: SCHEMES })),
+  query('semester', str({ pattern: '^[Ss]?[1-8]$' }), '1-8 or S1-S8'),
+  query('branch', str()),
+  ...dateFilters,
+];
+
+// Login-backed routes: a Bearer access token, or (legacy) registerNo + password in the body
+const studentBody = (extra = {}) => obj({ registerNo, password: str({ minLength: 1 }), ...extra }, []);
+const body = schema => ({ required: true, content: { 'application/json': { schema } } });
+const threshold = num({ exclusiveMinimum: 0, exclusiveMaximum: 100, description: 'Attendance threshold (percent)' });
+const scheme = str({ enum: SCHEMES, description: 'Grading scheme; derived from the register number when omitted' });
+const admissionType = str({ enum: ADMISSION_TYPES, description: 'Derived from the register number when omitted' });
+
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema: typeof schema === 'string' ? ref(schema) : schema } } });
+const file = (types, description) => ({ description, content: Object.fromEntries(types.map(type => [type, { schema: str({ format: 'binary' }) }])) });
+const exportable = (schema, description = 'OK') => ({
+  description,
+  content: {
+    'application/json': { schema: ref(schema) },
+    ...Object.fromEntries(Object.entries(EXPORT_FORMATS).filter(([name]) => name !== 'json').map(([, type]) => [type, { schema: str({ format: 'binary' }) }])),
+  },
+});
+const noContent = { description: 'No content' };
+const graphqlRequest = obj({ query: str(), variables: nullable({ type: 'object' }), operationName: nullable(str()) }, []);
+
+const student = [{ bearerAuth: [] }, {}];
+const admin = [{ adminToken: [] }, { adminHeader: [] }];
+const webhookOwner = [{ apiKey: [] }, ...admin];
+
+// Every operation also documents the shared error response
+function op(tags, summary, { parameters = [], requestBody, responses, security }) {
+  return {
+    tags,
+    summary,
+    ...(parameters.length ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    ...(security ? { security } : {}),
+    responses: { ...responses, default: { $ref: '#/components/responses/Error' } },
+  };
+}
+
+const paths = {
+  '/auth/login': {
+    post: op(['Auth'], 'Check KTU credentials and issue tokens', {
+      requestBody: body(obj({ registerNo, password: str({ minLength: 1 }) })),
+      responses: { 200: json('AuthTokens') },
+    }),
+  },
+  '/auth/refresh': {
+    post: op(['Auth'], 'Exchange a refresh token for a new token pair', {
+      requestBody: body(obj({ refreshToken: str({ minLength: 1 }) })),
+      responses: { 200: json('AuthTokens') },
+    }),
+  },
+  '/auth/logout': {
+    post: op(['Auth'], 'Revoke the session behind an access or refresh token', {
+      requestBody: { required: false, content: { 'application/json': { schema: obj({ refreshToken: str() }, []) } } },
+      security: student,
+      responses: { 204: noContent },
+    }),
+  },
+
+  '/profile': {
+    post: op(['Student'], 'Full profile: personal and academic info, attendance, activity points, credits, results, backlogs, eligibility', {
+      parameters: [format, refresh],
+      requestBody: body(studentBody({ threshold, scheme, admissionType, refresh: bool })),
+      security: student,
+      responses: { 200: exportable('Profile') },
+    }),
+  },
+  '/backlogs': {
+    post: op(['Student'], 'Outstanding and cleared backlogs', {
+      parameters: [refresh],
+      requestBody: body(studentBody({ scheme, refresh: bool })),
+      security: student,
+      responses: { 200: json('BacklogReport') },
+    }),
+  },
+  '/eligibility': {
+    post: op(['Student'], 'Degree-completion eligibility', {
+      parameters: [refresh],
+      requestBody: body(studentBody({ scheme, admissionType, refresh: bool })),
+      security: student,
+      responses: { 200: json('EligibilityReport') },
+    }),
+  },
+  '/attendance': {
+    post: op(['Student'], 'Attendance for every semester, with classes that can be missed', {
+      requestBody: body(studentBody({ threshold })),
+      security: student,
+      responses: { 200: json('Attendance') },
+    }),
+  },
+  '/history': {
+    post: op(['Student'], 'Saved snapshots and CGPA / attendance / activity point series', {
+      requestBody: body(studentBody()),
+      security: student,
+      responses: { 200: json('History') },
+    }),
+  },
+  '/history/diff': {
+    post: op(['Student'], 'Changes between the last two snapshots of one type', {
+      requestBody: body(studentBody({ type: str({ enum: SNAPSHOT_TYPES }) })),
+      security: student,
+      responses: { 200: json('HistoryDiff') },
+    }),
+  },
+
+  '/results/batch': {
+    post: op(['Results'], 'Results for a list or range of register numbers', {
+      parameters: [query('stream', bool, 'Stream NDJSON lines as lookups finish'), refresh],
+      requestBody: body(obj({
+        registerNos: arr(registerNo),
+        from: registerNo,
+        to: registerNo,
+        examId: str(),
+        scheme: str({ enum: SCHEMES }),
+        top: int({ minimum: 1 }),
+      }, [])),
+      responses: { 200: file(['application/x-ndjson'], 'Streamed results (?stream=true)'), 202: json('BatchAccepted', 'Job started') },
+    }),
+  },
+  '/results/batch/{jobId}': {
+    get: op(['Results'], 'Batch job progress, or the finished class sheet as CSV / XLSX / PDF', {
+      parameters: [path('jobId', str()), format],
+      responses: { 200: exportable('BatchJob') },
+    }),
+  },
+  '/results/{registerNo}': {
+    get: op(['Results'], 'Published exam results', {
+      parameters: [path('registerNo', registerNo), query('examId', str()), format, refresh],
+      responses: { 200: exportable('Results') },
+    }),
+  },
+
+  '/announcements': {
+    get: op(['Announcements'], 'KTU announcements, newest first', {
+      parameters: [...announcementFilters, refresh],
+      responses: { 200: json('AnnouncementList') },
+    }),
+  },
+  '/announcements/{format}': {
+    get: op(['Announcements'], 'Announcements as an RSS or Atom feed', {
+      parameters: [path('format', str({ enum: Object.keys(FEED_FORMATS) })), ...announcementFilters, refresh],
+      responses: { 200: file(Object.values(FEED_FORMATS), 'Feed') },
+    }),
+  },
+
+  '/graphql': {
+    get: op(['GraphQL'], 'Run a GraphQL query (see the GraphQL section of the README for the schema)', {
+      parameters: [query('query', str()), query('variables', str(), 'JSON object'), query('operationName', str()), refresh],
+      responses: { 200: json('GraphQLResponse'), 400: json('GraphQLResponse', 'Malformed or invalid query'), 500: json('GraphQLResponse', 'Unexpected failure') },
+    }),
+    post: op(['GraphQL'], 'Run a GraphQL query; selecting `student` needs a Bearer access token', {
+      parameters: [refresh],
+      requestBody: body(graphqlRequest),
+      security: student,
+      responses: { 200: json('GraphQLResponse'), 400: json('GraphQLResponse', 'Malformed or invalid query'), 500: json('GraphQLResponse', 'Unexpected failure') },
+    }),
+  },
+
+  '/courses/{code}': {
+    get: op(['Curriculum'], 'One course from the curriculum catalogue', {
+      parameters: [path('code', str({ pattern: '^[A-Za-z]{3,5}\\d{3}$' })), query('scheme', str())],
+      responses: { 200: json('Course') },
+    }),
+  },
+  '/curriculum/{scheme}/{branch}': {
+    get: op(['Curriculum'], "A branch's curriculum, semester by semester", {
+      parameters: [path('scheme', str()), path('branch', str())],
+      responses: { 200: json('Curriculum') },
+    }),
+  },
+
+  '/exams/timetable': {
+    get: op(['Exams'], 'Published exam timetables', {
+      parameters: [...timetableFilters, refresh],
+      responses: { 200: json('Timetable') },
+    }),
+  },
+  '/exams/timetable.ics': {
+    get: op(['Exams'], 'Exam timetable as an iCalendar file', {
+      parameters: [...timetableFilters, refresh],
+      responses: { 200: file(['text/calendar'], 'Calendar') },
+    }),
+  },
+  '/exams/registration': {
+    post: op(['Exams'], 'Exam registration status and registered courses', {
+      requestBody: body(studentBody()),
+      security: student,
+      responses: { 200: json('ExamRegistration') },
+    }),
+  },
+  '/exams/hall-tickets': {
+    post: op(['Exams'], 'Hall-ticket availability per exam', {
+      requestBody: body(studentBody()),
+      security: student,
+      responses: { 200: json('HallTickets') },
+    }),
+  },
+  '/exams/calendar': {
+    post: op(['Exams'], "Subscription link for the student's own exam calendar", {
+      requestBody: body(studentBody({ scheme })),
+      security: student,
+      responses: { 201: json('ExamCalendar', 'Created') },
+    }),
+  },
+  '/exams/calendar/{token}.ics': {
+    get: op(['Exams'], 'Exam calendar behind a subscription link (no API key needed)', {
+      parameters: [path('token', str())],
+      security: [{}],
+      responses: { 200: file(['text/calendar'], 'Calendar') },
+    }),
+  },
+
+  '/webhooks': {
+    post: op(['Webhooks'], 'Subscribe to new announcements or to result changes', {
+      requestBody: body(obj({
+        url: str({ pattern: '^https?://' }),
+        event: str({ enum: WEBHOOK_EVENTS }),
+        registerNo,
+        secret: str({ minLength: 16 }),
+      }, ['url', 'event'])),
+      security: webhookOwner,
+      responses: { 201: json('Webhook', 'Created; the secret is only returned here') },
+    }),
+    get: op(['Webhooks'], "List the caller's subscriptions (all of them for the admin token)", {
+      security: webhookOwner,
+      responses: { 200: json(obj({ webhooks: arr(ref('Webhook')) })) },
+    }),
+  },
+  '/webhooks/{id}': {
+    delete: op(['Webhooks'], 'Unsubscribe', { parameters: [path('id', str())], security: webhookOwner, responses: { 204: noContent } }),
+  },
+
+  '/usage': {
+    get: op(['API keys'], 'Usage report for the calling API key', { responses: { 200: json('Usage') } }),
+  },
+
+  '/admin/cache': {
+    get: op(['Admin'], 'Cache statistics and entries', {
+      security: admin,
+      responses: { 200: json(obj({ stats: { type: 'object' }, entries: arr({ type: 'object' }) })) },
+    }),
+    delete: op(['Admin'], 'Purge one cache key', {
+      parameters: [query('key', str())],
+      security: admin,
+      responses: { 200: json(obj({ purged: arr(str()) })) },
+    }),
+  },
+  '/admin/cache/{registerNo}': {
+    get: op(['Admin'], "A student's cache entries", {
+      parameters: [path('registerNo', registerNo)],
+      security: admin,
+      responses: { 200: json(obj({ registerNo, entries: arr({ type: 'object' }) })) },
+    }),
+    delete: op(['Admin'], "Purge a student's cache entries", {
+      parameters: [path('registerNo', registerNo), query('key', str())],
+      security: admin,
+      responses: { 200: json(obj({ registerNo, purged: arr(str()) }, ['purged'])) },
+    }),
+  },
+  '/admin/keys': {
+    post: op(['Admin'], 'Issue an API key', {
+      requestBody: body(obj({
+        name: str({ minLength: 1 }),
+        origins: arr(str()),
+        rateLimit: int({ minimum: 0 }),
+        loginRateLimit: int({ minimum: 0 }),
+        dailyQuota: int({ minimum: 0 }),
+      }, ['name'])),
+      security: admin,
+      responses: { 201: json('ApiKey', 'Created; the key is only returned here') },
+    }),
+    get: op(['Admin'], 'List API keys', { security: admin, responses: { 200: json(obj({ keys: arr(ref('ApiKey')) })) } }),
+  },
+  '/admin/keys/{id}/usage': {
+    get: op(['Admin'], "An API key's usage", { parameters: [path('id', str())], security: admin, responses: { 200: json('Usage') } }),
+  },
+  '/admin/keys/{id}': {
+    delete: op(['Admin'], 'Revoke an API key', { parameters: [path('id', str())], security: admin, responses: { 204: noContent } }),
+  },
+};
+
+export const openapiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'KTU API',
+    version: '2.0.0',
+    description: 'Student data from the KTU portal. Errors use `{ error: { code, message, details } }`; /api (v1) keeps its original shapes.',
+  },
+  servers: [{ url: '/api/v2' }],
+  security: [{ apiKey: [] }, {}],
+  paths,
+  components: {
+    schemas,
+    responses: { Error: json('Error', 'Error') },
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Access token from /auth/login' },
+      adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN' },
+      adminHeader: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' },
+    },
+  },
+};
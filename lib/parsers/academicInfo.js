@@ -0,0 +1,16 @@
+// lib/parsers/academicInfo.js - CGPA and latest SGPA as shown on the profile page
+
+import { load, badgeValue, trackSelectors } from './load.js';
+
+export function parseAcademicInfo(html) {
+  const $ = load(html);
+  const selectors = trackSelectors($, 'academicInfo');
+
+  const cgpa = badgeValue($, 'CGPA', selectors).replace(':', '').trim();
+
+  const sgpaAll = selectors.find('sgpaCells', '#curriculamTab_curriculam .panel-default table td[rowspan]').map((i, el) => $(el).text().trim()).get();
+  const sgpaText = sgpaAll.reverse().find(s => !isNaN(parseFloat(s))) || '';
+
+  // Percentage depends on the scheme and is filled in by lib/grading.js
+  return selectors.report({ cgpa: cgpa || '', sgpa: sgpaText || '', percentage: '' });
+}
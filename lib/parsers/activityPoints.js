@@ -0,0 +1,26 @@
+// lib/parsers/activityPoints.js - Activity point breakdown and total from the profile page
+
+import { load, trackSelectors } from './load.js';
+
+export function parseActivityPoints(html) {
+  const $ = load(html);
+  const selectors = trackSelectors($, 'activityPoints');
+
+  // Required points and status depend on the rule set and are filled in by lib/eligibility.js
+  const activityPoints = { total: '0', breakdown: [] };
+  const activityRows = selectors.find('pointRows', '#collapseSix table tbody tr');
+  activityRows.each((i, row) => {
+    const cells = $(row).find('td');
+    if (cells.length >= 2) {
+      const key = $(cells[0]).text().trim();
+      const val = $(cells[1]).text().trim();
+      if (key && val && !/total/i.test(key)) {
+        activityPoints.breakdown.push({ category: key, points: parseInt(val) || 0 });
+      }
+    }
+  });
+  const totalPointsText = activityRows.last().find('td').last().text().trim();
+  const totalPoints = parseInt(totalPointsText) || activityPoints.breakdown.reduce((s, b) => s + (b.points || 0), 0);
+  activityPoints.total = totalPoints.toString();
+  return selectors.report(activityPoints);
+}
@@ -0,0 +1,132 @@
+// lib/parsers/announcements.js - KTU announcements listing
+// - Each announcement is normalised: ISO date (rawDate keeps the portal text), category, detail url,
+//   attachments (download links, with the file type when it can be told) and links. `links` keeps its
+//   original meaning, every link but "read more", so it still lists the attachment urls too
+// - Only the innermost matching block counts, so a `.panel` wrapping `.news-item`s is not an announcement itself
+// - parseAnnouncementPager finds the link to the next (older) page of the listing
+
+import crypto from 'crypto';
+import { load, trackSelectors } from './load.js';
+
+const BASE_URL = 'https://ktu.edu.in';
+const ITEM_SELECTOR = '.announcement, .panel, article, .news-item';
+
+export const ANNOUNCEMENT_CATEGORIES = ['exam-timetable', 'results', 'circular', 'notification'];
+
+// First matching rule wins; anything else is a general notification
+const CATEGORY_RULES = [
+  ['exam-timetable', /time\s*-?\s*table|exam(ination)?\s+schedule/i],
+  ['results', /\bresults?\b|revaluation|grade\s*card|scrutiny/i],
+  ['circular', /\bcircular\b/i],
+];
+
+const FILE_TYPES = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'csv', 'ppt', 'pptx', 'zip', 'rar', 'jpg', 'jpeg', 'png'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const isoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+// `YYYY-MM-DD` for the date formats KTU uses, or null
+// ("Thu May 15 00:00:00 IST 2025", "15-05-2025", "15/05/2025", "2025-05-15", "15 May 2025", "May 15, 2025")
+export function parseKtuDate(raw) {
+  const text = String(raw || '').trim();
+  let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return isoDate(+m[1], +m[2], +m[3]);
+  m = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+  if (m) return isoDate(+m[3], +m[2], +m[1]);
+
+  const month = MONTHS.findIndex(name => new RegExp(`\\b${name}[a-z]*\\b`, 'i').test(text));
+  const year = text.match(/\b(\d{4})\b/);
+  if (month === -1 || !year) return null;
+  const rest = text.replace(year[0], '').replace(/\d{1,2}:\d{2}(:\d{2})?/, '');
+  const day = rest.match(/\b(\d{1,2})\b/);
+  return day ? isoDate(+year[1], month + 1, +day[1]) : null;
+}
+
+export function categorize(title, description = '') {
+  const rule = CATEGORY_RULES.find(([, re]) => re.test(title)) || CATEGORY_RULES.find(([, re]) => re.test(description));
+  return rule ? rule[0] : 'notification';
+}
+
+// File type from the url's extension, or from the link text ("Notification (PDF)"); null when unknown
+export function fileTypeOf(url, text = '') {
+  const ext = (() => {
+    try {
+      return new URL(url).pathname.match(/\.([a-z0-9]+)$/i)?.[1];
+    } catch (err) {
+      return undefined;
+    }
+  })();
+  if (ext && FILE_TYPES.includes(ext.toLowerCase())) return ext.toLowerCase();
+  const fromText = text.match(new RegExp(`\\b(${FILE_TYPES.join('|')})\\b`, 'i'));
+  return fromText ? fromText[1].toLowerCase() : null;
+}
+
+// Download links: a known file extension, or KTU's attachment download endpoint
+const isAttachment = url => /\/attachments?\b|[?&]download=/i.test(url) || fileTypeOf(url) !== null;
+
+// Absolute http(s) url, or null for javascript:/mailto: links and junk
+export const absolute = (href, base) => {
+  try {
+    const url = new URL(href, base);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export function parseAnnouncements(html, { baseUrl = BASE_URL } = {}) {
+  const $ = load(html);
+  const selectors = trackSelectors($, 'announcements');
+  const announcements = [];
+
+  selectors.find('items', ITEM_SELECTOR).each((i, elem) => {
+    if ($(elem).find(ITEM_SELECTOR).length) return;
+    const title = selectors.find('title', 'h3, h4, .title', elem).first().text().trim();
+    if (!title) return;
+    const rawDate = selectors.find('date', '.date, .posted-date, time', elem).first().text().trim();
+    const datetime = $(elem).find('time[datetime]').attr('datetime');
+    const description = $(elem).find('p, .description').first().text().trim();
+
+    let url = null;
+    const attachments = [];
+    const links = [];
+    $(elem).find('a').each((j, link) => {
+      const href = absolute($(link).attr('href'), baseUrl);
+      const linkText = $(link).text().trim();
+      if (!href || !linkText) return;
+      if (/read\s*more/i.test(linkText)) {
+        url = url || href;
+        return;
+      }
+      if (isAttachment(href)) attachments.push({ title: linkText, url: href, fileType: fileTypeOf(href, linkText) });
+      links.push({ title: linkText, url: href });
+    });
+
+    announcements.push({
+      id: crypto.createHash('sha1').update(`${title}|${rawDate}`).digest('hex').slice(0, 12),
+      title,
+      date: parseKtuDate(datetime) || parseKtuDate(rawDate),
+      rawDate,
+      category: categorize(title, description),
+      description,
+      url,
+      attachments,
+      links,
+    });
+  });
+
+  return selectors.report(announcements);
+}
+
+// Absolute url of the next (older) page of the listing, or null on the last page
+export function parseAnnouncementPager(html, { baseUrl = BASE_URL } = {}) {
+  const $ = load(html);
+  const next = $('a[rel="next"], .pagination .next a, .pagination a.next, .pager .next a').first().attr('href')
+    || $('.pagination a, .pager a').filter((i, a) => /^(next|older)\b|»|›/i.test($(a).text().trim())).first().attr('href');
+  return next ? absolute(next, baseUrl) : null;
+}
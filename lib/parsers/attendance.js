@@ -0,0 +1,59 @@
+// lib/parsers/attendance.js - Attendance semester selector and subject tables
+// Column positions are taken from the table header when present, falling back to
+// subject / attended / total / percentage order.
+
+import { load, trackSelectors } from './load.js';
+
+const toPercent = (attended, total) => (total ? ((attended / total) * 100).toFixed(2) + '%' : '0%');
+
+// Semester choices offered by the attendance page: [{ id, name, selected }]
+export function parseAttendanceSemesters(html) {
+  const $ = load(html);
+  return $('select[name="semesterId"] option, select#semesterId option').map((i, el) => ({
+    id: ($(el).attr('value') || '').trim(),
+    name: $(el).text().trim(),
+    selected: $(el).is('[selected]'),
+  })).get().filter(s => s.id);
+}
+
+// Subject rows of one attendance page: [{ subject, code, attended, total, percentage }]
+export function parseAttendanceTable(html) {
+  const $ = load(html);
+  const selectors = trackSelectors($, 'attendance');
+  const subjects = [];
+
+  selectors.find('tables', 'table').each((i, table) => {
+    const headers = $(table).find('tr').first().find('th, td').map((j, el) => $(el).text().trim().toLowerCase()).get();
+    const col = (re, fallback) => {
+      const idx = headers.findIndex(h => re.test(h));
+      return idx >= 0 ? idx : fallback;
+    };
+    const cols = {
+      subject: col(/course|subject/, 0),
+      attended: col(/attended|present/, 1),
+      total: col(/total|conducted/, 2),
+      percentage: col(/percent|%/, 3),
+    };
+
+    selectors.find('rows', 'tr', table).each((j, row) => {
+      const cells = $(row).find('td');
+      if (j === 0 || cells.length < 4) return;
+      const subject = $(cells[cols.subject]).text().replace(/\s+/g, ' ').trim();
+      const attended = parseInt($(cells[cols.attended]).text().trim()) || 0;
+      const total = parseInt($(cells[cols.total]).text().trim()) || 0;
+      if (!subject || /^total$/i.test(subject)) return;
+
+      const codeMatch = subject.match(/[A-Z]{3}\d{3}/);
+      const percentageText = $(cells[cols.percentage]).text().trim();
+      subjects.push({
+        subject,
+        code: codeMatch ? codeMatch[0] : '',
+        attended,
+        total,
+        percentage: /\d/.test(percentageText) ? percentageText.replace(/\s*%?$/, '%') : toPercent(attended, total),
+      });
+    });
+  });
+
+  return selectors.report(subjects);
+}
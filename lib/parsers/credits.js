@@ -0,0 +1,20 @@
+// lib/parsers/credits.js - Earned credits summed from the curriculum tables
+
+import { load, trackSelectors } from './load.js';
+
+export function parseCredits(html) {
+  const $ = load(html);
+  const selectors = trackSelectors($, 'credits');
+
+  let earnedCredits = 0;
+  selectors.find('courseRows', '#curriculamTab_curriculam .panel-default table tbody tr').each((i, row) => {
+    const creditText = $(row).find('td').eq(8).text().trim();
+    const credit = parseFloat(creditText);
+    if (!isNaN(credit)) {
+      earnedCredits += credit;
+    }
+  });
+
+  // Requirements depend on scheme and admission type and are filled in by lib/eligibility.js
+  return selectors.report({ earned: earnedCredits.toString() });
+}
@@ -0,0 +1,135 @@
+// lib/parsers/exams.js - Exam timetable, exam registration and hall-ticket pages
+// Column positions are taken from each table's header, so reordered or extra columns do not break parsing.
+// The timetable heading above a table ("B.Tech S6 (R,S) Exam June 2025 (2019 Scheme)") gives the exam,
+// semester and scheme when the table itself has no such columns.
+
+import { load, trackSelectors } from './load.js';
+import { parseKtuDate, absolute } from './announcements.js';
+
+const clean = text => text.replace(/\s+/g, ' ').trim();
+
+// Rows of a table as objects keyed by the first matching column pattern: { key: regex }
+function readTable($, table, columns) {
+  const headers = $(table).find('tr').first().find('th, td').map((i, el) => clean($(el).text()).toLowerCase()).get();
+  const index = Object.fromEntries(Object.entries(columns).map(([key, re]) => [key, headers.findIndex(h => re.test(h))]));
+
+  return $(table).find('tr').slice(1).map((i, row) => {
+    const cells = $(row).find('td');
+    if (!cells.length) return null;
+    const entry = { $cells: cells };
+    for (const [key, idx] of Object.entries(index)) entry[key] = idx >= 0 && cells[idx] ? clean($(cells[idx]).text()) : '';
+    return entry;
+  }).get().filter(Boolean);
+}
+
+// Semester number from "S6", "6" or "Semester 6"; null when absent
+export function semesterNumber(text) {
+  const m = String(text || '').match(/\bS(?:em(?:ester)?)?\s*([1-8])\b|^\s*([1-8])\s*$/i);
+  return m ? parseInt(m[1] || m[2]) : null;
+}
+
+const schemeOf = text => String(text || '').match(/\b(2015|2019|2024)\b(?=\s*scheme)|scheme\s*[-:]?\s*(2015|2019|2024)/i)?.slice(1).find(Boolean) || null;
+
+// "09:30 AM - 12:30 PM" -> { startTime: '09:30', endTime: '12:30' } (24-hour)
+function parseTimeRange(text) {
+  const times = [...String(text || '').matchAll(/(\d{1,2})[:.](\d{2})\s*([AP]M)?/gi)].map(([, h, m, ampm]) => {
+    let hour = parseInt(h) % (ampm ? 12 : 24);
+    if (ampm && ampm.toUpperCase() === 'PM') hour += 12;
+    return `${String(hour).padStart(2, '0')}:${m}`;
+  });
+  return { startTime: times[0] || null, endTime: times[1] || null };
+}
+
+// Timetable: [{ exam, scheme, semester, entries: [{ date, session, startTime, endTime, courseCode, courseName, branch, semester, scheme }] }]
+export function parseTimetable(html) {
+  const $ = load(html);
+  const selectors = trackSelectors($, 'timetable');
+  const exams = [];
+
+  selectors.find('tables', 'table').each((i, table) => {
+    const heading = clean($(table).find('caption').first().text())
+      || clean($(table).prevAll('h2, h3, h4, .title').first().text())
+      || clean($(table).parent().prevAll('h2, h3, h4, .title').first().text());
+    const rows = readTable($, table, {
+      date: /date/,
+      session: /session/,
+      time: /time/,
+      courseCode: /code/,
+      courseName: /^(?!.*code).*(course|subject|paper)/,
+      branch: /branch|programme|stream/,
+      semester: /^sem/,
+      scheme: /scheme|regulation/,
+    });
+
+    const exam = { exam: heading, scheme: schemeOf(heading), semester: semesterNumber(heading.match(/\bS[1-8]\b/)?.[0]), entries: [] };
+    let lastDate = null;
+    for (const row of rows) {
+      if (!row.courseCode && !row.courseName) continue;
+      // Several papers on one day often leave the date cell empty (or span it)
+      const date = parseKtuDate(row.date) || lastDate;
+      lastDate = date;
+      const session = /^a|after/i.test(row.session) ? 'AN' : /^f|fore|morn/i.test(row.session) ? 'FN' : row.session || null;
+      exam.entries.push({
+        date,
+        session,
+        ...parseTimeRange(row.time),
+        courseCode: row.courseCode.toUpperCase(),
+        courseName: row.courseName,
+        branch: row.branch || null,
+        semester: semesterNumber(row.semester) ?? exam.semester,
+        scheme: schemeOf(`${row.scheme} scheme`) ?? exam.scheme,
+      });
+    }
+    if (exam.entries.length) exams.push(exam);
+  });
+
+  return selectors.report(exams);
+}
+
+// Exam registration page: { registrations: [{ exam, status, registered, feeStatus, registeredOn }], courses: [{ code, name, type }] }
+export function parseExamRegistration(html) {
+  const $ = load(html);
+  const selectors = trackSelectors($, 'examRegistration');
+  const registrations = [];
+  const courses = [];
+
+  selectors.find('tables', 'table').each((i, table) => {
+    const header = clean($(table).find('tr').first().text()).toLowerCase();
+    if (/status/.test(header) && /exam/.test(header)) {
+      for (const row of readTable($, table, { exam: /exam/, status: /status/, feeStatus: /fee/, registeredOn: /date|registered on|applied/ })) {
+        if (!row.exam) continue;
+        registrations.push({
+          exam: row.exam,
+          status: row.status,
+          registered: /approved|registered|confirmed|submitted/i.test(row.status) && !/\bnot\b|reject/i.test(row.status),
+          feeStatus: row.feeStatus || null,
+          registeredOn: parseKtuDate(row.registeredOn),
+        });
+      }
+    } else if (/code/.test(header)) {
+      for (const row of readTable($, table, { code: /code/, name: /^(?!.*code).*(course|subject|name)/, type: /type|category/ })) {
+        if (row.code) courses.push({ code: row.code.toUpperCase(), name: row.name, type: row.type || null });
+      }
+    }
+  });
+
+  return selectors.report({ registrations, courses });
+}
+
+// Hall-ticket page: [{ exam, available, url }]; a download link means the hall ticket is out.
+// `url` is null when the link is not a usable http(s) url (javascript: handlers, malformed hrefs).
+export function parseHallTickets(html, { baseUrl = 'https://app.ktu.edu.in' } = {}) {
+  const $ = load(html);
+  const selectors = trackSelectors($, 'hallTickets');
+  const tickets = [];
+
+  selectors.find('tables', 'table').each((i, table) => {
+    for (const row of readTable($, table, { exam: /exam/ })) {
+      if (!row.exam) continue;
+      const href = row.$cells.find('a[href]').filter((j, a) => /download|hall\s*ticket|view/i.test($(a).text() + $(a).attr('href'))).first().attr('href');
+      tickets.push({ exam: row.exam, available: Boolean(href), url: href ? absolute(href, baseUrl) : null });
+    }
+  });
+
+  return selectors.report(tickets);
+}
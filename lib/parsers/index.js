@@ -0,0 +1,12 @@
+// lib/parsers/index.js - All HTML parsers; each takes HTML (or a cheerio root) and returns plain data
+
+export { profileParsers, parseProfile } from './profile.js';
+export { parsePersonalInfo } from './personalInfo.js';
+export { parseAcademicInfo } from './academicInfo.js';
+export { parseActivityPoints } from './activityPoints.js';
+export { parseCredits } from './credits.js';
+export { parseSemesterResults } from './semesterResults.js';
+export { parseResults } from './results.js';
+export { parseAnnouncements, parseAnnouncementPager, parseKtuDate, ANNOUNCEMENT_CATEGORIES } from './announcements.js';
+export { parseAttendanceSemesters, parseAttendanceTable } from './attendance.js';
+export { parseTimetable, parseExamRegistration, parseHallTickets, semesterNumber } from './exams.js';
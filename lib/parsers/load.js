@@ -0,0 +1,45 @@
+// lib/parsers/load.js - Accept raw HTML or an already loaded cheerio root
+// Lets several section parsers share one parse of the same page.
+// Parsers look elements up through a selector tracker, so layout drift shows up as selectors that stopped
+// matching (reported to lib/scrapeHealth.js) rather than only as empty fields.
+
+import * as cheerio from 'cheerio';
+
+export function load(input) {
+  if (typeof input === 'function' && typeof input.root === 'function') return input;
+  return cheerio.load(input || '');
+}
+
+const listeners = new Set();
+
+// `fn(section, matches, data)` after every tracked parse; returns an unsubscribe function
+export function onSelectorReport(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// find(name, selector, within?) is $(selector) (or $(within).find(selector)) that also counts the matches
+// under `name`; report(data) hands { name: { selector, matches } } and the parsed data to the listeners
+export function trackSelectors($, section) {
+  const matches = {};
+  return {
+    find(name, selector, within) {
+      const found = within === undefined ? $(selector) : $(within).find(selector);
+      matches[name] ||= { selector, matches: 0 };
+      matches[name].matches += found.length;
+      return found;
+    },
+    report(data) {
+      for (const fn of listeners) fn(section, matches, data);
+      return data;
+    },
+  };
+}
+
+// Text of a `.view-badge` labelled item with the badge label itself removed
+export function badgeValue($, label, selectors) {
+  const selector = `span.view-badge:contains("${label}")`;
+  const parent = (selectors ? selectors.find(label, selector) : $(selector)).parent();
+  const badge = parent.find('.view-badge').text();
+  return parent.text().replace(badge, '').trim();
+}
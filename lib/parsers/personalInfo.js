@@ -0,0 +1,38 @@
+// lib/parsers/personalInfo.js - Name, admission number, branch, semester and college from the profile page
+
+import { load, badgeValue, trackSelectors } from './load.js';
+
+export function parsePersonalInfo(html) {
+  const $ = load(html);
+  const selectors = trackSelectors($, 'personalInfo');
+
+  const nameAndAdmissionText = selectors.find('profileTitle', '.profile-title').first().text().trim();
+  const username = nameAndAdmissionText.substring(0, nameAndAdmissionText.indexOf('(')).trim();
+  const admissionNo = nameAndAdmissionText.substring(nameAndAdmissionText.indexOf('(') + 1, nameAndAdmissionText.indexOf(')')).trim();
+
+  let gender = '';
+  let dob = '';
+  selectors.find('detailItems', '.list-group-item').each(function () {
+    const badgeText = $(this).find('.view-badge').text().trim();
+    if (badgeText === 'Gender') {
+      gender = $(this).contents().filter(function() { return this.nodeType === 3; }).text().trim();
+    }
+    if (badgeText === 'Date of Birth') {
+      dob = $(this).contents().filter(function() { return this.nodeType === 3; }).text().trim();
+    }
+  });
+
+  const panelTitle = selectors.find('collegeTitle', '.panel-title').first().text().trim();
+  const college = panelTitle.substring(panelTitle.lastIndexOf('(') + 1, panelTitle.lastIndexOf(')'));
+
+  return selectors.report({
+    name: username,
+    admissionNo: admissionNo,
+    gender: gender,
+    dob: dob,
+    branch: badgeValue($, 'Admitted Branch', selectors),
+    semester: badgeValue($, 'Current Semester', selectors),
+    batch: '', // This information is not available on the page
+    college: college,
+  });
+}
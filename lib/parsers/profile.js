@@ -0,0 +1,29 @@
+// lib/parsers/profile.js - Section parsers for the student details page
+// Each section is a (html | cheerio root) => data function. New sections are added to
+// `profileParsers`; parseProfile runs the requested ones over a single cheerio parse.
+
+import { load } from './load.js';
+import { parsePersonalInfo } from './personalInfo.js';
+import { parseAcademicInfo } from './academicInfo.js';
+import { parseActivityPoints } from './activityPoints.js';
+import { parseCredits } from './credits.js';
+import { parseSemesterResults } from './semesterResults.js';
+
+export const profileParsers = {
+  personalInfo: parsePersonalInfo,
+  academicInfo: parseAcademicInfo,
+  activityPoints: parseActivityPoints,
+  credits: parseCredits,
+  semesterResults: parseSemesterResults,
+};
+
+export function parseProfile(html, sections = Object.keys(profileParsers)) {
+  const $ = load(html);
+  const profile = {};
+  for (const section of sections) {
+    const parser = profileParsers[section];
+    if (!parser) throw new Error(`Unknown profile section: ${section}`);
+    profile[section] = parser($);
+  }
+  return profile;
+}
@@ -0,0 +1,37 @@
+// lib/parsers/results.js - Public exam results page
+
+import { load, trackSelectors } from './load.js';
+
+export function parseResults(html) {
+  const $ = load(html);
+  const selectors = trackSelectors($, 'results');
+
+  // Fallbacks are only tried (and tracked) when the earlier ones come up empty
+  const studentName = selectors.find('studentName', '.student-name, #studentName').text().trim()
+    || selectors.find('nameLabel', 'span:contains("Name:")').next().text().trim()
+    || selectors.find('nameCell', 'td:contains("Name")').next().text().trim()
+    || 'Name not available';
+  const results = [];
+
+  selectors.find('examBlocks', '.exam-result, .result-card, table.result').each((i, elem) => {
+    const exam = {
+      examName: selectors.find('examName', '.exam-name, h3, h4, caption', elem).first().text().trim(),
+      examDate: $(elem).find('.exam-date, .date').text().trim(),
+      sgpa: $(elem).find('.sgpa, td:contains("SGPA")').next().text().trim() || 'N/A',
+      cgpa: $(elem).find('.cgpa, td:contains("CGPA")').next().text().trim() || 'N/A',
+      subjects: [],
+    };
+
+    selectors.find('subjectRows', 'tbody tr, tr.subject-row, tr', elem).each((j, row) => {
+      const cells = $(row).find('td');
+      if (cells.length >= 3) {
+        const subject = { code: $(cells[0]).text().trim(), name: $(cells[1]).text().trim(), credits: $(cells[2]).text().trim() || '', grade: $(cells[3]).text().trim() || '', gradePoint: $(cells[4]).text().trim() || '' };
+        if (subject.code && subject.name) exam.subjects.push(subject);
+      }
+    });
+
+    if (exam.examName && exam.subjects.length) results.push(exam);
+  });
+
+  return selectors.report({ studentName, results });
+}
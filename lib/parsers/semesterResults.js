@@ -0,0 +1,42 @@
+// lib/parsers/semesterResults.js - Per-semester course grades from the curriculum tab
+
+import { load, trackSelectors } from './load.js';
+import { COURSE_CODE_RE } from '../curriculum.js';
+
+export function parseSemesterResults(html) {
+  const $ = load(html);
+  const selectors = trackSelectors($, 'semesterResults');
+  const semesterResults = [];
+
+  selectors.find('semesterPanels', '#curriculamTab_curriculam .panel-group .panel-default').each((i, semesterPanel) => {
+    const semesterName = selectors.find('semesterTitle', '.panel-title a', semesterPanel).first().text().trim();
+    const subjects = [];
+    selectors.find('courseRows', 'table tbody tr', semesterPanel).each((j, row) => {
+      const cells = $(row).find('td');
+      if (cells.length >= 9) {
+        const courseText = $(cells[1]).text().trim();
+        const codeMatch = courseText.match(COURSE_CODE_RE);
+        const code = codeMatch ? codeMatch[0] : '';
+        // "CST302 - COMPILER DESIGN": drop the separator after the code, keep hyphens inside the name
+        const name = (code ? courseText.substring(courseText.indexOf(code) + code.length) : courseText).replace(/^\s*[-–:]?\s*/, '').replace(/\s+/g, ' ').trim();
+
+        const subject = {
+          code: code,
+          name: name,
+          credits: $(cells[2]).text().trim(),
+          grade: $(cells[7]).text().trim(),
+          gradePoint: '' // Not on the page; filled in by lib/grading.js
+        };
+        if (subject.code && subject.name) {
+          subjects.push(subject);
+        }
+      }
+    });
+    if (subjects.length > 0) {
+      const portalSgpa = $(semesterPanel).find('table td[rowspan]').map((j, el) => $(el).text().trim()).get().find(s => !isNaN(parseFloat(s))) || '';
+      semesterResults.push({ semester: semesterName, portalSgpa, subjects });
+    }
+  });
+
+  return selectors.report(semesterResults);
+}
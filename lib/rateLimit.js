@@ -0,0 +1,73 @@
+// lib/rateLimit.js - Fixed-window request budgets per client
+// - A client is an API key (`key:<id>`) or, without one, an IP address (`ip:<addr>`)
+// - Each limiter is one budget; the server keeps a general one, a smaller one for login-backed routes
+//   and one for failed admin token attempts
+// - Rejections carry Retry-After (seconds until the window resets)
+
+import { sendError } from './errors.js';
+
+export class RateLimiter {
+  constructor({ window = 60, limit = 60, maxClients = 10000 } = {}) {
+    this.window = window * 1000;
+    this.limit = limit;
+    this.maxClients = maxClients;
+    this.windows = new Map(); // client -> { count, resetAt }
+  }
+
+  // Count one request for `client`; `limit` overrides the default (0 or less means unlimited)
+  hit(client, limit = this.limit) {
+    const now = Date.now();
+    if (!(limit > 0)) return { allowed: true, limit: 0, remaining: Infinity, retryAfter: 0 };
+    let current = this.windows.get(client);
+    if (!current && this.windows.size >= this.maxClients) this.evict(now);
+    if (!current || current.resetAt <= now) {
+      current = { count: 0, resetAt: now + this.window };
+      // Re-inserted, so the map stays ordered by window start
+      this.windows.delete(client);
+      this.windows.set(client, current);
+    }
+    const reset = Math.ceil((current.resetAt - now) / 1000);
+    if (current.count >= limit) return { allowed: false, limit, remaining: 0, reset, retryAfter: reset };
+    current.count++;
+    return { allowed: true, limit, remaining: limit - current.count, reset, retryAfter: 0 };
+  }
+
+  // hit() without counting: whether `client` has budget left
+  peek(client, limit = this.limit) {
+    const now = Date.now();
+    if (!(limit > 0)) return { allowed: true, limit: 0, remaining: Infinity, retryAfter: 0 };
+    const current = this.windows.get(client);
+    if (!current || current.resetAt <= now) return { allowed: true, limit, remaining: limit, reset: Math.ceil(this.window / 1000), retryAfter: 0 };
+    const reset = Math.ceil((current.resetAt - now) / 1000);
+    const remaining = Math.max(limit - current.count, 0);
+    return { allowed: remaining > 0, limit, remaining, reset, retryAfter: remaining > 0 ? 0 : reset };
+  }
+
+  sweep(now = Date.now()) {
+    for (const [client, { resetAt }] of this.windows) if (resetAt <= now) this.windows.delete(client);
+  }
+
+  // Make room for a new client: expired windows first, then the oldest ones (Map order is insertion order),
+  // so the map never holds more than maxClients windows
+  evict(now = Date.now()) {
+    this.sweep(now);
+    for (const client of this.windows.keys()) {
+      if (this.windows.size < this.maxClients) break;
+      this.windows.delete(client);
+    }
+  }
+}
+
+// RateLimit-* headers for an allowed request (skipped for unlimited budgets)
+export function setRateLimitHeaders(res, result, prefix = 'RateLimit') {
+  if (!result.limit) return;
+  res.set(`${prefix}-Limit`, String(result.limit));
+  res.set(`${prefix}-Remaining`, String(result.remaining));
+  res.set(`${prefix}-Reset`, String(result.reset));
+}
+
+// 429 in the caller's API version error shape; `code` / `message` name the budget that ran out
+export function tooManyRequests(res, retryAfter, { code = 'RATE_LIMITED', message = 'Too many requests', ...extra } = {}) {
+  res.set('Retry-After', String(retryAfter));
+  return sendError(res, 429, code, message, { retryAfter, ...extra });
+}
@@ -0,0 +1,40 @@
+// lib/redact.js - Keep passwords, tokens and cookies out of the logs
+// installLogRedaction() wraps console.log / info / warn / error so every caller is covered.
+
+import util from 'util';
+
+const SENSITIVE_KEYS = /^(password|pass|pwd|secret|token|accessToken|refreshToken|cookie|cookies|set-cookie|authorization|x-admin-token|csrf_token)$/i;
+
+const PATTERNS = [
+  [/(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi, '$1[REDACTED]'],
+  [/("?(?:password|refreshToken|accessToken|secret|token)"?\s*[:=]\s*)("[^"]*"|'[^']*'|[^\s,&}]+)/gi, '$1[REDACTED]'],
+  [/((?:JSESSIONID|SESSION|CSRF_TOKEN)=)[^;\s&]+/gi, '$1[REDACTED]'],
+];
+
+export function redactString(text) {
+  return PATTERNS.reduce((s, [re, replacement]) => s.replace(re, replacement), String(text));
+}
+
+export function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (!value || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+  if (value instanceof Error) {
+    const copy = new Error(redactString(value.message));
+    copy.name = value.name;
+    copy.stack = value.stack && redactString(value.stack);
+    return copy;
+  }
+  if (Array.isArray(value)) return value.map(v => redact(v, seen));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = SENSITIVE_KEYS.test(k) ? '[REDACTED]' : redact(v, seen);
+  return out;
+}
+
+export function installLogRedaction(target = console) {
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = target[method].bind(target);
+    target[method] = (...args) => original(util.format(...args.map(a => redact(a))));
+  }
+}
@@ -0,0 +1,17 @@
+// lib/registerNo.js - KTU register numbers
+// College code, admission year, branch and serial: TVE20CS001. Lateral entry students carry an L prefix
+// (LTVE21CS045) and some programmes use a three-letter branch code (TVE20MCA001).
+
+// Also the `pattern` of register numbers in the OpenAPI document
+export const REGISTER_NO_PATTERN = '^([Ll]?)([A-Za-z]{3})(\\d{2})([A-Za-z]{2,3})(\\d{3})$';
+
+export const REGISTER_NO_RE = new RegExp(REGISTER_NO_PATTERN);
+
+export const isRegisterNo = value => REGISTER_NO_RE.test(String(value ?? ''));
+
+// { registerNo, lateral, college, year, branch, serial }, or null when it is not a register number
+export function parseRegisterNo(value) {
+  const m = String(value ?? '').toUpperCase().match(REGISTER_NO_RE);
+  if (!m) return null;
+  return { registerNo: m[0], lateral: m[1] === 'L', college: m[2], year: 2000 + parseInt(m[3]), branch: m[4], serial: m[5] };
+}
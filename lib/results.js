@@ -0,0 +1,43 @@
+// lib/results.js - Public exam results from the KTU portal
+// The results page has moved between hosts over time, so the candidate URLs are tried in order.
+
+import { makeRequest } from './http.js';
+import { parseResults } from './parsers/results.js';
+import { upstreamLabel, findDrift } from './scrapeHealth.js';
+
+export const resultsUrls = registerNo => [
+  `https://app.ktu.edu.in/public/results?registerNo=${registerNo}`,
+  `https://results.ktu.edu.in/results?registerNo=${registerNo}`,
+  `https://app.ktu.edu.in/public/studentresults/${registerNo}`,
+];
+
+// Parsed results for a register number, or null when none of the candidate URLs answered.
+// `results.results` may be empty when the page loaded but listed no exams.
+// `drift` lists required fields that came back empty (see lib/scrapeHealth.js).
+export async function fetchResults(registerNo, examId) {
+  let response = null;
+  let successUrl = null;
+  const failures = [];
+  for (const url of resultsUrls(registerNo)) {
+    try {
+      response = await makeRequest(examId ? `${url}&examId=${examId}` : url, { method: 'GET' });
+      if (response && response.status === 200 && response.data) {
+        successUrl = url;
+        break;
+      }
+      failures.push(`${upstreamLabel(url)}: empty response (status ${response?.status})`);
+    } catch (e) {
+      // continue to next URL
+      failures.push(`${upstreamLabel(url)}: ${e?.response?.status ? `status ${e.response.status}` : e?.code || e?.message}`);
+    }
+  }
+
+  if (!response || !successUrl) {
+    console.warn('No results URL answered:', failures.join('; '));
+    return null;
+  }
+
+  const parsed = parseResults(response.data);
+  const drift = findDrift({ results: parsed });
+  return { registerNo: registerNo.toUpperCase(), ...parsed, fetchedFrom: successUrl, ...(drift.length ? { drift } : {}) };
+}
@@ -0,0 +1,170 @@
+// lib/scrapeHealth.js - Scraper health: layout drift per parsed section and request stats per KTU upstream
+// - Every tracked parse (lib/parsers/load.js) reports which selectors matched and what it produced; a section
+//   whose required fields come back empty is flagged as drifted, and stays degraded until a clean parse
+// - Sections without required fields (activity points, credits, ...) only report their selector matches
+// - Every request attempt made by lib/http.js is recorded per upstream (host + path), so the guessed results
+//   URLs each show their own latency, retries and failures
+// - Everything is also exported as Prometheus metrics (lib/metrics.js); /health shows report()
+
+import { onSelectorReport } from './parsers/load.js';
+import { isRegisterNo } from './registerNo.js';
+import {
+  upstreamDuration, upstreamRequests, upstreamRetries, upstreamFailures,
+  selectorMatches, parserChecks, parserDrift, sectionDegraded,
+} from './metrics.js';
+
+// Fields that must not come back empty; `[]` descends into every item of a list (an empty list is fine)
+export const REQUIRED_FIELDS = {
+  personalInfo: ['name', 'admissionNo', 'branch', 'semester'],
+  academicInfo: ['cgpa'],
+  semesterResults: ['[].semester', '[].subjects[].credits', '[].subjects[].grade'],
+  results: ['results[].subjects[].grade'],
+  attendance: ['[].subject', '[].percentage'],
+  announcements: ['[].title', '[].date'],
+  timetable: ['[].exam', '[].entries[].date', '[].entries[].courseCode'],
+};
+
+// Fallback texts the parsers put in place of a missing value
+const PLACEHOLDERS = ['Name not available', 'N/A'];
+
+const isEmpty = value => value === undefined || value === null
+  || (typeof value === 'string' && (!value.trim() || PLACEHOLDERS.includes(value.trim())));
+
+// Values at `path` in data: 'a.b' is one value, 'a[].b' one per item of a
+function valuesAt(data, path) {
+  let values = [data];
+  for (const part of path.split('.')) {
+    const [, key, list] = part.match(/^([^[]*)(\[\])?$/);
+    values = values.map(value => (key ? value?.[key] : value));
+    if (list) values = values.flatMap(value => (Array.isArray(value) ? value : []));
+  }
+  return values;
+}
+
+// Required fields of one section that came back empty, e.g. ['name', 'subjects[].code']
+export function driftFields(section, data) {
+  return (REQUIRED_FIELDS[section] || [])
+    .filter(path => valuesAt(data, path).some(isEmpty))
+    .map(path => path.replace(/^\[\]\./, ''));
+}
+
+// Drifted fields across several sections: { personalInfo, academicInfo } -> ['personalInfo.name', ...]
+export function findDrift(sections) {
+  return Object.entries(sections).flatMap(([section, data]) => driftFields(section, data).map(field => `${section}.${field}`));
+}
+
+// Metric label for a KTU url: host + path, register numbers replaced and the query dropped
+export function upstreamLabel(url) {
+  try {
+    const { host, pathname } = new URL(url);
+    return host + pathname.split('/').map(part => (isRegisterNo(part) ? ':registerNo' : part)).join('/');
+  } catch (err) {
+    return 'invalid-url';
+  }
+}
+
+export class ScrapeMonitor {
+  constructor({ requiredFields = REQUIRED_FIELDS } = {}) {
+    this.requiredFields = requiredFields;
+    this.sections = new Map();
+    this.upstreams = new Map();
+    for (const section of Object.keys(requiredFields)) this.section(section);
+  }
+
+  section(name) {
+    if (!this.sections.has(name)) {
+      this.sections.set(name, { status: 'unknown', checks: 0, drifted: 0, emptyFields: [], selectors: {}, lastCheckedAt: null, lastDriftAt: null });
+    }
+    return this.sections.get(name);
+  }
+
+  // A tracked parse finished; returns the required fields that came back empty
+  parsed(section, matches, data) {
+    const state = this.section(section);
+    state.selectors = Object.fromEntries(Object.entries(matches).map(([name, { matches: count }]) => [name, count]));
+    for (const [name, count] of Object.entries(state.selectors)) selectorMatches.set({ section, selector: name }, count);
+    state.lastCheckedAt = new Date().toISOString();
+    if (!this.requiredFields[section]) {
+      state.status = 'ok';
+      return [];
+    }
+
+    const empty = driftFields(section, data);
+    parserChecks.inc({ section });
+    state.checks++;
+    for (const field of empty) parserDrift.inc({ section, field });
+    sectionDegraded.set({ section }, empty.length ? 1 : 0);
+
+    if (empty.length) {
+      if (state.status !== 'degraded') {
+        const unmatched = Object.keys(state.selectors).filter(name => !state.selectors[name]);
+        console.warn(`⚠️  Possible KTU layout change in ${section}: empty ${empty.join(', ')}${unmatched.length ? `; no match for ${unmatched.join(', ')}` : ''}`);
+      }
+      state.drifted++;
+      state.lastDriftAt = state.lastCheckedAt;
+    } else if (state.status === 'degraded') {
+      console.log(`✅ ${section} parses cleanly again`);
+    }
+    state.status = empty.length ? 'degraded' : 'ok';
+    state.emptyFields = empty;
+    return empty;
+  }
+
+  // One request attempt to KTU finished; `last` marks the final attempt of a request (success or giving up)
+  attempt(url, { durationMs, ok, status = null, error = null, retry = false, last = true }) {
+    const upstream = upstreamLabel(url);
+    const outcome = ok ? 'success' : 'failure';
+    upstreamDuration.observe({ upstream, outcome }, durationMs / 1000);
+    if (retry) upstreamRetries.inc({ upstream });
+
+    if (!this.upstreams.has(upstream)) {
+      this.upstreams.set(upstream, {
+        requests: 0, failures: 0, retries: 0, attempts: 0, totalMs: 0,
+        lastStatus: null, lastError: null, lastSuccessAt: null, lastFailureAt: null,
+      });
+    }
+    const state = this.upstreams.get(upstream);
+    state.attempts++;
+    state.totalMs += durationMs;
+    if (retry) state.retries++;
+    state.lastStatus = status;
+    if (!last) return;
+
+    upstreamRequests.inc({ upstream, outcome });
+    state.requests++;
+    if (ok) {
+      state.lastSuccessAt = new Date().toISOString();
+    } else {
+      upstreamFailures.inc({ upstream, reason: status ? `http_${status}` : error?.code || 'error' });
+      state.failures++;
+      state.lastFailureAt = new Date().toISOString();
+      state.lastError = error?.message || (status ? `HTTP ${status}` : 'Request failed');
+    }
+  }
+
+  // { degraded: [section], sections: { name: {...} }, upstreams: { label: {...} } }
+  report() {
+    const sections = {};
+    for (const [name, { selectors, ...state }] of this.sections) {
+      sections[name] = { ...state, selectors, unmatchedSelectors: Object.keys(selectors).filter(s => !selectors[s]) };
+    }
+    const upstreams = {};
+    for (const [label, { attempts, totalMs, ...state }] of this.upstreams) {
+      const failing = state.lastFailureAt && (!state.lastSuccessAt || state.lastFailureAt > state.lastSuccessAt);
+      upstreams[label] = {
+        status: failing ? 'failing' : state.lastSuccessAt ? 'ok' : 'unknown',
+        ...state,
+        averageLatencyMs: attempts ? Math.round(totalMs / attempts) : null,
+      };
+    }
+    return {
+      degraded: Object.keys(sections).filter(name => sections[name].status === 'degraded'),
+      sections,
+      upstreams,
+    };
+  }
+}
+
+// The process-wide monitor, fed by every tracked parse
+export const scrapeHealth = new ScrapeMonitor();
+onSelectorReport((section, matches, data) => scrapeHealth.parsed(section, matches, data));
@@ -0,0 +1,155 @@
+// lib/session.js - Reusable KTU portal sessions
+// - Logs in once with Puppeteer (through the browser pool) and keeps the portal cookies
+// - Later page fetches go through makeRequest with those cookies instead of a browser
+// - A fetch that lands back on the login page marks the session expired and logs in again once
+// - Sessions are keyed by register number and only reused when the same password is supplied
+
+import crypto from 'crypto';
+import { makeRequest, finalUrl } from './http.js';
+
+export const KTU_LOGIN_URL = 'https://app.ktu.edu.in/login.jsp';
+
+// Per-process salt so password fingerprints are useless outside this process
+const salt = crypto.randomBytes(16);
+const fingerprint = password => crypto.createHmac('sha256', salt).update(String(password)).digest('hex');
+
+export const cookieHeader = cookies => cookies.map(c => `${c.name}=${c.value}`).join('; ');
+
+// The portal redirects to login.jsp (or serves the login form in place) once a session is gone
+export function isLoginPage(response) {
+  if (/login\.jsp/i.test(finalUrl(response))) return true;
+  const body = typeof response?.data === 'string' ? response.data : '';
+  return /name=["']?CSRF_TOKEN/i.test(body) && /name=["']?password/i.test(body);
+}
+
+// Merge Set-Cookie headers from a response into the stored cookie list (the portal rotates JSESSIONID)
+function mergeSetCookies(cookies, response) {
+  const setCookies = response?.headers?.['set-cookie'] || [];
+  if (!setCookies.length) return cookies;
+  const merged = new Map(cookies.map(c => [c.name, c]));
+  for (const raw of setCookies) {
+    const [pair] = raw.split(';');
+    const eq = pair.indexOf('=');
+    if (eq < 1) continue;
+    const name = pair.slice(0, eq).trim();
+    merged.set(name, { ...(merged.get(name) || {}), name, value: pair.slice(eq + 1).trim() });
+  }
+  return [...merged.values()];
+}
+
+// Drive the login form in an isolated browser context and capture the resulting cookies.
+// Resolves to the cookie list, or null when the portal rejected the credentials.
+export async function loginWithBrowser(browser, registerNo, password) {
+  const context = await browser.createBrowserContext();
+  try {
+    const page = await context.newPage();
+    console.log('Navigating to login page...');
+    await page.goto(KTU_LOGIN_URL, { waitUntil: 'networkidle2' });
+
+    console.log('Extracting CSRF token...');
+    const csrfToken = await page.$eval('input[name="CSRF_TOKEN"]', el => el.value);
+
+    console.log('Typing credentials...');
+    await page.type('input[name="username"]', registerNo);
+    await page.type('input[name="password"]', password);
+
+    console.log('Submitting login form...');
+    await page.evaluate((token) => {
+      document.querySelector('input[name="CSRF_TOKEN"]').value = token;
+      document.querySelector('form').submit();
+    }, csrfToken);
+
+    console.log('Waiting for navigation after login...');
+    await page.waitForNavigation({ waitUntil: 'networkidle2' });
+
+    // Still looking at the login form means the credentials were rejected
+    if (/login\.jsp/i.test(page.url()) || await page.$('input[name="password"]')) return null;
+
+    return await page.cookies();
+  } finally {
+    await context.close().catch(() => {});
+  }
+}
+
+export class SessionManager {
+  constructor({ pool, ttl = 1200, login = loginWithBrowser } = {}) {
+    this.pool = pool;
+    this.ttl = ttl * 1000;
+    this.login = login;
+    this.sessions = new Map(); // REGNO -> { cookies, fingerprint, createdAt, lastUsed }
+    this.pending = new Map(); // REGNO -> in-flight login promise, so concurrent callers share one login
+
+    const sweep = setInterval(() => this.sweep(), Math.min(this.ttl, 60000));
+    sweep.unref?.();
+  }
+
+  // Returns a live session for the student, logging in if needed; null when login fails
+  async get(registerNo, password) {
+    const key = registerNo.toUpperCase();
+    const existing = this.sessions.get(key);
+    if (existing && existing.fingerprint === fingerprint(password) && Date.now() - existing.lastUsed < this.ttl) {
+      return existing;
+    }
+    // A wrong password must not evict a valid session; only drop it once it has expired
+    if (existing && Date.now() - existing.lastUsed >= this.ttl) this.sessions.delete(key);
+
+    const inFlight = this.pending.get(key);
+    if (inFlight && inFlight.fingerprint === fingerprint(password)) return inFlight.promise;
+
+    const promise = this.pool.withBrowser(browser => this.login(browser, registerNo, password))
+      .then(cookies => {
+        if (!cookies || !cookies.length) return null;
+        const now = Date.now();
+        const session = { registerNo: key, cookies, fingerprint: fingerprint(password), createdAt: now, lastUsed: now };
+        this.sessions.set(key, session);
+        return session;
+      })
+      .catch(err => {
+        console.error('Login error:', err?.message || err);
+        return null;
+      })
+      .finally(() => {
+        if (this.pending.get(key)?.promise === promise) this.pending.delete(key);
+      });
+
+    this.pending.set(key, { fingerprint: fingerprint(password), promise });
+    return promise;
+  }
+
+  // Fetch a portal page with the student's session cookies. Logs in again once if the
+  // session turned out to be expired. Resolves to the axios response, or null when login fails.
+  async fetch(registerNo, password, url, options = {}) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const session = await this.get(registerNo, password);
+      if (!session) return null;
+
+      const headers = { ...(options.headers || {}), Cookie: cookieHeader(session.cookies) };
+      const response = await makeRequest(url, { method: 'GET', ...options, headers });
+
+      if (!isLoginPage(response)) {
+        session.cookies = mergeSetCookies(session.cookies, response);
+        session.lastUsed = Date.now();
+        return response;
+      }
+
+      console.warn(`Portal session expired for ${session.registerNo}, logging in again...`);
+      this.invalidate(registerNo);
+    }
+    return null;
+  }
+
+  invalidate(registerNo) {
+    this.sessions.delete(registerNo.toUpperCase());
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, session] of this.sessions) {
+      if (now - session.lastUsed >= this.ttl) this.sessions.delete(key);
+    }
+  }
+
+  stats() {
+    return { sessions: this.sessions.size, pendingLogins: this.pending.size, browsers: this.pool.stats() };
+  }
+}
@@ -0,0 +1,89 @@
+// lib/snapshots.js - Dated snapshots of student records in a JSON-file store
+// - One file per register number under DATA_DIR/snapshots (default ./data/snapshots)
+// - Writes go to a temp file and are renamed into place, one at a time per student
+// - Only the newest `limit` snapshots of each type are kept, and a snapshot equal to the previous one of its
+//   type (ignoring fetch metadata such as lastUpdated) is not saved again
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const SNAPSHOT_TYPES = ['profile', 'results', 'attendance'];
+
+// Fields that change with every fetch, not with the student's record
+const VOLATILE_FIELDS = ['cached', 'stale', 'lastUpdated', 'fetchedFrom'];
+
+const sameRecord = (a, b) => {
+  const strip = data => JSON.stringify(Object.fromEntries(Object.entries(data || {}).filter(([key]) => !VOLATILE_FIELDS.includes(key))));
+  return strip(a) === strip(b);
+};
+
+export class SnapshotStore {
+  constructor({ dir = path.join(process.env.DATA_DIR || './data', 'snapshots'), limit = 100 } = {}) {
+    this.dir = dir;
+    this.limit = limit;
+    this.queues = new Map(); // REGNO -> tail of the write chain
+  }
+
+  file(registerNo) {
+    return path.join(this.dir, `${registerNo.toUpperCase().replace(/[^A-Z0-9]/g, '')}.json`);
+  }
+
+  async read(registerNo) {
+    try {
+      return JSON.parse(await fs.readFile(this.file(registerNo), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return { registerNo: registerNo.toUpperCase(), snapshots: [] };
+      throw err;
+    }
+  }
+
+  // Serialise read-modify-write cycles per student so concurrent saves do not lose snapshots.
+  // When `fn` returns null the file is left untouched.
+  update(registerNo, fn) {
+    const key = registerNo.toUpperCase();
+    const run = (this.queues.get(key) || Promise.resolve()).then(async () => {
+      const record = await this.read(key);
+      const result = fn(record);
+      if (result === null) return result;
+      await fs.mkdir(this.dir, { recursive: true });
+      const tmp = `${this.file(key)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(record));
+      await fs.rename(tmp, this.file(key));
+      return result;
+    });
+    const tail = run.catch(() => {});
+    this.queues.set(key, tail);
+    tail.then(() => {
+      if (this.queues.get(key) === tail) this.queues.delete(key);
+    });
+    return run;
+  }
+
+  // The saved snapshot, or null when nothing changed since the previous one of this type
+  async save(registerNo, type, data) {
+    const { cached, ...clean } = data || {};
+    const snapshot = { type, takenAt: new Date().toISOString(), data: clean };
+    return this.update(registerNo, record => {
+      const previous = record.snapshots.filter(s => s.type === type).pop();
+      if (previous && sameRecord(previous.data, clean)) return null;
+      record.snapshots.push(snapshot);
+      const ofType = record.snapshots.filter(s => s.type === type);
+      if (ofType.length > this.limit) {
+        const drop = new Set(ofType.slice(0, ofType.length - this.limit));
+        record.snapshots = record.snapshots.filter(s => !drop.has(s));
+      }
+      return snapshot;
+    });
+  }
+
+  // Snapshots oldest first, optionally of one type
+  async list(registerNo, type) {
+    const { snapshots } = await this.read(registerNo);
+    return type ? snapshots.filter(s => s.type === type) : snapshots;
+  }
+
+  // Save without failing the request that produced the data
+  record(registerNo, type, data) {
+    this.save(registerNo, type, data).catch(err => console.error(`Error saving ${type} snapshot:`, err?.message || err));
+  }
+}
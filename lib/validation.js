@@ -0,0 +1,147 @@
+// lib/validation.js - Checks /api/v2 traffic against the OpenAPI document
+// - Requests: path params, query string and JSON / form bodies; failures are 400 VALIDATION_FAILED
+//   with one { in, path, message } per problem
+// - Responses (when enabled): JSON bodies must match the documented status; a mismatch is logged and
+//   replaced by a 500 RESPONSE_VALIDATION_FAILED, so drift shows up in development and tests.
+//   Enabled by default only when NODE_ENV is development or test; an unset NODE_ENV counts as production
+// - Values are validated on copies: string query values are coerced for the check only, and handlers
+//   still see the request as sent
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { sendError } from './errors.js';
+
+// Path template -> matcher: '/results/{registerNo}' -> { re, names: ['registerNo'] }
+function compileTemplate(template) {
+  const names = [];
+  const source = template.split(/(\{[^}]+\})/).map(part => {
+    if (!part.startsWith('{')) return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    names.push(part.slice(1, -1));
+    return '([^/]+)';
+  }).join('');
+  return { re: new RegExp(`^${source}/?$`), names };
+}
+
+// Percent-decoded path segment; null for a malformed escape such as '%E0%A4'
+const decode = value => {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return null;
+  }
+};
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Ajv error -> { in, path, message }
+const describe = (location, root) => err => {
+  const field = err.params?.missingProperty ?? err.params?.additionalProperty;
+  const pointer = err.instancePath.split('/').filter(Boolean).concat(field ? [field] : []);
+  return { in: location, path: [root, ...pointer].filter(Boolean).join('.'), message: err.message };
+};
+
+export class OpenApiValidator {
+  constructor(spec, { responses = ['development', 'test'].includes(process.env.NODE_ENV) } = {}) {
+    this.spec = spec;
+    this.responses = responses;
+    this.ajv = new Ajv({ strict: false, allErrors: true, coerceTypes: true });
+    addFormats(this.ajv);
+    this.ajv.addSchema({ components: spec.components }, 'openapi');
+
+    // Literal routes before templated ones, so /exams/timetable.ics never reads as a parameter
+    this.routes = Object.entries(spec.paths)
+      .map(([template, item]) => ({ template, item, ...compileTemplate(template) }))
+      .sort((a, b) => a.names.length - b.names.length);
+    this.validators = new Map();
+  }
+
+  // Refs point into the shared components
+  compile(key, schema) {
+    if (!this.validators.has(key)) {
+      const rebased = JSON.parse(JSON.stringify(schema).replaceAll('"#/components/', '"openapi#/components/'));
+      this.validators.set(key, this.ajv.compile(rebased));
+    }
+    return this.validators.get(key);
+  }
+
+  // { template, method, operation, params } for a request path relative to the server url, or null.
+  // Params that are not valid percent-encoding come back as null and fail validateRequest().
+  match(method, path) {
+    for (const { template, item, re, names } of this.routes) {
+      const m = path.match(re);
+      const operation = m && item[method.toLowerCase()];
+      if (operation) {
+        const params = Object.fromEntries(names.map((name, i) => [name, decode(m[i + 1])]));
+        return { template, method: method.toLowerCase(), operation, params };
+      }
+    }
+    return null;
+  }
+
+  // Problems with a request ([] when it is valid)
+  validateRequest(route, { query = {}, body } = {}) {
+    const { template, method, operation, params } = route;
+    const errors = [];
+    const malformed = Object.keys(params).filter(name => params[name] === null);
+    errors.push(...malformed.map(name => ({ in: 'path', path: name, message: 'must be valid percent-encoding' })));
+    for (const location of ['path', 'query']) {
+      if (location === 'path' && malformed.length) continue;
+      const declared = (operation.parameters || []).filter(p => p.in === location);
+      if (!declared.length) continue;
+      const schema = {
+        type: 'object',
+        properties: Object.fromEntries(declared.map(p => [p.name, p.schema])),
+        required: declared.filter(p => p.required).map(p => p.name),
+      };
+      const validate = this.compile(`${method} ${template} ${location}`, schema);
+      if (!validate(clone(location === 'path' ? params : query))) errors.push(...validate.errors.map(describe(location, '')));
+    }
+
+    const requestBody = operation.requestBody;
+    const schema = requestBody?.content?.['application/json']?.schema;
+    const empty = body === undefined || (typeof body === 'object' && body !== null && !Object.keys(body).length);
+    if (requestBody?.required && empty && schema?.required?.length) {
+      errors.push({ in: 'body', path: '', message: 'request body is required' });
+    } else if (schema && !empty) {
+      const validate = this.compile(`${method} ${template} body`, schema);
+      if (!validate(clone(body))) errors.push(...validate.errors.map(describe('body', '')));
+    }
+    return errors;
+  }
+
+  // Problems with a JSON response body ([] when it matches; undocumented statuses fall back to `default`)
+  validateResponse(route, status, body) {
+    const { template, method, operation } = route;
+    const documented = operation.responses[status] ? status : 'default';
+    let response = operation.responses[documented];
+    if (response?.$ref) response = this.spec.components.responses[response.$ref.split('/').pop()];
+    const schema = response?.content?.['application/json']?.schema;
+    if (!schema) return [{ in: 'response', path: 'response', message: `status ${status} is not documented as JSON` }];
+    const validate = this.compile(`${method} ${template} ${documented}`, schema);
+    return validate(clone(body)) ? [] : validate.errors.map(describe('response', 'response'));
+  }
+
+  // Router middleware for the v2 mount: request checks, and response checks when enabled
+  middleware() {
+    return (req, res, next) => {
+      if (res.locals.apiVersion !== 2) return next();
+      const route = this.match(req.method, req.path);
+      if (!route) return next();
+
+      const errors = this.validateRequest(route, { query: req.query, body: req.body });
+      if (errors.length) return sendError(res, 400, 'VALIDATION_FAILED', 'Request does not match the API schema', { errors });
+
+      if (this.responses) {
+        const json = res.json.bind(res);
+        res.json = body => {
+          const problems = this.validateResponse(route, res.statusCode, body);
+          if (!problems.length) return json(body);
+          console.error(`Response to ${req.method} ${req.originalUrl} does not match the API schema:`, JSON.stringify(problems));
+          res.status(500);
+          return json({ error: { code: 'RESPONSE_VALIDATION_FAILED', message: 'Response does not match the API schema', details: { errors: problems } } });
+        };
+      }
+      next();
+    };
+  }
+}
@@ -0,0 +1,71 @@
+// lib/vault.js - Encrypted-at-rest JSON store for portal credentials and auth sessions
+// - Secrets are sealed with AES-256-GCM; the file only ever holds ciphertext for them
+// - The key is derived from AUTH_SECRET, so the vault is unreadable without it
+// - Writes are serialised and atomic (temp file + rename)
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+}
+
+// Plaintext, or null when the blob was sealed with another key or tampered with
+export function unseal(key, blob) {
+  try {
+    const [iv, tag, data] = String(blob).split('.').map(p => Buffer.from(p, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+export class Vault {
+  constructor({ key, file = path.join(process.env.DATA_DIR || './data', 'vault.json') }) {
+    this.key = key;
+    this.file = file;
+    this.state = null; // { credentials: { REGNO: sealed }, sessions: { sid: {...} } }
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    if (this.state) return this.state;
+    try {
+      this.state = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('Could not read vault:', err?.message || err);
+      this.state = { credentials: {}, sessions: {} };
+    }
+    return this.state;
+  }
+
+  // Apply `fn` to the loaded state and persist it; calls are serialised
+  update(fn) {
+    const run = this.queue.then(async () => {
+      const state = await this.load();
+      const result = fn(state);
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(state), { mode: 0o600 });
+      await fs.rename(tmp, this.file);
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async putCredentials(registerNo, password) {
+    await this.update(state => { state.credentials[registerNo.toUpperCase()] = seal(this.key, password); });
+  }
+
+  async getCredentials(registerNo) {
+    const sealed = (await this.load()).credentials[registerNo.toUpperCase()];
+    return sealed ? unseal(this.key, sealed) : null;
+  }
+}
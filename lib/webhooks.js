@@ -0,0 +1,273 @@
+// lib/webhooks.js - Webhook subscriptions for new announcements and changed results
+// - Subscriptions and the last seen state of every watched target persist in DATA_DIR/webhooks.json
+// - A scheduler polls each watched target, diffs it against the last seen state and notifies subscribers
+// - The first poll of a target only records a baseline, so subscribing does not replay old data
+// - Payloads are signed with HMAC-SHA256 over the raw body (X-KTU-Signature: sha256=<hex>)
+// - Failed deliveries are retried with exponential backoff
+// - Each subscription belongs to an owner (the API key that created it); callbacks must resolve to public
+//   addresses, checked when subscribing and again before every delivery, and redirects are not followed.
+//   A delivery connects to the address that was checked, so the host cannot be re-pointed in between
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import { lookup } from 'dns/promises';
+import net from 'net';
+import axios from 'axios';
+import { diffAnnouncements, diffResults } from './diff.js';
+
+export const WEBHOOK_EVENTS = ['announcements', 'results'];
+
+export const sign = (secret, body) => 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges a callback must not reach
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) blocked.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) blocked.addSubnet(address, prefix, 'ipv6');
+
+export function isPublicAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(address);
+  return Boolean(family) && !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Where a delivery to `url` should connect: { address, family } when it is http(s) and every address its host
+// resolves to is public (or, with allowPrivate, resolves at all); null otherwise
+export async function resolveCallback(url, { allowPrivate = false } = {}) {
+  let host;
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+    host = parsed.hostname.replace(/^\[|\]$/g, '');
+  } catch (err) {
+    return null;
+  }
+  try {
+    const addresses = await lookup(host, { all: true, verbatim: true });
+    if (!addresses.length || (!allowPrivate && !addresses.every(({ address }) => isPublicAddress(address)))) return null;
+    return addresses[0];
+  } catch (err) {
+    return null;
+  }
+}
+
+export const isPublicCallback = async url => Boolean(await resolveCallback(url));
+
+// dns.lookup replacement for an http(s) agent that always answers `target`, so the connection goes to the
+// address that was checked rather than whatever the host resolves to by then
+export const pinnedLookup = ({ address, family }) => (hostname, options, callback) => (
+  options?.all ? callback(null, [{ address, family }]) : callback(null, address, family)
+);
+
+// POST to the checked address; TLS still verifies the certificate against the url's host
+function postPinned(url, body, headers, target) {
+  const lookup = pinnedLookup(target);
+  return axios.post(url, body, {
+    headers,
+    timeout: 10000,
+    maxRedirects: 0,
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup }),
+  });
+}
+
+const targetKey = sub => (sub.event === 'results' ? `results:${sub.registerNo}` : 'announcements');
+
+export class WebhookManager {
+  constructor({
+    file = path.join(process.env.DATA_DIR || './data', 'webhooks.json'),
+    fetchers, // { announcements: () => data, results: registerNo => data }; null when KTU gave nothing
+    interval = 900,
+    maxRetries = 5,
+    retryDelay = 1000,
+    post = postPinned, // (url, body, headers, { address, family })
+    resolveUrl = resolveCallback,
+  } = {}) {
+    this.file = file;
+    this.fetchers = fetchers;
+    this.interval = interval * 1000;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.post = post;
+    this.resolveUrl = resolveUrl;
+    this.state = null; // { subscriptions: [], targets: { key: { data, checkedAt } } }
+    this.loading = null;
+    this.polling = null;
+    this.queue = Promise.resolve(); // tail of the write chain
+  }
+
+  // Concurrent first calls share one read, so none of them replaces state another already changed
+  load() {
+    this.loading ||= (async () => {
+      try {
+        this.state = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.error('Could not read webhook store:', err?.message || err);
+        this.state = { subscriptions: [], targets: {} };
+      }
+      return this.state;
+    })();
+    return this.loading;
+  }
+
+  // Writes are serialised, so subscribe / unsubscribe / poll never interleave on the temp file
+  persist() {
+    const run = this.queue.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(this.state));
+      await fs.rename(tmp, this.file);
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // The new subscription (with its secret, without its owner)
+  async subscribe({ url, event, registerNo, secret, owner }) {
+    const state = await this.load();
+    const subscription = {
+      id: crypto.randomUUID(),
+      owner,
+      url,
+      event,
+      registerNo: event === 'results' ? registerNo.toUpperCase() : undefined,
+      secret: secret || crypto.randomBytes(24).toString('hex'),
+      createdAt: new Date().toISOString(),
+    };
+    state.subscriptions.push(subscription);
+    await this.persist();
+    const { owner: _, ...created } = subscription;
+    return created;
+  }
+
+  // `owner` limits list / unsubscribe to that owner's subscriptions; undefined means all of them
+  async unsubscribe(id, owner) {
+    const state = await this.load();
+    const index = state.subscriptions.findIndex(s => s.id === id && (owner === undefined || s.owner === owner));
+    if (index === -1) return false;
+    state.subscriptions.splice(index, 1);
+
+    // Forget targets nobody watches any more
+    const watched = new Set(state.subscriptions.map(targetKey));
+    for (const key of Object.keys(state.targets)) if (!watched.has(key)) delete state.targets[key];
+    await this.persist();
+    return true;
+  }
+
+  // Subscriptions without their secrets or owners
+  async list(owner) {
+    const { subscriptions } = await this.load();
+    return subscriptions
+      .filter(sub => owner === undefined || sub.owner === owner)
+      .map(({ secret, owner: _, ...sub }) => sub);
+  }
+
+  // Whether any subscription follows the results of this register number
+  async watches(registerNo) {
+    const { subscriptions } = await this.load();
+    return subscriptions.some(sub => sub.event === 'results' && sub.registerNo === registerNo.toUpperCase());
+  }
+
+  // Whether `url` may be used as a callback
+  async allowUrl(url) {
+    return Boolean(await this.resolveUrl(url));
+  }
+
+  async deliver(subscription, payload) {
+    const body = JSON.stringify(payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-KTU-Event': payload.event,
+      'X-KTU-Delivery': payload.id,
+      'X-KTU-Signature': sign(subscription.secret, body),
+    };
+
+    // DNS may have changed since subscribing; every attempt goes to the address checked here
+    const target = await this.resolveUrl(subscription.url);
+    if (!target) {
+      console.error(`Webhook delivery to ${subscription.url} skipped: the host does not resolve to a public address`);
+      return false;
+    }
+
+    for (let i = 0; i <= this.maxRetries; i++) {
+      try {
+        await this.post(subscription.url, body, headers, target);
+        return true;
+      } catch (err) {
+        const status = err?.response?.status;
+        console.error(`Webhook delivery to ${subscription.url} failed (attempt ${i + 1}/${this.maxRetries + 1}):`, err?.message || err, status ? `(status ${status})` : '');
+        if (i === this.maxRetries) return false;
+        await new Promise(r => setTimeout(r, this.retryDelay * 2 ** i));
+      }
+    }
+  }
+
+  // Check one watched target and notify its subscribers of any changes
+  async check(key, subscribers) {
+    const state = await this.load();
+    const [event, registerNo] = key.split(':');
+    const data = event === 'results' ? await this.fetchers.results(registerNo) : await this.fetchers.announcements();
+    if (!data) return [];
+
+    const previous = state.targets[key];
+    state.targets[key] = { data, checkedAt: new Date().toISOString() };
+    if (!previous) return [];
+
+    const changes = event === 'results' ? diffResults(previous.data, data) : diffAnnouncements(previous.data, data);
+    if (!changes.length) return [];
+
+    await Promise.all(subscribers.map(sub => this.deliver(sub, {
+      id: crypto.randomUUID(),
+      event: event === 'results' ? 'results.changed' : 'announcements.new',
+      subscriptionId: sub.id,
+      registerNo: sub.registerNo,
+      changes,
+      occurredAt: new Date().toISOString(),
+    })));
+    return changes;
+  }
+
+  async poll() {
+    const { subscriptions } = await this.load();
+    const targets = new Map();
+    for (const sub of subscriptions) {
+      const key = targetKey(sub);
+      if (!targets.has(key)) targets.set(key, []);
+      targets.get(key).push(sub);
+    }
+
+    // Only baselines and changes are written; an idle poll leaves the store alone
+    let changed = false;
+    for (const [key, subscribers] of targets) {
+      try {
+        const before = this.state.targets[key];
+        const changes = await this.check(key, subscribers);
+        if (this.state.targets[key] !== before && (!before || changes.length)) changed = true;
+      } catch (err) {
+        console.error(`Webhook poll of ${key} failed:`, err?.message || err);
+      }
+    }
+    if (changed) await this.persist();
+  }
+
+  start() {
+    if (!this.interval || this.timer) return;
+    this.timer = setInterval(() => {
+      // Skip a tick rather than overlap a slow poll
+      if (this.polling) return;
+      this.polling = this.poll().finally(() => { this.polling = null; });
+    }, this.interval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
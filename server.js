@@ -1,447 +1,1159 @@
 // server.fixed.js - Corrected and improved KTU API server
 // Notes:
-// - Uses axios.create to centralize httpsAgent and default headers
-// - TLS verification is enabled by default; disable in development with SKIP_TLS_VERIFY=true
-// - Properly sets `Content-Type: application/x-www-form-urlencoded` when posting login form
-// - Merges headers passed to makeRequest with default headers
-// - Basic validation for register numbers consistent across routes
+// - HTTP helpers (axios instance, makeRequest) live in lib/http.js
+// - Portal logins go through lib/session.js: one pooled Puppeteer login per student, cookies reused
+// - Register numbers (including lateral entry) are validated by lib/registerNo.js across routes
+// - Every route is served at /api/v2 (OpenAPI-described and schema-validated) and at /api (v1 shapes)
+// - Parsers report selector matches and layout drift to lib/scrapeHealth.js; see /health and /metrics
+// - /graphql (also /api/graphql, lib/graphql.js) loads only the sections a query selects
 // - Better error logging and safer parsing guards
 
-import puppeteer from 'puppeteer';
+import crypto from 'crypto';
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
-import https from 'https';
-import * as cheerio from 'cheerio';
-import NodeCache from 'node-cache';
+import swaggerUi from 'swagger-ui-express';
+import { createCache } from './lib/cache.js';
+import { BrowserPool } from './lib/browserPool.js';
+import { SessionManager } from './lib/session.js';
+import { fetchAttendance, DEFAULT_ATTENDANCE_THRESHOLD } from './lib/attendance.js';
+import { parseProfile } from './lib/parsers/index.js';
+import { scrapeHealth, findDrift } from './lib/scrapeHealth.js';
+import { metricsRegistry } from './lib/metrics.js';
+import { fetchResults } from './lib/results.js';
+import { expandRange, createRateLimiter, runBatch, aggregateResults, BatchJobs } from './lib/batch.js';
+import { fetchAnnouncements, fetchAnnouncementsPage, collectAnnouncements, filterAnnouncements } from './lib/announcements.js';
+import { ANNOUNCEMENT_CATEGORIES } from './lib/parsers/index.js';
+import { renderFeed, FEED_FORMATS } from './lib/feed.js';
+import { fetchTimetable, fetchExamRegistration, fetchHallTickets, filterTimetable } from './lib/exams.js';
+import { toIcs, ICS_CONTENT_TYPE } from './lib/ics.js';
+import { findCourse, curriculumFor, curriculumSchemes, curriculumBranches, enrichSubjects, isCourseCode } from './lib/curriculum.js';
+import { WebhookManager, WEBHOOK_EVENTS, resolveCallback } from './lib/webhooks.js';
+import { negotiateFormat, sendExport, EXPORT_FORMATS } from './lib/export/index.js';
+import { gradeProfile, schemeForRegisterNo, SCHEMES } from './lib/grading.js';
+import { trackBacklogs } from './lib/backlogs.js';
+import { SnapshotStore, SNAPSHOT_TYPES } from './lib/snapshots.js';
+import { diffSnapshots, timeline } from './lib/diff.js';
+import { rulesFor, applyRequirements, evaluateEligibility, admissionTypeForRegisterNo, ADMISSION_TYPES } from './lib/eligibility.js';
+import { AuthService, studentAuth } from './lib/auth.js';
+import { installLogRedaction } from './lib/redact.js';
+import { ApiKeyStore, secondsUntilTomorrow } from './lib/apiKeys.js';
+import { RateLimiter, setRateLimitHeaders, tooManyRequests } from './lib/rateLimit.js';
+import { sendError } from './lib/errors.js';
+import { isRegisterNo, parseRegisterNo } from './lib/registerNo.js';
+import { openapiSpec } from './lib/openapi.js';
+import { OpenApiValidator } from './lib/validation.js';
+import { executeGraphql, graphqlError, Student, StudentLoader } from './lib/graphql.js';
+
+// Passwords, tokens and cookies never reach the logs
+installLogRedaction();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Cache responses for 30 minutes
-const cache = new NodeCache({ stdTTL: 1800 });
-
-// TLS: enable verification by default. To bypass for local dev only set SKIP_TLS_VERIFY=true
-const skipTls = process.env.SKIP_TLS_VERIFY === 'true';
-if (skipTls) {
-  console.warn('⚠️  TLS verification is disabled (SKIP_TLS_VERIFY=true) — only use for local development');
+// Behind a reverse proxy, TRUST_PROXY (hop count, `true` or a subnet list) makes req.ip the real client address
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? parseInt(trust) : trust === 'true' ? true : trust);
 }
 
-const httpsAgent = new https.Agent({ rejectUnauthorized: !skipTls });
-
-// Default axios instance
-const defaultHeaders = {
-  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-  Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-  'Accept-Language': 'en-US,en;q=0.9',
-  Referer: 'https://app.ktu.edu.in/',
-};
-
-const axiosInstance = axios.create({
-  timeout: 15000,
-  httpsAgent,
-  maxRedirects: 5,
-  headers: { ...defaultHeaders },
-});
-
-// Helper: makeRequest with retry + header merging
-async function makeRequest(url, options = {}, retries = 3) {
-  const opts = { ...options };
-  opts.headers = { ...defaultHeaders, ...(opts.headers || {}) };
-  opts.url = url;
-
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await axiosInstance.request(opts);
-      return response;
-    } catch (err) {
-      const short = err?.message || String(err);
-      const status = err?.response?.status;
-      console.error(`Request failed (attempt ${i + 1}/${retries}):`, short, status ? `(status ${status})` : '');
-      if (i === retries - 1) throw err;
-      // backoff
-      await new Promise(r => setTimeout(r, 1000 * (i + 1)));
-    }
-  }
-}
+// Response cache: CACHE_BACKEND=memory|redis, per-resource TTLs (CACHE_TTL_*), stale-while-revalidate
+const cache = await createCache();
+
+// Portal sessions: one Puppeteer login per student, cookies reused for later fetches.
+// BROWSER_POOL_SIZE caps concurrent Chromium instances; SESSION_TTL is the idle lifetime in seconds.
+const browserPool = new BrowserPool({ size: parseInt(process.env.BROWSER_POOL_SIZE) || 2 });
+const sessions = new SessionManager({ pool: browserPool, ttl: parseInt(process.env.SESSION_TTL) || 1200 });
+
+// Dated snapshots of every successful profile / results / attendance fetch (JSON files under DATA_DIR)
+const snapshots = new SnapshotStore({ limit: parseInt(process.env.HISTORY_LIMIT) || 100 });
+
+// Webhook subscriptions; KTU is polled every WEBHOOK_POLL_INTERVAL seconds (0 disables polling).
+// Callbacks must resolve to public addresses unless WEBHOOK_ALLOW_PRIVATE_HOSTS=true (local development only).
+const WEBHOOK_ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+const webhooks = new WebhookManager({
+  fetchers: { announcements: fetchAnnouncements, results: registerNo => fetchResults(registerNo) },
+  interval: parseInt(process.env.WEBHOOK_POLL_INTERVAL ?? '900') || 0,
+  ...(WEBHOOK_ALLOW_PRIVATE_HOSTS ? { resolveUrl: url => resolveCallback(url, { allowPrivate: true }) } : {}),
+});
+
+// Student auth: short-lived access tokens (AUTH_ACCESS_TTL) + rotating refresh tokens (AUTH_REFRESH_TTL).
+// Portal passwords are kept AES-GCM encrypted in DATA_DIR/vault.json, keyed by AUTH_SECRET.
+const auth = new AuthService({
+  accessTtl: parseInt(process.env.AUTH_ACCESS_TTL) || 900,
+  refreshTtl: parseInt(process.env.AUTH_REFRESH_TTL) || 7 * 24 * 3600,
+});
+// Login-backed routes take a Bearer access token or (legacy) body credentials; see lib/auth.js
+const { requireStudent, bearerStudent } = studentAuth({ auth, sessions });
+
+// API keys (X-API-Key, issued by an admin) and request budgets per key, or per IP without one.
+// RATE_LIMIT requests per RATE_LIMIT_WINDOW seconds; login-backed routes also draw on RATE_LIMIT_LOGIN.
+// RATE_LIMIT_ADMIN wrong admin tokens per IP and window lock that IP out of admin access until it resets.
+const apiKeys = new ApiKeyStore();
+const API_KEY_REQUIRED = process.env.API_KEY_REQUIRED === 'true';
+const RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW) || 60;
+const generalLimiter = new RateLimiter({ window: RATE_LIMIT_WINDOW, limit: parseInt(process.env.RATE_LIMIT ?? '60') || 0 });
+const loginLimiter = new RateLimiter({ window: RATE_LIMIT_WINDOW, limit: parseInt(process.env.RATE_LIMIT_LOGIN ?? '5') || 0 });
+const adminFailures = new RateLimiter({ window: RATE_LIMIT_WINDOW, limit: parseInt(process.env.RATE_LIMIT_ADMIN ?? '5') || 0 });
+
+// Browser origins allowed by CORS (comma-separated); unset or `*` allows any origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+// Batch results lookups: BATCH_CONCURRENCY lookups in flight, KTU requests at least BATCH_REQUEST_INTERVAL ms apart
+const BATCH_MAX_SIZE = parseInt(process.env.BATCH_MAX_SIZE) || 200;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 3;
+const batchLimiter = createRateLimiter(parseInt(process.env.BATCH_REQUEST_INTERVAL ?? '500') || 0);
+const batchJobs = new BatchJobs();
+
+// Older announcement pages are read on demand, at most ANNOUNCEMENTS_MAX_PAGES deep
+const ANNOUNCEMENTS_MAX_PAGES = parseInt(process.env.ANNOUNCEMENTS_MAX_PAGES) || 5;
+
+// Lifetime of exam calendar subscription links in seconds (default: 180 days)
+const EXAM_CALENDAR_TTL = parseInt(process.env.EXAM_CALENDAR_TTL) || 180 * 24 * 3600;
 
 // KTU URLs
-const KTU_LOGIN_URL = 'https://app.ktu.edu.in/login.jsp';
-const KTU_STUDENT_HOME = 'https://app.ktu.edu.in/eu/stu/studentBasicProfile.htm';
+const KTU_PROFILE_URL = 'https://app.ktu.edu.in/eu/stu/studentDetailsView.htm';
 
-// Basic register number validation used in multiple routes
-const REGNO_RE = /^[A-Z]{3}\d{2}[A-Z]{2}\d{3}$/i;
+// /api/v2 is described by lib/openapi.js; requests are checked against it, and so are responses when
+// VALIDATE_RESPONSES=true (default: on only with NODE_ENV=development or test)
+const validator = new OpenApiValidator(openapiSpec, {
+  responses: process.env.VALIDATE_RESPONSES === undefined ? undefined : process.env.VALIDATE_RESPONSES === 'true',
+});
 
-async function loginStudent(registerNo, password) {
-  let browser;
-  try {
-    console.log('Launching browser...');
-    browser = await puppeteer.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox'],
-    });
-    const page = await browser.newPage();
-    console.log('Navigating to login page...');
-    await page.goto(KTU_LOGIN_URL, { waitUntil: 'networkidle2' });
+// Attendance threshold (percent) from the request, falling back to ATTENDANCE_THRESHOLD / 75. NaN when invalid.
+function readThreshold(req) {
+  const raw = req.body?.threshold ?? req.query?.threshold;
+  if (raw === undefined || raw === '') return DEFAULT_ATTENDANCE_THRESHOLD;
+  const value = parseFloat(raw);
+  return value > 0 && value < 100 ? value : NaN;
+}
 
-    console.log('Extracting CSRF token...');
-    const csrfToken = await page.$eval('input[name="CSRF_TOKEN"]', el => el.value);
+// `?refresh=true` (or `refresh: true` in the body) bypasses the cache
+const wantsRefresh = req => String(req.query?.refresh ?? req.body?.refresh ?? '') === 'true';
 
-    console.log('Typing credentials...');
-    await page.type('input[name="username"]', registerNo);
-    await page.type('input[name="password"]', password);
+// Response body for a cache.wrap result: cached hits are flagged, stale ones too
+const withCacheFlags = ({ value, cached, stale }) => (cached ? { ...value, cached: true, ...(stale ? { stale: true } : {}) } : value);
 
-    console.log('Submitting login form...');
-    await page.evaluate((token) => {
-      document.querySelector('input[name="CSRF_TOKEN"]').value = token;
-      document.querySelector('form').submit();
-    }, csrfToken);
+const unsupportedFormat = res => sendError(res, 406, 'UNSUPPORTED_FORMAT', 'Unsupported format', { expected: Object.keys(EXPORT_FORMATS) });
 
-    console.log('Waiting for navigation after login...');
-    await page.waitForNavigation({ waitUntil: 'networkidle2' });
+// Admin routes need ADMIN_TOKEN as `Authorization: Bearer <token>` or `X-Admin-Token`; they are off when it is unset
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) return sendError(res, 403, 'ADMIN_DISABLED', 'Admin endpoints are disabled (ADMIN_TOKEN not set)');
+  const admin = checkAdmin(req, res);
+  if (admin === null) return undefined;
+  if (!admin) return sendError(res, 401, 'INVALID_ADMIN_TOKEN', 'Invalid admin token');
+  next();
+}
 
-    console.log('Navigating to full profile page...');
-    await page.goto('https://app.ktu.edu.in/eu/stu/studentDetailsView.htm', { waitUntil: 'networkidle2' });
+const suppliedAdminToken = req => (req.get('Authorization') || '').replace(/^Bearer\s+/i, '') || req.get('X-Admin-Token') || '';
 
-    console.log('Getting page content...');
-    const content = await page.content();
-    console.log(content);
-    return content;
-  } catch (err) {
-    console.error('Login error:', err?.message || err);
+// Whether the request carries ADMIN_TOKEN (never when it is unset)
+function isAdmin(req) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) return false;
+  const a = crypto.createHash('sha256').update(suppliedAdminToken(req)).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// isAdmin() with wrong tokens counted per IP, so the admin token cannot be guessed. Once an IP has spent its
+// RATE_LIMIT_ADMIN budget it gets a 429 (and null back) even for the right token until the window resets.
+function checkAdmin(req, res) {
+  const client = `ip:${req.ip}`;
+  const budget = adminFailures.peek(client);
+  if (!budget.allowed) {
+    tooManyRequests(res, budget.retryAfter, { message: 'Too many invalid admin tokens' });
     return null;
-  } finally {
-    if (browser) {
-      console.log('Closing browser...');
-      await browser.close();
+  }
+  if (isAdmin(req)) return true;
+  if (suppliedAdminToken(req)) adminFailures.hit(client);
+  return false;
+}
+
+// Webhooks belong to the API key that created them (the admin token sees and manages all of them).
+// Sets req.webhookOwner to `key:<id>` or 'admin'.
+function requireWebhookOwner(req, res, next) {
+  if (req.apiKey) {
+    req.webhookOwner = `key:${req.apiKey.id}`;
+    return next();
+  }
+  const admin = checkAdmin(req, res);
+  if (admin === null) return undefined;
+  if (!admin) return sendError(res, 401, 'API_KEY_REQUIRED', 'Webhooks need an API key (X-API-Key) or the admin token');
+  req.webhookOwner = 'admin';
+  next();
+}
+
+// Owner filter for listing and deleting webhooks: none for the admin
+const webhookScope = req => (req.webhookOwner === 'admin' ? undefined : req.webhookOwner);
+
+// Every /api request: resolve the API key, enforce its origins and daily quota, then the general budget.
+// Admin routes are exempt (they have ADMIN_TOKEN, and are where keys get issued).
+async function identifyClient(req, res, next) {
+  try {
+    // Admin routes take the admin token instead of an API key, but still draw on the per-IP budget
+    if (req.path.startsWith('/admin/')) {
+      const budget = generalLimiter.hit(`ip:${req.ip}`);
+      if (!budget.allowed) return tooManyRequests(res, budget.retryAfter);
+      setRateLimitHeaders(res, budget);
+      return next();
+    }
+    const presented = req.get('X-API-Key');
+    // Calendar apps cannot send a key; the signed link is the credential there
+    const linkRoute = req.method === 'GET' && req.path.startsWith('/exams/calendar/');
+    if (presented) {
+      req.apiKey = await apiKeys.validate(presented);
+      if (!req.apiKey) return sendError(res, 401, 'INVALID_API_KEY', 'Invalid API key');
+    } else if (API_KEY_REQUIRED && !linkRoute) {
+      return sendError(res, 401, 'API_KEY_REQUIRED', 'API key required (X-API-Key header)');
+    }
+
+    const key = req.apiKey;
+    const origin = req.get('Origin');
+    if (key?.origins.length && origin && !key.origins.includes(origin)) {
+      return sendError(res, 403, 'ORIGIN_NOT_ALLOWED', 'Origin not allowed for this API key');
     }
+    req.client = key ? `key:${key.id}` : `ip:${req.ip}`;
+
+    // The usage report stays reachable once the quota is spent
+    const quota = req.path === '/usage' ? 0 : key?.limits.dailyQuota;
+    if (key && !await apiKeys.admit(key.id, quota)) {
+      return tooManyRequests(res, secondsUntilTomorrow(), { code: 'QUOTA_EXCEEDED', message: 'Daily quota exceeded', quota });
+    }
+    const budget = generalLimiter.hit(req.client, key?.limits.rateLimit ?? generalLimiter.limit);
+    if (!budget.allowed) {
+      if (key) apiKeys.record(key.id, { outcome: 'rejected' });
+      return tooManyRequests(res, budget.retryAfter);
+    }
+    setRateLimitHeaders(res, budget);
+
+    if (key) {
+      res.on('finish', () => {
+        const route = req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : undefined;
+        const outcome = res.statusCode === 429 ? 'rejected' : 'ok';
+        apiKeys.record(key.id, { route, expensive: Boolean(req.expensive), outcome });
+      });
+    }
+    next();
+  } catch (err) {
+    next(err);
   }
 }
 
+// Separate, smaller budget for routes that may start a Puppeteer login or fan out to KTU
+function limitLogin(req, res, next) {
+  const budget = spendLoginBudget(req, res);
+  if (!budget.allowed) return tooManyRequests(res, budget.retryAfter, { message: 'Too many login-backed requests' });
+  next();
+}
+
+// Draws once on the login budget; /graphql does this only when a query selects the student
+function spendLoginBudget(req, res) {
+  req.expensive = true;
+  const budget = loginLimiter.hit(req.client || `ip:${req.ip}`, req.apiKey?.limits.loginRateLimit ?? loginLimiter.limit);
+  if (budget.allowed) setRateLimitHeaders(res, budget, 'RateLimit-Login');
+  return budget;
+}
+
+// Non-negative integer limit from an admin request; undefined when absent, NaN when invalid
+function readLimit(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({
+  origin: CORS_ORIGINS.length && !CORS_ORIGINS.includes('*') ? CORS_ORIGINS : true,
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Login-Remaining', 'Content-Disposition'],
+}));
+// /api/v2 answers errors as { error: { code, message, details } } (lib/errors.js), including body parse errors
+app.use('/api/v2', (req, res, next) => {
+  res.locals.apiVersion = 2;
+  next();
+});
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Route: profile
-app.post('/api/profile', async (req, res) => {
+// OpenAPI document and interactive docs; open to everyone, like /health
+app.get('/api/v2/openapi.json', (req, res) => res.json(openapiSpec));
+app.use('/api/v2/docs', swaggerUi.serve, swaggerUi.setup(openapiSpec, { customSiteTitle: 'KTU API docs' }));
+
+// Every route is served at /api/v2 and, unchanged, at /api (v1); see the mounts below the routes
+const api = express.Router();
+api.use(identifyClient);
+api.use(validator.middleware());
+
+// Route: auth — check KTU credentials once, then use the access token on login-backed routes
+api.post('/auth/login', limitLogin, async (req, res) => {
   try {
     const { registerNo, password } = req.body;
-    if (!registerNo || !password) {
-      return res.status(400).json({ error: 'Register number and password are required' });
+    if (!registerNo || !password) return sendError(res, 400, 'CREDENTIALS_REQUIRED', 'Register number and password required');
+    if (!isRegisterNo(registerNo)) return sendError(res, 400, 'INVALID_REGISTER_NUMBER', 'Invalid register number format');
+
+    if (!await sessions.get(registerNo, password)) return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials');
+    return res.json(await auth.login(registerNo, password));
+  } catch (err) {
+    console.error('Error logging in:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to log in', { message: err?.message || String(err) });
+  }
+});
+
+// Exchange a refresh token for a new token pair; each refresh token works once
+api.post('/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return sendError(res, 400, 'TOKEN_REQUIRED', 'Refresh token required');
+    const tokens = await auth.refresh(refreshToken);
+    if (!tokens) return sendError(res, 401, 'INVALID_TOKEN', 'Invalid or expired refresh token');
+    return res.json(tokens);
+  } catch (err) {
+    console.error('Error refreshing token:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to refresh token', { message: err?.message || String(err) });
+  }
+});
+
+// Revoke the session behind a Bearer access token or a refresh token. The student's stored
+// credentials and portal session go with their last auth session.
+api.post('/auth/logout', async (req, res) => {
+  try {
+    const header = req.get('Authorization') || '';
+    let revoked = null;
+    if (/^Bearer\s+/i.test(header)) {
+      const sid = (await auth.verify(header.replace(/^Bearer\s+/i, '')))?.sid;
+      revoked = sid ? await auth.revoke(sid) : null;
+    } else if (req.body?.refreshToken) {
+      // The whole token is checked, not just its session id
+      revoked = await auth.revokeRefreshToken(req.body.refreshToken);
+    } else {
+      return sendError(res, 400, 'TOKEN_REQUIRED', 'Bearer access token or refresh token required');
     }
-    if (!REGNO_RE.test(registerNo)) {
-      return res.status(400).json({ error: 'Invalid register number format' });
+
+    if (!revoked) return sendError(res, 401, 'INVALID_TOKEN', 'Invalid or expired token');
+    if (revoked.last) sessions.invalidate(revoked.registerNo);
+    return res.status(204).end();
+  } catch (err) {
+    console.error('Error logging out:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to log out', { message: err?.message || String(err) });
+  }
+});
+
+// Route: profile
+api.post('/profile', limitLogin, requireStudent, async (req, res) => {
+  try {
+    const { registerNo, password } = req.student;
+
+    const threshold = readThreshold(req);
+    if (isNaN(threshold)) {
+      return sendError(res, 400, 'INVALID_THRESHOLD', 'Attendance threshold must be a percentage between 0 and 100');
     }
 
-    const cacheKey = `profile_${registerNo.toUpperCase()}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return res.json({ ...cached, cached: true });
+    const format = negotiateFormat(req);
+    if (!format) return unsupportedFormat(res);
 
-    const pageContent = await loginStudent(registerNo, password);
-    if (!pageContent) {
-      return res.status(401).json({ error: 'Invalid credentials or login failed' });
+    // Grading scheme: explicit `scheme`, else derived from the admission year in the register number
+    const scheme = String(req.body.scheme || req.query.scheme || schemeForRegisterNo(registerNo));
+    if (!SCHEMES.includes(scheme)) {
+      return sendError(res, 400, 'INVALID_SCHEME', 'Invalid scheme', { expected: SCHEMES });
     }
 
-    const $ = cheerio.load(pageContent || '');
+    const admissionType = String(req.body.admissionType || req.query.admissionType || admissionTypeForRegisterNo(registerNo));
+    if (!ADMISSION_TYPES.includes(admissionType)) {
+      return sendError(res, 400, 'INVALID_ADMISSION_TYPE', 'Invalid admission type', { expected: ADMISSION_TYPES });
+    }
+    const rule = rulesFor(scheme, admissionType);
+
+    const cacheKey = `profile_${registerNo.toUpperCase()}_${threshold}_${scheme}_${admissionType}`;
+    const result = await cache.wrap(cacheKey, 'profile', async () => {
+      const pageResponse = await sessions.fetch(registerNo, password, KTU_PROFILE_URL);
+      if (!pageResponse) return null;
+      return buildProfile(pageResponse.data, { registerNo, password, threshold, scheme, rule });
+    }, { refresh: wantsRefresh(req) });
+    if (!result.value) {
+      return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials or login failed');
+    }
 
-    const profile = {
-      registerNo: registerNo.toUpperCase(),
-      personalInfo: {},
-      academicInfo: {},
-      attendance: {},
-      activityPoints: {},
-      credits: {},
-      semesterResults: [],
-    };
+    return await sendExport(res, format, 'profile', withCacheFlags(result), `profile-${registerNo.toUpperCase()}`);
+  } catch (err) {
+    console.error('Error fetching profile:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch student profile', { message: err?.message || String(err) });
+  }
+});
 
-    // PERSONAL INFO
-    const nameAndAdmissionText = $('.profile-title').first().text().trim();
-    const username = nameAndAdmissionText.substring(0, nameAndAdmissionText.indexOf('(')).trim();
-    const admissionNo = nameAndAdmissionText.substring(nameAndAdmissionText.indexOf('(') + 1, nameAndAdmissionText.indexOf(')')).trim();
-
-    let gender = '';
-    let dob = '';
-    $('.list-group-item').each(function () {
-      const badgeText = $(this).find('.view-badge').text().trim();
-      if (badgeText === 'Gender') {
-        gender = $(this).contents().filter(function() { return this.nodeType === 3; }).text().trim();
-      }
-      if (badgeText === 'Date of Birth') {
-        dob = $(this).contents().filter(function() { return this.nodeType === 3; }).text().trim();
-      }
-    });
+// Full profile from the student details page plus attendance fetched with the same session
+async function buildProfile(html, { registerNo, password, threshold, scheme, rule }) {
+  const sections = parseProfile(html);
+  const { academicInfo, semesterResults } = gradeProfile(sections, scheme);
+  const { credits, activityPoints } = applyRequirements(sections, rule);
+  const backlogs = trackBacklogs(semesterResults, scheme);
+  const profile = {
+    registerNo: registerNo.toUpperCase(),
+    personalInfo: sections.personalInfo,
+    academicInfo,
+    attendance: {},
+    activityPoints,
+    credits,
+    semesterResults: semesterResults.map(sem => ({ ...sem, subjects: enrichSubjects(sem.subjects, scheme) })),
+    backlogs,
+    eligibility: evaluateEligibility({ credits, activityPoints, backlogs }, rule),
+  };
+  const drift = findDrift({ personalInfo: sections.personalInfo, academicInfo: sections.academicInfo, semesterResults: sections.semesterResults });
+  if (drift.length) profile.drift = drift;
+
+  // Attendance lives on its own portal pages; fetched with the same session
+  try {
+    profile.attendance = await fetchAttendance(sessions, registerNo, password, threshold) || { overall: '', subjects: [], semesters: [] };
+  } catch (err) {
+    console.error('Error fetching attendance for profile:', err?.message || err);
+    profile.attendance = { overall: '', subjects: [], semesters: [] };
+  }
 
-    const panelTitle = $('.panel-title').first().text().trim();
-    const college = panelTitle.substring(panelTitle.lastIndexOf('(') + 1, panelTitle.lastIndexOf(')'));
-
-    const branchParent = $('span.view-badge:contains("Admitted Branch")').parent();
-    const branchBadge = branchParent.find('.view-badge').text();
-    const branch = branchParent.text().replace(branchBadge, '').trim();
-
-    const semesterParent = $('span.view-badge:contains("Current Semester")').parent();
-    const semesterBadge = semesterParent.find('.view-badge').text();
-    const semester = semesterParent.text().replace(semesterBadge, '').trim();
-
-    profile.personalInfo = {
-      name: username,
-      admissionNo: admissionNo,
-      gender: gender,
-      dob: dob,
-      branch: branch,
-      semester: semester,
-      batch: '', // This information is not available on the page
-      college: college,
-    };
+  snapshots.record(registerNo, 'profile', profile);
+  return profile;
+}
 
-    // ACADEMIC
-    const cgpaParent = $('span.view-badge:contains("CGPA")').parent();
-    const cgpaBadge = cgpaParent.find('.view-badge').text();
-    const cgpa = cgpaParent.text().replace(cgpaBadge, '').replace(':', '').trim();
-    
-    const sgpaAll = $('#curriculamTab_curriculam .panel-default table td[rowspan]').map((i, el) => $(el).text().trim()).get();
-    const sgpaText = sgpaAll.reverse().find(s => !isNaN(parseFloat(s))) || '';
-
-    profile.academicInfo = { cgpa: cgpa || '', sgpa: sgpaText || '', percentage: '' };
-    const cgpaNum = parseFloat(profile.academicInfo.cgpa);
-    if (!isNaN(cgpaNum)) profile.academicInfo.percentage = ((cgpaNum * 10) - 2.5).toFixed(2) + '%';
-
-    // ATTENDANCE
-    profile.attendance = { overall: '', subjects: [] };
-    // The HTML provided does not contain attendance details, so we leave this part as is.
-    // If attendance is needed, a separate navigation to the attendance page is required.
-
-    // ACTIVITY POINTS
-    profile.activityPoints = { total: '0', required: '100', status: 'Pending', breakdown: [] };
-    const activityRows = $('#collapseSix table tbody tr');
-    activityRows.each((i, row) => {
-        const cells = $(row).find('td');
-        if (cells.length >= 2) {
-            const key = $(cells[0]).text().trim();
-            const val = $(cells[1]).text().trim();
-            if (key && val && !/total/i.test(key)) {
-                profile.activityPoints.breakdown.push({ category: key, points: parseInt(val) || 0 });
-            }
-        }
-    });
-    const totalPointsText = activityRows.last().find('td').last().text().trim();
-    const totalPoints = parseInt(totalPointsText) || profile.activityPoints.breakdown.reduce((s, b) => s + (b.points || 0), 0);
-    profile.activityPoints.total = totalPoints.toString();
-    profile.activityPoints.status = totalPoints >= 100 ? 'Completed' : 'Pending';
-
-
-    // CREDITS
-    let earnedCredits = 0;
-    $('#curriculamTab_curriculam .panel-default table tbody tr').each((i, row) => {
-      const creditText = $(row).find('td').eq(8).text().trim();
-      const credit = parseFloat(creditText);
-      if (!isNaN(credit)) {
-        earnedCredits += credit;
+// Route: backlogs (requires login)
+api.post('/backlogs', limitLogin, requireStudent, async (req, res) => {
+  try {
+    const { registerNo, password } = req.student;
+
+    const scheme = String(req.body.scheme || req.query.scheme || schemeForRegisterNo(registerNo));
+    if (!SCHEMES.includes(scheme)) return sendError(res, 400, 'INVALID_SCHEME', 'Invalid scheme', { expected: SCHEMES });
+
+    const cacheKey = `backlogs_${registerNo.toUpperCase()}_${scheme}`;
+    const result = await cache.wrap(cacheKey, 'profile', async () => {
+      const pageResponse = await sessions.fetch(registerNo, password, KTU_PROFILE_URL);
+      if (!pageResponse) return null;
+      const { semesterResults } = parseProfile(pageResponse.data, ['semesterResults']);
+      return { registerNo: registerNo.toUpperCase(), scheme, ...trackBacklogs(semesterResults, scheme) };
+    }, { refresh: wantsRefresh(req) });
+    if (!result.value) return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials');
+
+    return res.json(withCacheFlags(result));
+  } catch (err) {
+    console.error('Error fetching backlogs:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch backlogs', { message: err?.message || String(err) });
+  }
+});
+
+// Route: degree-completion eligibility (requires login)
+api.post('/eligibility', limitLogin, requireStudent, async (req, res) => {
+  try {
+    const { registerNo, password } = req.student;
+
+    const scheme = String(req.body.scheme || req.query.scheme || schemeForRegisterNo(registerNo));
+    if (!SCHEMES.includes(scheme)) return sendError(res, 400, 'INVALID_SCHEME', 'Invalid scheme', { expected: SCHEMES });
+    const admissionType = String(req.body.admissionType || req.query.admissionType || admissionTypeForRegisterNo(registerNo));
+    if (!ADMISSION_TYPES.includes(admissionType)) return sendError(res, 400, 'INVALID_ADMISSION_TYPE', 'Invalid admission type', { expected: ADMISSION_TYPES });
+    const rule = rulesFor(scheme, admissionType);
+
+    const cacheKey = `eligibility_${registerNo.toUpperCase()}_${scheme}_${admissionType}`;
+    const result = await cache.wrap(cacheKey, 'profile', async () => {
+      const pageResponse = await sessions.fetch(registerNo, password, KTU_PROFILE_URL);
+      if (!pageResponse) return null;
+      const sections = parseProfile(pageResponse.data, ['activityPoints', 'credits', 'semesterResults']);
+      const backlogs = trackBacklogs(sections.semesterResults, scheme);
+      return { registerNo: registerNo.toUpperCase(), ...evaluateEligibility({ ...sections, backlogs }, rule) };
+    }, { refresh: wantsRefresh(req) });
+    if (!result.value) return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials');
+
+    return res.json(withCacheFlags(result));
+  } catch (err) {
+    console.error('Error checking eligibility:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to check eligibility', { message: err?.message || String(err) });
+  }
+});
+
+// Results history is only kept for students who asked for it: those logged in through /api/auth/login and
+// those with a results webhook. Anyone can look up any register number, so this bounds what lookups store.
+async function keepsHistory(registerNo) {
+  return await auth.hasSession(registerNo) || await webhooks.watches(registerNo);
+}
+
+// Public results through the cache; `limiter` runs before each actual request to KTU
+function loadResults(registerNo, examId, { refresh = false, limiter } = {}) {
+  const cacheKey = `results_${registerNo.toUpperCase()}_${examId || 'all'}`;
+  return cache.wrap(cacheKey, 'results', async () => {
+    if (limiter) await limiter();
+    const fetched = await fetchResults(registerNo, examId);
+    if (!fetched) return null;
+    const scheme = schemeForRegisterNo(registerNo);
+    const results = { ...fetched, results: fetched.results.map(exam => ({ ...exam, subjects: enrichSubjects(exam.subjects, scheme) })) };
+    if (results.results.length && await keepsHistory(registerNo)) snapshots.record(registerNo, 'results', results);
+    return results;
+  }, { refresh, cacheable: value => value?.results.length > 0 });
+}
+
+// Route: batch results for a list or range of register numbers.
+// Default: 202 with a job id to poll; `?stream=true` streams NDJSON lines as lookups finish.
+api.post('/results/batch', limitLogin, async (req, res) => {
+  try {
+    const { registerNos, from, to, examId } = req.body;
+    let list = Array.isArray(registerNos) ? registerNos.map(r => String(r).toUpperCase()) : null;
+    if (!list && from && to) {
+      const invalid = [from, to].filter(r => !isRegisterNo(r));
+      if (invalid.length) return sendError(res, 400, 'INVALID_REGISTER_NUMBER', 'Invalid register number format', { invalid });
+      list = expandRange(from, to, BATCH_MAX_SIZE);
+      if (!list) {
+        return sendError(res, 400, 'INVALID_PARAMETER', `from and to must share a prefix, in order, at most ${BATCH_MAX_SIZE} register numbers apart`, { from, to });
       }
-    });
+    }
+    if (!list || !list.length) {
+      return sendError(res, 400, 'INVALID_PARAMETER', 'Provide registerNos (array) or a from/to register number range', { expected: 'Format: ABC20CS001' });
+    }
+    list = [...new Set(list)];
+    const invalid = list.filter(r => !isRegisterNo(r));
+    if (invalid.length) return sendError(res, 400, 'INVALID_REGISTER_NUMBER', 'Invalid register number format', { invalid: invalid.slice(0, 10) });
+    if (list.length > BATCH_MAX_SIZE) return sendError(res, 400, 'BATCH_TOO_LARGE', `At most ${BATCH_MAX_SIZE} register numbers per batch`, { requested: list.length });
+
+    const scheme = String(req.body.scheme || req.query.scheme || schemeForRegisterNo(list[0]));
+    if (!SCHEMES.includes(scheme)) return sendError(res, 400, 'INVALID_SCHEME', 'Invalid scheme', { expected: SCHEMES });
+    const top = Math.min(parseInt(req.body.top ?? req.query.top) || 5, list.length);
+    const refresh = wantsRefresh(req);
 
-    profile.credits = {
-      earned: earnedCredits.toString(),
-      required: '162',
-      courseCredits: '160',
-      activityCredits: '2',
+    const lookup = async registerNo => {
+      try {
+        const { value, cached } = await loadResults(registerNo, examId, { refresh, limiter: batchLimiter });
+        if (!value?.results.length) return { registerNo, status: 'not_found' };
+        return { registerNo, status: 'ok', cached, data: value };
+      } catch (err) {
+        return { registerNo, status: 'error', error: err?.message || String(err) };
+      }
     };
 
-    // SEMESTER RESULTS
-    $('#curriculamTab_curriculam .panel-group .panel-default').each((i, semesterPanel) => {
-        const semesterName = $(semesterPanel).find('.panel-title a').first().text().trim();
-        const subjects = [];
-        $(semesterPanel).find('table tbody tr').each((j, row) => {
-            const cells = $(row).find('td');
-            if (cells.length >= 9) {
-                const courseText = $(cells[1]).text().trim();
-                const codeMatch = courseText.match(/[A-Z]{3}\d{3}/);
-                const code = codeMatch ? codeMatch[0] : '';
-                const name = code ? courseText.substring(courseText.indexOf(code) + code.length).replace(/&nbsp;|-/g, ' ').trim() : courseText;
-
-                const subject = {
-                    code: code,
-                    name: name,
-                    credits: $(cells[2]).text().trim(),
-                    grade: $(cells[7]).text().trim(),
-                    gradePoint: '' // Not available
-                };
-                if (subject.code && subject.name) {
-                    subjects.push(subject);
-                }
-            }
-        });
-        if (subjects.length > 0) {
-            profile.semesterResults.push({ semester: semesterName, subjects });
-        }
-    });
+    if (String(req.query.stream) === 'true') {
+      res.status(200).type('application/x-ndjson');
+      const results = await runBatch(list, lookup, {
+        concurrency: BATCH_CONCURRENCY,
+        onResult: entry => res.write(JSON.stringify({ type: 'result', ...entry }) + '\n'),
+      });
+      res.write(JSON.stringify({ type: 'summary', aggregates: aggregateResults(results, { scheme, top }) }) + '\n');
+      return res.end();
+    }
 
-    cache.set(cacheKey, profile);
-    return res.json(profile);
+    const job = batchJobs.create(list, async onResult => {
+      const results = await runBatch(list, lookup, { concurrency: BATCH_CONCURRENCY, onResult });
+      return { results, aggregates: aggregateResults(results, { scheme, top }) };
+    }, { scheme });
+    return res.status(202).json({ jobId: job.id, status: job.status, total: job.total, statusUrl: `${req.baseUrl}/results/batch/${job.id}` });
   } catch (err) {
-    console.error('Error fetching profile:', err?.message || err);
-    return res.status(500).json({ error: 'Failed to fetch student profile', message: err?.message || String(err) });
+    console.error('Error starting batch:', err?.message || err);
+    if (res.headersSent) return res.end();
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to start batch lookup', { message: err?.message || String(err) });
+  }
+});
+
+// Job progress as JSON; once done the class sheet can also be downloaded as CSV / XLSX / PDF
+api.get('/results/batch/:jobId', async (req, res) => {
+  try {
+    const format = negotiateFormat(req);
+    if (!format) return unsupportedFormat(res);
+
+    const job = batchJobs.get(req.params.jobId);
+    if (!job) return sendError(res, 404, 'NOT_FOUND', 'Batch job not found or expired');
+    const body = { ...job, progress: job.total ? Math.round((job.completed / job.total) * 100) : 100 };
+    if (format !== 'json' && job.status !== 'done') return sendError(res, 409, 'JOB_NOT_FINISHED', 'Batch job is not finished yet', { status: job.status, progress: body.progress });
+
+    return await sendExport(res, format, 'batch', body, `batch-${job.id}`);
+  } catch (err) {
+    console.error('Error exporting batch:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to export batch results', { message: err?.message || String(err) });
   }
 });
 
 // Route: public results
-app.get('/api/results/:registerNo', async (req, res) => {
+api.get('/results/:registerNo', async (req, res) => {
   try {
     const { registerNo } = req.params;
     const { examId } = req.query;
-    if (!registerNo || !REGNO_RE.test(registerNo)) {
-      return res.status(400).json({ error: 'Invalid register number format', expected: 'Format: ABC20CS001' });
+    if (!registerNo || !isRegisterNo(registerNo)) {
+      return sendError(res, 400, 'INVALID_REGISTER_NUMBER', 'Invalid register number format', { expected: 'Format: ABC20CS001' });
     }
+    const format = negotiateFormat(req);
+    if (!format) return unsupportedFormat(res);
+
+    const result = await loadResults(registerNo, examId, { refresh: wantsRefresh(req) });
+    const results = result.value;
+    if (!results) return sendError(res, 404, 'UPSTREAM_UNAVAILABLE', 'Could not fetch results from KTU portal', { registerNo: registerNo.toUpperCase() });
+
+    if (!results.results.length) return sendError(res, 404, 'NO_RESULTS', 'No results found', { registerNo: registerNo.toUpperCase(), studentName: results.studentName });
+
+    return await sendExport(res, format, 'results', withCacheFlags(result), `results-${registerNo.toUpperCase()}`);
+  } catch (err) {
+    console.error('Error fetching results:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch results', { message: err?.message || String(err) });
+  }
+});
+
+// Route: attendance (requires login)
+api.post('/attendance', limitLogin, requireStudent, async (req, res) => {
+  try {
+    const { registerNo, password } = req.student;
+
+    const threshold = readThreshold(req);
+    if (isNaN(threshold)) return sendError(res, 400, 'INVALID_THRESHOLD', 'Attendance threshold must be a percentage between 0 and 100');
+
+    const attendance = await fetchAttendance(sessions, registerNo, password, threshold);
+    if (!attendance) return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials');
+    if (!attendance.semesters.length) return sendError(res, 502, 'UPSTREAM_EMPTY', 'No attendance data in KTU response');
+
+    snapshots.record(registerNo, 'attendance', attendance);
+    return res.json(attendance);
+  } catch (err) {
+    console.error('Error fetching attendance:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch attendance', { message: err?.message || String(err) });
+  }
+});
+
+// Route: history of saved snapshots (requires login, since snapshots hold private data)
+api.post('/history', limitLogin, requireStudent, async (req, res) => {
+  try {
+    // requireStudent has checked the credentials; snapshots are local, so no portal login is needed
+    const { registerNo } = req.student;
+    const list = await snapshots.list(registerNo);
+    return res.json({
+      registerNo: registerNo.toUpperCase(),
+      snapshots: list.map(({ type, takenAt }) => ({ type, takenAt })),
+      series: timeline(list),
+    });
+  } catch (err) {
+    console.error('Error reading history:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to read history', { message: err?.message || String(err) });
+  }
+});
+
+// Route: changes between the last two snapshots of one type (requires login)
+api.post('/history/diff', limitLogin, requireStudent, async (req, res) => {
+  try {
+    const { registerNo } = req.student;
+    const type = req.body.type || req.query.type || 'profile';
+    if (!SNAPSHOT_TYPES.includes(type)) return sendError(res, 400, 'INVALID_PARAMETER', 'Invalid snapshot type', { expected: SNAPSHOT_TYPES });
+
+    const list = await snapshots.list(registerNo, type);
+    if (!list.length) return sendError(res, 404, 'NOT_FOUND', 'No snapshots yet', { registerNo: registerNo.toUpperCase(), type });
+
+    const [prev, next] = list.length > 1 ? list.slice(-2) : [null, list[0]];
+    return res.json({ registerNo: registerNo.toUpperCase(), ...diffSnapshots(prev, next) });
+  } catch (err) {
+    console.error('Error diffing history:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to diff history', { message: err?.message || String(err) });
+  }
+});
+
+// Announcements: one listing page through the cache (page 1 keeps the `announcements` key)
+function loadAnnouncementsPage(number, url, refresh) {
+  const key = number === 1 ? 'announcements' : `announcements_p${number}`;
+  return cache.wrap(key, 'announcements', async () => {
+    const page = await fetchAnnouncementsPage(url);
+    return page && { ...page, lastUpdated: new Date().toISOString() };
+  }, { refresh });
+}
+
+// Filters and page from the query string (or GraphQL arguments); { error: [code, message, extra] } when one is invalid
+function readAnnouncementQuery(params) {
+  const categories = [].concat(params.category || []).flatMap(c => String(c).split(',')).map(c => c.trim()).filter(Boolean);
+  if (categories.some(c => !ANNOUNCEMENT_CATEGORIES.includes(c))) {
+    return { error: ['INVALID_PARAMETER', 'Invalid category', { expected: ANNOUNCEMENT_CATEGORIES }] };
+  }
+  const { from, to, q } = params;
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) return { error: ['INVALID_PARAMETER', `${name} must be a date (YYYY-MM-DD)`] };
+  }
+  const page = parseInt(params.page ?? '1');
+  const limit = parseInt(params.limit ?? '20');
+  if (!(page >= 1)) return { error: ['INVALID_PARAMETER', 'page must be 1 or more'] };
+  if (!(limit >= 1 && limit <= 100)) return { error: ['INVALID_PARAMETER', 'limit must be between 1 and 100'] };
+  return { categories, from, to, q: q ? String(q) : undefined, page, limit };
+}
+
+// Matching announcements for one page of results, reading older portal pages only as far as needed.
+// Null when KTU's first page was empty.
+async function listAnnouncements({ page, limit, ...filters }, refresh) {
+  const end = page * limit;
+  const flags = { cached: true, stale: false, lastUpdated: null };
+  let reachedFrom = false;
+
+  const listing = await collectAnnouncements(async (number, url) => {
+    const result = await loadAnnouncementsPage(number, url, refresh);
+    flags.cached &&= result.cached;
+    flags.stale ||= Boolean(result.stale);
+    flags.lastUpdated ||= result.value?.lastUpdated;
+    return result.value;
+  }, {
+    maxPages: ANNOUNCEMENTS_MAX_PAGES,
+    enough: items => {
+      // Newest first: once a page goes past `from`, older pages cannot match
+      reachedFrom = Boolean(filters.from) && items.some(a => a.date && a.date < filters.from);
+      return reachedFrom || filterAnnouncements(items, filters).length > end;
+    },
+  });
+  if (!listing) return null;
+
+  const matching = filterAnnouncements(listing.items, filters);
+  return {
+    announcements: matching.slice(end - limit, end),
+    // As on v1 before pagination: every match found, not the page length
+    count: matching.length,
+    page,
+    limit,
+    hasMore: matching.length > end || (!listing.exhausted && !reachedFrom && listing.pages < ANNOUNCEMENTS_MAX_PAGES),
+    portalPages: listing.pages,
+    lastUpdated: flags.lastUpdated,
+    ...(flags.cached ? { cached: true, ...(flags.stale ? { stale: true } : {}) } : {}),
+  };
+}
+
+api.get('/announcements', async (req, res) => {
+  try {
+    const query = readAnnouncementQuery(req.query);
+    if (query.error) return sendError(res, 400, ...query.error);
+
+    const result = await listAnnouncements(query, wantsRefresh(req));
+    if (!result) return sendError(res, 502, 'UPSTREAM_EMPTY', 'Empty response from KTU announcements');
+    return res.json(result);
+  } catch (err) {
+    console.error('Error fetching announcements:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch announcements', { message: err?.message || String(err) });
+  }
+});
+
+// RSS / Atom feed of the same data; takes the same filters
+api.get('/announcements/:format(rss|atom)', async (req, res) => {
+  try {
+    const query = readAnnouncementQuery(req.query);
+    if (query.error) return sendError(res, 400, ...query.error);
 
-    const cacheKey = `results_${registerNo.toUpperCase()}_${examId || 'all'}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return res.json({ ...cached, cached: true });
+    const result = await listAnnouncements(query, wantsRefresh(req));
+    if (!result) return sendError(res, 502, 'UPSTREAM_EMPTY', 'Empty response from KTU announcements');
 
-    const resultsUrls = [
-      `https://app.ktu.edu.in/public/results?registerNo=${registerNo}`,
-      `https://results.ktu.edu.in/results?registerNo=${registerNo}`,
-      `https://app.ktu.edu.in/public/studentresults/${registerNo}`,
-    ];
+    const { format } = req.params;
+    const link = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    res.type(FEED_FORMATS[format]);
+    return res.send(renderFeed(format, result.announcements, { link, updated: new Date(result.lastUpdated || Date.now()) }));
+  } catch (err) {
+    console.error('Error building announcements feed:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to build announcements feed', { message: err?.message || String(err) });
+  }
+});
 
-    let response = null;
-    let successUrl = null;
-    for (const url of resultsUrls) {
+// Route: GraphQL over the student data model (lib/graphql.js). Only the sections a query selects are
+// fetched and parsed; selecting `student` needs a Bearer access token and draws on the login budget.
+async function handleGraphql(req, res) {
+  try {
+    const params = req.method === 'GET' ? req.query : req.body || {};
+    let { variables } = params;
+    if (variables === '') variables = undefined;
+    if (typeof variables === 'string') {
       try {
-        response = await makeRequest(examId ? `${url}&examId=${examId}` : url, { method: 'GET' });
-        if (response && response.status === 200 && response.data) {
-          successUrl = url;
-          break;
-        }
-      } catch (e) {
-        // continue to next URL
+        variables = JSON.parse(variables);
+      } catch (err) {
+        return res.status(400).json({ errors: [{ message: 'variables must be a JSON object', extensions: { code: 'INVALID_JSON' } }] });
       }
     }
 
-    if (!response || !successUrl) return res.status(404).json({ error: 'Could not fetch results from KTU portal', registerNo: registerNo.toUpperCase() });
+    const refresh = wantsRefresh(req);
+    const context = {
+      student: async args => {
+        if (!/^Bearer\s+/i.test(req.get('Authorization') || '')) {
+          throw graphqlError('TOKEN_REQUIRED', 'Student data needs an Authorization: Bearer access token (POST /api/auth/login)');
+        }
+        const found = await bearerStudent(req);
+        if (found.error) throw graphqlError(...found.error);
+        const budget = spendLoginBudget(req, res);
+        if (!budget.allowed) {
+          res.set('Retry-After', String(budget.retryAfter));
+          throw graphqlError('RATE_LIMITED', 'Too many login-backed requests', { retryAfter: budget.retryAfter });
+        }
 
-    const $ = cheerio.load(response.data || '');
-    const results = { registerNo: registerNo.toUpperCase(), studentName: '', results: [], fetchedFrom: successUrl };
+        const { registerNo, password } = found.student;
+        const scheme = args.scheme || schemeForRegisterNo(registerNo);
+        if (!SCHEMES.includes(scheme)) throw graphqlError('INVALID_SCHEME', 'Invalid scheme', { expected: SCHEMES });
+        const admissionType = args.admissionType || admissionTypeForRegisterNo(registerNo);
+        if (!ADMISSION_TYPES.includes(admissionType)) {
+          throw graphqlError('INVALID_ADMISSION_TYPE', 'Invalid admission type', { expected: ADMISSION_TYPES });
+        }
 
-    results.studentName = $('.student-name, #studentName').text().trim() || $('span:contains("Name:")').next().text().trim() || $('td:contains("Name")').next().text().trim() || 'Name not available';
+        const loader = new StudentLoader({
+          registerNo,
+          scheme,
+          rule: rulesFor(scheme, admissionType),
+          cache,
+          refresh,
+          fetchPage: async () => (await sessions.fetch(registerNo, password, KTU_PROFILE_URL))?.data,
+          fetchAttendance: threshold => fetchAttendance(sessions, registerNo, password, threshold),
+        });
+        return new Student(loader, { defaultThreshold: DEFAULT_ATTENDANCE_THRESHOLD });
+      },
+      announcements: async args => {
+        const query = readAnnouncementQuery({ ...args, page: 1 });
+        if (query.error) throw graphqlError(...query.error);
+        const result = await listAnnouncements(query, refresh);
+        if (!result) throw graphqlError('UPSTREAM_EMPTY', 'Empty response from KTU announcements');
+        return result.announcements;
+      },
+    };
 
-    $('.exam-result, .result-card, table.result').each((i, elem) => {
-      const exam = {
-        examName: $(elem).find('.exam-name, h3, h4, caption').first().text().trim(),
-        examDate: $(elem).find('.exam-date, .date').text().trim(),
-        sgpa: $(elem).find('.sgpa, td:contains("SGPA")').next().text().trim() || 'N/A',
-        cgpa: $(elem).find('.cgpa, td:contains("CGPA")').next().text().trim() || 'N/A',
-        subjects: [],
-      };
+    const { status, body } = await executeGraphql({ query: params.query, variables, operationName: params.operationName }, context);
+    return res.status(status).json(body);
+  } catch (err) {
+    console.error('Error running GraphQL query:', err?.message || err);
+    // GraphQL clients expect `errors`, on every mount
+    return res.status(500).json({ errors: [{ message: 'Failed to run GraphQL query', extensions: { code: 'INTERNAL_ERROR' } }] });
+  }
+}
 
-      $(elem).find('tbody tr, tr.subject-row, tr').each((j, row) => {
-        const cells = $(row).find('td');
-        if (cells.length >= 3) {
-          const subject = { code: $(cells[0]).text().trim(), name: $(cells[1]).text().trim(), credits: $(cells[2]).text().trim() || '', grade: $(cells[3]).text().trim() || '', gradePoint: $(cells[4]).text().trim() || '' };
-          if (subject.code && subject.name) exam.subjects.push(subject);
-        }
-      });
+api.get('/graphql', handleGraphql);
+api.post('/graphql', handleGraphql);
+
+// Curriculum catalogue: one course by code (?scheme= to pick a scheme), or a branch's whole curriculum
+api.get('/courses/:code', (req, res) => {
+  const code = req.params.code.toUpperCase();
+  if (!isCourseCode(code)) return sendError(res, 400, 'INVALID_PARAMETER', 'Invalid course code format');
+  const { scheme } = req.query;
+  // Same status as /curriculum: the catalogue has no such scheme
+  if (scheme && !curriculumSchemes().includes(String(scheme))) {
+    return sendError(res, 404, 'UNKNOWN_SCHEME', 'Scheme not in the curriculum catalogue', { expected: curriculumSchemes() });
+  }
+  const course = findCourse(code, scheme);
+  if (!course) return sendError(res, 404, 'NOT_FOUND', 'Course not in the curriculum catalogue', { code });
+  return res.json(course);
+});
 
-      if (exam.examName && exam.subjects.length) results.results.push(exam);
-    });
+api.get('/curriculum/:scheme/:branch', (req, res) => {
+  const { scheme, branch } = req.params;
+  if (!curriculumSchemes().includes(scheme)) {
+    return sendError(res, 404, 'UNKNOWN_SCHEME', 'Scheme not in the curriculum catalogue', { expected: curriculumSchemes() });
+  }
+  const curriculum = curriculumFor(scheme, branch);
+  if (!curriculum || branch.toLowerCase() === 'common') {
+    return sendError(res, 404, 'NOT_FOUND', 'Unknown branch for this scheme', { expected: curriculumBranches(scheme) });
+  }
+  return res.json(curriculum);
+});
+
+// Exams: published timetables through the cache
+const loadTimetable = refresh => cache.wrap('timetable', 'timetable', fetchTimetable, { refresh, cacheable: exams => exams?.length > 0 });
+
+// Timetable filters from the query string; { error: [code, message, extra] } when one is invalid
+function readTimetableQuery(req) {
+  const { scheme, semester, branch, from, to } = req.query;
+  if (scheme && !SCHEMES.includes(String(scheme))) return { error: ['INVALID_SCHEME', 'Invalid scheme', { expected: SCHEMES }] };
+  if (semester && !/^S?[1-8]$/i.test(semester)) return { error: ['INVALID_PARAMETER', 'semester must be 1-8 (or S1-S8)'] };
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) return { error: ['INVALID_PARAMETER', `${name} must be a date (YYYY-MM-DD)`] };
+  }
+  return { scheme, semester, branch, from, to };
+}
+
+api.get('/exams/timetable', async (req, res) => {
+  try {
+    const filters = readTimetableQuery(req);
+    if (filters.error) return sendError(res, 400, ...filters.error);
 
-    if (!results.results.length) return res.status(404).json({ error: 'No results found', registerNo: registerNo.toUpperCase(), studentName: results.studentName });
+    const result = await loadTimetable(wantsRefresh(req));
+    if (!result.value) return sendError(res, 502, 'UPSTREAM_EMPTY', 'No timetable data in KTU response');
 
-    cache.set(cacheKey, results);
-    return res.json(results);
+    const entries = filterTimetable(result.value, filters);
+    return res.json(withCacheFlags({ ...result, value: { entries, count: entries.length, exams: [...new Set(entries.map(e => e.exam))] } }));
   } catch (err) {
-    console.error('Error fetching results:', err?.message || err);
-    return res.status(500).json({ error: 'Failed to fetch results', message: err?.message || String(err) });
+    console.error('Error fetching timetable:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch timetable', { message: err?.message || String(err) });
   }
 });
 
-// Route: attendance (requires login)
-app.post('/api/attendance', async (req, res) => {
+api.get('/exams/timetable.ics', async (req, res) => {
   try {
-    const { registerNo, password } = req.body;
-    if (!registerNo || !password) return res.status(400).json({ error: 'Register number and password required' });
-    if (!REGNO_RE.test(registerNo)) return res.status(400).json({ error: 'Invalid register number format' });
-
-    const sessionCookie = await loginStudent(registerNo, password);
-    if (!sessionCookie) return res.status(401).json({ error: 'Invalid credentials' });
-
-    const response = await makeRequest('https://app.ktu.edu.in/attendance.htm', { method: 'GET', headers: { Cookie: sessionCookie } });
-    if (!response || !response.data) return res.status(502).json({ error: 'Empty response from KTU attendance' });
-
-    const $ = cheerio.load(response.data || '');
-    const attendance = { overall: '', subjects: [], lastUpdated: new Date().toISOString() };
-
-    $('table tr').each((i, row) => {
-      const cells = $(row).find('td');
-      if (cells.length >= 4 && i > 0) {
-        const subject = $(cells[0]).text().trim();
-        const attended = parseInt($(cells[1]).text().trim()) || 0;
-        const total = parseInt($(cells[2]).text().trim()) || 0;
-        const percentage = $(cells[3]).text().trim() || (total ? ((attended / total) * 100).toFixed(2) + '%' : '0%');
-        attendance.subjects.push({ subject, attended, total, percentage });
-      }
-    });
+    const filters = readTimetableQuery(req);
+    if (filters.error) return sendError(res, 400, ...filters.error);
 
-    const totals = attendance.subjects.reduce((acc, s) => ({ attended: acc.attended + s.attended, total: acc.total + s.total }), { attended: 0, total: 0 });
-    attendance.overall = totals.total ? ((totals.attended / totals.total) * 100).toFixed(2) + '%' : '0%';
+    const result = await loadTimetable(wantsRefresh(req));
+    if (!result.value) return sendError(res, 502, 'UPSTREAM_EMPTY', 'No timetable data in KTU response');
 
-    return res.json(attendance);
+    res.type(ICS_CONTENT_TYPE);
+    return res.send(toIcs(filterTimetable(result.value, filters)));
   } catch (err) {
-    console.error('Error fetching attendance:', err?.message || err);
-    return res.status(500).json({ error: 'Failed to fetch attendance', message: err?.message || String(err) });
+    console.error('Error exporting timetable:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to export timetable', { message: err?.message || String(err) });
+  }
+});
+
+// Exam registration status and registered courses (requires login)
+api.post('/exams/registration', limitLogin, requireStudent, async (req, res) => {
+  try {
+    const { registerNo, password } = req.student;
+    const registration = await fetchExamRegistration(sessions, registerNo, password);
+    if (!registration) return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials');
+    return res.json({ registerNo: registerNo.toUpperCase(), ...registration, lastUpdated: new Date().toISOString() });
+  } catch (err) {
+    console.error('Error fetching exam registration:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch exam registration', { message: err?.message || String(err) });
   }
 });
 
-// Announcements
-app.get('/api/announcements', async (req, res) => {
+// Hall-ticket availability per exam (requires login)
+api.post('/exams/hall-tickets', limitLogin, requireStudent, async (req, res) => {
   try {
-    const cacheKey = 'announcements';
-    const cached = cache.get(cacheKey);
-    if (cached) return res.json({ ...cached, cached: true });
+    const { registerNo, password } = req.student;
+    const hallTickets = await fetchHallTickets(sessions, registerNo, password);
+    if (!hallTickets) return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials');
+    return res.json({
+      registerNo: registerNo.toUpperCase(),
+      available: hallTickets.some(t => t.available),
+      hallTickets,
+      lastUpdated: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error('Error fetching hall tickets:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch hall tickets', { message: err?.message || String(err) });
+  }
+});
 
-    const response = await makeRequest('https://ktu.edu.in/eu/core/announcements.htm', { method: 'GET' });
-    if (!response || !response.data) return res.status(502).json({ error: 'Empty response from KTU announcements' });
+// Subscription link for a student's own exam calendar (requires login). The link carries the student's
+// registered courses (or scheme / semester / branch) so the feed itself never needs the portal.
+api.post('/exams/calendar', limitLogin, requireStudent, async (req, res) => {
+  try {
+    const { registerNo, password } = req.student;
+    const registration = await fetchExamRegistration(sessions, registerNo, password);
+    if (!registration) return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials');
+
+    const scheme = String(req.body.scheme || req.query.scheme || schemeForRegisterNo(registerNo));
+    if (!SCHEMES.includes(scheme)) return sendError(res, 400, 'INVALID_SCHEME', 'Invalid scheme', { expected: SCHEMES });
+    let filters = { scheme, courses: registration.courses.map(c => c.code) };
+    if (!filters.courses.length) {
+      const page = await sessions.fetch(registerNo, password, KTU_PROFILE_URL);
+      if (!page) return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials');
+      const { personalInfo } = parseProfile(page.data, ['personalInfo']);
+      filters = { scheme, semester: personalInfo.semester, branch: parseRegisterNo(registerNo).branch };
+    }
 
-    const $ = cheerio.load(response.data || '');
-    const announcements = [];
-    $('.announcement, .panel, article, .news-item').each((i, elem) => {
-      const title = $(elem).find('h3, h4, .title').first().text().trim();
-      const date = $(elem).find('.date, .posted-date, time').text().trim();
-      const description = $(elem).find('p, .description').first().text().trim();
-      const links = [];
-      $(elem).find('a').each((j, link) => {
-        const href = $(link).attr('href');
-        const linkText = $(link).text().trim();
-        if (href && linkText && !linkText.toLowerCase().includes('read more')) {
-          links.push({ title: linkText, url: href.startsWith('http') ? href : `https://ktu.edu.in${href}` });
-        }
-      });
-      if (title) announcements.push({ title, date, description, links });
+    const token = auth.linkToken('exam-calendar', { sub: registerNo.toUpperCase(), filters }, EXAM_CALENDAR_TTL);
+    return res.status(201).json({
+      registerNo: registerNo.toUpperCase(),
+      url: `${req.protocol}://${req.get('host')}${req.baseUrl}/exams/calendar/${token}.ics`,
+      filters,
+      expiresAt: new Date(Date.now() + EXAM_CALENDAR_TTL * 1000).toISOString(),
     });
+  } catch (err) {
+    console.error('Error creating exam calendar:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to create exam calendar', { message: err?.message || String(err) });
+  }
+});
 
-    const result = { announcements: announcements.slice(0, 20), count: announcements.length, lastUpdated: new Date().toISOString() };
-    cache.set(cacheKey, result);
-    return res.json(result);
+api.get('/exams/calendar/:token.ics', async (req, res) => {
+  try {
+    const claims = auth.verifyLinkToken(req.params.token, 'exam-calendar');
+    if (!claims) return sendError(res, 401, 'INVALID_TOKEN', 'Invalid or expired calendar link');
+
+    const result = await loadTimetable(false);
+    if (!result.value) return sendError(res, 502, 'UPSTREAM_EMPTY', 'No timetable data in KTU response');
+
+    res.type(ICS_CONTENT_TYPE);
+    return res.send(toIcs(filterTimetable(result.value, claims.filters), { name: `KTU Exams - ${claims.sub}` }));
   } catch (err) {
-    console.error('Error fetching announcements:', err?.message || err);
-    return res.status(500).json({ error: 'Failed to fetch announcements', message: err?.message || String(err) });
+    console.error('Error building exam calendar:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to build exam calendar', { message: err?.message || String(err) });
   }
 });
 
+// Webhooks: subscribe to new announcements or to result changes for a register number
+api.post('/webhooks', requireWebhookOwner, async (req, res) => {
+  try {
+    const { url, event, registerNo, secret } = req.body;
+    if (!url || !/^https?:\/\//i.test(url)) return sendError(res, 400, 'INVALID_PARAMETER', 'A valid http(s) callback url is required');
+    if (!WEBHOOK_EVENTS.includes(event)) return sendError(res, 400, 'INVALID_PARAMETER', 'Invalid event', { expected: WEBHOOK_EVENTS });
+    if (event === 'results' && (!registerNo || !isRegisterNo(registerNo))) {
+      return sendError(res, 400, 'INVALID_REGISTER_NUMBER', 'Invalid register number format', { expected: 'Format: ABC20CS001' });
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      return sendError(res, 400, 'INVALID_PARAMETER', 'Secret must be a string of at least 16 characters');
+    }
+    // The server POSTs to this url on a schedule, so it must not reach internal hosts
+    if (!await webhooks.allowUrl(url)) {
+      return sendError(res, 400, 'INVALID_PARAMETER', 'Callback url must resolve to a public address');
+    }
+
+    // The secret is only returned here; keep it to verify X-KTU-Signature on deliveries
+    const subscription = await webhooks.subscribe({ url, event, registerNo, secret, owner: req.webhookOwner });
+    return res.status(201).json(subscription);
+  } catch (err) {
+    console.error('Error creating webhook:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to create webhook', { message: err?.message || String(err) });
+  }
+});
+
+api.get('/webhooks', requireWebhookOwner, async (req, res) => {
+  try {
+    return res.json({ webhooks: await webhooks.list(webhookScope(req)) });
+  } catch (err) {
+    console.error('Error listing webhooks:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to list webhooks', { message: err?.message || String(err) });
+  }
+});
+
+api.delete('/webhooks/:id', requireWebhookOwner, async (req, res) => {
+  try {
+    if (!await webhooks.unsubscribe(req.params.id, webhookScope(req))) return sendError(res, 404, 'NOT_FOUND', 'Webhook not found');
+    return res.status(204).end();
+  } catch (err) {
+    console.error('Error deleting webhook:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to delete webhook', { message: err?.message || String(err) });
+  }
+});
+
+// Admin: inspect and purge cache entries
+api.get('/admin/cache', requireAdmin, async (req, res) => {
+  try {
+    return res.json({ stats: await cache.stats(), entries: await cache.inspect() });
+  } catch (err) {
+    console.error('Error inspecting cache:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to inspect cache', { message: err?.message || String(err) });
+  }
+});
+
+api.get('/admin/cache/:registerNo', requireAdmin, async (req, res) => {
+  try {
+    const { registerNo } = req.params;
+    if (!isRegisterNo(registerNo)) return sendError(res, 400, 'INVALID_REGISTER_NUMBER', 'Invalid register number format');
+    return res.json({ registerNo: registerNo.toUpperCase(), entries: await cache.inspect(registerNo) });
+  } catch (err) {
+    console.error('Error inspecting cache:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to inspect cache', { message: err?.message || String(err) });
+  }
+});
+
+// Purge every entry of one student, or a single key with ?key=<cache key> (e.g. announcements)
+api.delete('/admin/cache/:registerNo?', requireAdmin, async (req, res) => {
+  try {
+    const { registerNo } = req.params;
+    const { key } = req.query;
+    if (key) return res.json({ purged: await cache.purgeKey(String(key)) ? [String(key)] : [] });
+    if (!registerNo || !isRegisterNo(registerNo)) return sendError(res, 400, 'INVALID_REGISTER_NUMBER', 'Invalid register number format');
+    return res.json({ registerNo: registerNo.toUpperCase(), purged: await cache.purge(registerNo) });
+  } catch (err) {
+    console.error('Error purging cache:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to purge cache', { message: err?.message || String(err) });
+  }
+});
+
+// Usage report for the calling API key
+api.get('/usage', async (req, res) => {
+  try {
+    if (!req.apiKey) return sendError(res, 401, 'API_KEY_REQUIRED', 'API key required (X-API-Key header)');
+    return res.json(await apiKeys.usage(req.apiKey.id));
+  } catch (err) {
+    console.error('Error reading usage:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to read usage', { message: err?.message || String(err) });
+  }
+});
+
+// Admin: issue, list and revoke API keys. The key itself is only returned on issue.
+api.post('/admin/keys', requireAdmin, async (req, res) => {
+  try {
+    const { name, origins = [] } = req.body;
+    if (!name) return sendError(res, 400, 'INVALID_PARAMETER', 'Key name required');
+    if (!Array.isArray(origins) || origins.some(o => typeof o !== 'string')) {
+      return sendError(res, 400, 'INVALID_PARAMETER', 'origins must be a list of origins, e.g. ["https://app.example.com"]');
+    }
+    const limits = {};
+    for (const field of ['rateLimit', 'loginRateLimit', 'dailyQuota']) {
+      const value = readLimit(req.body[field]);
+      if (Number.isNaN(value)) return sendError(res, 400, 'INVALID_PARAMETER', `${field} must be a non-negative integer`);
+      if (value !== undefined) limits[field] = value;
+    }
+    return res.status(201).json(await apiKeys.issue({ name: String(name), limits, origins }));
+  } catch (err) {
+    console.error('Error issuing API key:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to issue API key', { message: err?.message || String(err) });
+  }
+});
+
+api.get('/admin/keys', requireAdmin, async (req, res) => {
+  try {
+    return res.json({ keys: await apiKeys.list() });
+  } catch (err) {
+    console.error('Error listing API keys:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to list API keys', { message: err?.message || String(err) });
+  }
+});
+
+api.get('/admin/keys/:id/usage', requireAdmin, async (req, res) => {
+  try {
+    const usage = await apiKeys.usage(req.params.id);
+    if (!usage) return sendError(res, 404, 'NOT_FOUND', 'API key not found');
+    return res.json(usage);
+  } catch (err) {
+    console.error('Error reading usage:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to read usage', { message: err?.message || String(err) });
+  }
+});
+
+api.delete('/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!await apiKeys.revoke(req.params.id)) return sendError(res, 404, 'NOT_FOUND', 'API key not found');
+    return res.status(204).end();
+  } catch (err) {
+    console.error('Error revoking API key:', err?.message || err);
+    return sendError(res, 500, 'INTERNAL_ERROR', 'Failed to revoke API key', { message: err?.message || String(err) });
+  }
+});
+
+// Unmatched paths get a JSON 404 in the mount's error shape, not Express's HTML page
+api.use((req, res) => sendError(res, 404, 'NOT_FOUND', `No route for ${req.method} ${req.originalUrl}`));
+
+app.use('/api/v2', api);
+app.use('/api', api);
+// GraphQL clients default to /graphql; same handler, client identification and limits as /api/graphql
+app.get('/graphql', identifyClient, handleGraphql);
+app.post('/graphql', identifyClient, handleGraphql);
+
 // Health
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString(), cache: { keys: cache.keys().length, stats: cache.getStats() } });
+// - Sections whose latest parse came back with required fields empty make the status 'degraded',
+//   but only an unreachable cache turns it into a 503
+app.get('/health', async (req, res) => {
+  const scraping = scrapeHealth.report();
+  const status = scraping.degraded.length ? 'degraded' : 'ok';
+  try {
+    const stats = await cache.stats();
+    res.json({ status, timestamp: new Date().toISOString(), cache: { keys: stats.keys, stats }, sessions: sessions.stats(), ...scraping });
+  } catch (err) {
+    res.status(503).json({ status: 'degraded', timestamp: new Date().toISOString(), cache: { error: err?.message || String(err) }, sessions: sessions.stats(), ...scraping });
+  }
+});
+
+// Prometheus metrics: upstream latency / retries / failures, selector matches and layout drift
+app.get('/metrics', async (req, res) => {
+  try {
+    res.type(metricsRegistry.contentType).send(await metricsRegistry.metrics());
+  } catch (err) {
+    console.error('Error collecting metrics:', err?.message || err);
+    res.status(500).type('text/plain').send('Failed to collect metrics');
+  }
 });
 
 app.get('/', (req, res) => res.json({ name: 'KTU API v2.0', description: 'API for KTU Student Portal' }));
 
 // Error handler
 app.use((err, req, res, next) => {
+  if (err?.type === 'entity.parse.failed') return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+  // Express could not decode a route parameter (malformed percent-encoding)
+  if (err instanceof URIError) return sendError(res, 400, 'VALIDATION_FAILED', 'Path contains malformed percent-encoding');
   console.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Internal server error', message: err?.message || String(err) });
+  sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error', { message: err?.message || String(err) });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`\n🚀 KTU API v2.0 Server Running`);
   console.log(`📍 Port: ${PORT}`);
   console.log(`🌐 Base URL: http://localhost:${PORT}`);
+  webhooks.start();
 });
+
+// Close pooled browsers on shutdown so no Chromium processes are left behind
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    server.close();
+    webhooks.stop();
+    await apiKeys.flush().catch(() => {});
+    await browserPool.close();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture } from './helpers.js';
+import { parseAnnouncements, parseAnnouncementPager, parseKtuDate } from '../lib/parsers/index.js';
+import { collectAnnouncements, filterAnnouncements } from '../lib/announcements.js';
+import { toRss, toAtom } from '../lib/feed.js';
+
+const pages = {
+  1: { announcements: parseAnnouncements(fixture('announcements.html')), nextPage: parseAnnouncementPager(fixture('announcements.html')) },
+  2: { announcements: parseAnnouncements(fixture('announcements-page2.html')), nextPage: parseAnnouncementPager(fixture('announcements-page2.html')) },
+};
+
+test('announcements are normalised with ISO dates, categories and attachments', () => {
+  const announcements = pages[1].announcements;
+  assert.equal(announcements.length, 2);
+  const [timetable, results] = announcements;
+
+  assert.equal(timetable.title, 'Exam Time Table - B.Tech S6 (R,S) Exam June 2025');
+  assert.equal(timetable.date, '2025-05-15');
+  assert.equal(timetable.rawDate, 'Thu May 15 00:00:00 IST 2025');
+  assert.equal(timetable.category, 'exam-timetable');
+  assert.equal(timetable.url, 'https://ktu.edu.in/eu/core/announcements.htm?id=1');
+  assert.deepEqual(timetable.attachments, [
+    { title: 'Time Table', url: 'https://ktu.edu.in/eu/att/attachments.htm?download=file&id=1001', fileType: null },
+  ]);
+
+  assert.equal(results.category, 'results');
+  assert.equal(results.attachments[0].fileType, 'pdf');
+  // links still lists every link, attachments included
+  assert.deepEqual(results.links, [
+    { title: 'Notification (PDF)', url: 'https://ktu.edu.in/eu/att/attachments.htm?download=file&id=1002' },
+    { title: 'Check Results', url: 'https://ktu.edu.in/eu/res/viewExamResult.htm' },
+  ]);
+});
+
+test('older pages: next link, circulars and file types from extensions', () => {
+  assert.equal(pages[1].nextPage, 'https://ktu.edu.in/eu/core/announcements.htm?page=2');
+  assert.equal(pages[2].nextPage, null);
+
+  const [circular, honours] = pages[2].announcements;
+  assert.equal(circular.category, 'circular');
+  assert.equal(circular.date, '2025-01-10');
+  assert.deepEqual(circular.attachments.map(a => a.fileType), ['pdf']);
+  assert.deepEqual(circular.links.map(l => l.url), circular.attachments.map(a => a.url));
+  assert.equal(honours.category, 'notification');
+  assert.equal(honours.date, '2024-12-02');
+  assert.equal(honours.attachments[0].fileType, 'docx');
+});
+
+test('KTU date formats', () => {
+  assert.equal(parseKtuDate('Sun Mar 02 10:30:00 IST 2025'), '2025-03-02');
+  assert.equal(parseKtuDate('15 May 2025'), '2025-05-15');
+  assert.equal(parseKtuDate('May 15, 2025'), '2025-05-15');
+  assert.equal(parseKtuDate('2025-05-15T00:00:00Z'), '2025-05-15');
+  assert.equal(parseKtuDate('31-02-2025'), null);
+  assert.equal(parseKtuDate(''), null);
+});
+
+test('pages are walked only as far as needed', async () => {
+  const loaded = [];
+  const loadPage = async number => {
+    loaded.push(number);
+    return pages[number];
+  };
+
+  const first = await collectAnnouncements(loadPage, { enough: items => items.length >= 2 });
+  assert.deepEqual(loaded, [1]);
+  assert.equal(first.exhausted, false);
+
+  const all = await collectAnnouncements(loadPage);
+  assert.equal(all.items.length, 4);
+  assert.equal(all.pages, 2);
+  assert.equal(all.exhausted, true);
+
+  assert.equal(await collectAnnouncements(async () => null), null);
+});
+
+test('filters by category, date range and search terms', () => {
+  const all = [...pages[1].announcements, ...pages[2].announcements];
+  assert.deepEqual(filterAnnouncements(all, { categories: ['circular', 'results'] }).map(a => a.category), ['results', 'circular']);
+  assert.equal(filterAnnouncements(all, { from: '2025-01-01', to: '2025-04-30' }).length, 2);
+  assert.deepEqual(filterAnnouncements(all, { q: 'SEMESTER calendar' }).map(a => a.category), ['circular']);
+  assert.equal(filterAnnouncements(all, { q: 'college login' }).length, 1);
+});
+
+test('RSS and Atom feeds escape text and list attachments', () => {
+  const items = [{ ...pages[1].announcements[1], title: 'Results <S5> & more' }];
+  const rss = toRss(items, { updated: new Date('2025-05-01T00:00:00Z') });
+  assert.match(rss, /<rss version="2.0"/);
+  assert.match(rss, /<title>Results &lt;S5&gt; &amp; more<\/title>/);
+  assert.match(rss, /<pubDate>Sun, 20 Apr 2025 18:30:00 GMT<\/pubDate>/);
+  assert.match(rss, /<enclosure url="https:\/\/ktu.edu.in\/eu\/att\/attachments.htm\?download=file&amp;id=1002" type="application\/pdf"/);
+
+  const atom = toAtom(items, { link: 'http://localhost/api/announcements/atom' });
+  assert.match(atom, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+  assert.match(atom, /<category term="results"\/>/);
+  assert.match(atom, /<link rel="self" href="http:\/\/localhost\/api\/announcements\/atom"\/>/);
+});
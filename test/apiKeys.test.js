@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ApiKeyStore, secondsUntilTomorrow } from '../lib/apiKeys.js';
+import { RateLimiter } from '../lib/rateLimit.js';
+
+async function withStore(fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'ktu-keys-'));
+  const file = path.join(dir, 'api-keys.json');
+  try {
+    await fn(new ApiKeyStore({ file, flushDelay: 60000 }), file);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('rate limiter rejects past the budget until the window resets', async () => {
+  const limiter = new RateLimiter({ window: 0.05, limit: 2 });
+  assert.equal(limiter.hit('ip:a').remaining, 1);
+  assert.equal(limiter.hit('ip:a').remaining, 0);
+  const rejected = limiter.hit('ip:a');
+  assert.equal(rejected.allowed, false);
+  assert.ok(rejected.retryAfter >= 1);
+
+  assert.equal(limiter.hit('ip:b').allowed, true);
+  assert.equal(limiter.hit('ip:a', 5).allowed, true);
+  assert.equal(limiter.hit('ip:a', 0).allowed, true);
+
+  await new Promise(r => setTimeout(r, 60));
+  assert.equal(limiter.hit('ip:a').allowed, true);
+});
+
+test('the limiter stays within maxClients by evicting the oldest windows', () => {
+  const limiter = new RateLimiter({ window: 60, limit: 1, maxClients: 3 });
+  for (const client of ['ip:a', 'ip:b', 'ip:c', 'ip:d']) limiter.hit(client);
+  assert.equal(limiter.windows.size, 3);
+  assert.equal(limiter.windows.has('ip:a'), false);
+  assert.equal(limiter.hit('ip:d').allowed, false);
+});
+
+test('peeking at a budget does not spend it', () => {
+  const limiter = new RateLimiter({ window: 60, limit: 1 });
+  assert.equal(limiter.peek('ip:a').allowed, true);
+  assert.equal(limiter.peek('ip:a').allowed, true);
+  limiter.hit('ip:a');
+  const spent = limiter.peek('ip:a');
+  assert.equal(spent.allowed, false);
+  assert.ok(spent.retryAfter >= 1);
+  assert.equal(limiter.peek('ip:b').remaining, 1);
+});
+
+test('issued keys validate by value, store only a hash and can be revoked', async () => {
+  await withStore(async (store, file) => {
+    const issued = await store.issue({ name: 'frontend', limits: { rateLimit: 10 }, origins: ['https://app.example.com'] });
+    assert.match(issued.key, /^ktu_/);
+
+    const record = await store.validate(issued.key);
+    assert.equal(record.id, issued.id);
+    assert.deepEqual(record.limits, { rateLimit: 10 });
+    assert.equal(record.hash, undefined);
+    assert.ok(!(await readFile(file, 'utf8')).includes(issued.key));
+
+    assert.equal(await store.validate('ktu_wrong'), null);
+    assert.equal(await store.revoke(issued.id), true);
+    assert.equal(await store.validate(issued.key), null);
+    assert.equal(await store.revoke(issued.id), false);
+  });
+});
+
+test('usage is counted per day and route and survives a flush', async () => {
+  await withStore(async (store, file) => {
+    const { id } = await store.issue({ name: 'cli', limits: { dailyQuota: 100 } });
+    for (let i = 0; i < 3; i++) assert.equal(await store.admit(id, 100), true);
+    await store.record(id, { route: 'POST /api/profile', expensive: true });
+    await store.record(id, { route: 'GET /api/announcements' });
+    await store.record(id, { outcome: 'rejected' });
+    assert.equal(await store.usedToday(id), 2);
+
+    const report = await store.usage(id);
+    assert.deepEqual(report.today, { requests: 2, expensive: 1, rejected: 1, quota: 100 });
+    assert.equal(report.days[0].routes['POST /api/profile'], 1);
+
+    await store.flush();
+    const reloaded = new ApiKeyStore({ file });
+    assert.equal(await reloaded.usedToday(id), 2);
+    assert.equal(await reloaded.usage('missing'), null);
+  });
+});
+
+test('concurrent requests cannot overshoot the daily quota', async () => {
+  await withStore(async store => {
+    const { id } = await store.issue({ name: 'cli', limits: { dailyQuota: 3 } });
+    const admitted = await Promise.all(Array.from({ length: 10 }, () => store.admit(id, 3)));
+    assert.equal(admitted.filter(Boolean).length, 3);
+    assert.deepEqual((await store.usage(id)).today, { requests: 3, expensive: 0, rejected: 7, quota: 3 });
+
+    // A request turned away after admission gives its share back
+    await store.record(id, { outcome: 'rejected' });
+    assert.equal(await store.admit(id, 3), true);
+    assert.equal(await store.admit(id, 3), false);
+  });
+});
+
+test('daily quota resets at the next UTC midnight', () => {
+  assert.equal(secondsUntilTomorrow(new Date('2025-01-01T23:59:00Z')), 60);
+});
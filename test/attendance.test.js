@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture } from './helpers.js';
+import { parseAttendanceSemesters, parseAttendanceTable } from '../lib/parsers/index.js';
+import { attendanceMargin, fetchAttendance } from '../lib/attendance.js';
+
+const html = fixture('attendance.html');
+
+test('semester selector', () => {
+  assert.deepEqual(parseAttendanceSemesters(html), [
+    { id: '5', name: 'S5', selected: false },
+    { id: '6', name: 'S6', selected: true },
+  ]);
+});
+
+test('subject table uses header positions and skips the total row', () => {
+  const subjects = parseAttendanceTable(html);
+  assert.equal(subjects.length, 3);
+  assert.deepEqual(subjects[0], { subject: 'CST302 COMPILER DESIGN', code: 'CST302', attended: 29, total: 40, percentage: '72.5%' });
+  assert.equal(subjects[1].percentage, '91.67%');
+  assert.equal(subjects[2].percentage, '0%');
+});
+
+test('attendance margin', () => {
+  assert.deepEqual(attendanceMargin(30, 40, 75), { canMiss: 0, mustAttend: 0 });
+  assert.deepEqual(attendanceMargin(40, 40, 75), { canMiss: 13, mustAttend: 0 });
+  assert.deepEqual(attendanceMargin(29, 40, 75), { canMiss: 0, mustAttend: 4 });
+  assert.deepEqual(attendanceMargin(0, 0, 75), { canMiss: 0, mustAttend: 0 });
+});
+
+test('attendance margin at other thresholds', () => {
+  assert.deepEqual(attendanceMargin(40, 50, 80), { canMiss: 0, mustAttend: 0 });
+  assert.deepEqual(attendanceMargin(45, 50, 80), { canMiss: 6, mustAttend: 0 });
+  assert.deepEqual(attendanceMargin(30, 50, 80), { canMiss: 0, mustAttend: 50 });
+  assert.deepEqual(attendanceMargin(3, 4, 60), { canMiss: 1, mustAttend: 0 });
+});
+
+test('attendance margin is the exact number of classes', () => {
+  const atLeast = (attended, total) => attended * 100 >= 75 * total;
+  for (let total = 1; total <= 60; total++) {
+    for (let attended = 0; attended <= total; attended++) {
+      const { canMiss, mustAttend } = attendanceMargin(attended, total, 75);
+      if (canMiss) {
+        assert.ok(atLeast(attended, total + canMiss), `${attended}/${total} can miss ${canMiss}`);
+        assert.ok(!atLeast(attended, total + canMiss + 1), `${attended}/${total} can miss more than ${canMiss}`);
+      }
+      if (mustAttend) {
+        assert.ok(atLeast(attended + mustAttend, total + mustAttend), `${attended}/${total} must attend ${mustAttend}`);
+        assert.ok(!atLeast(attended + mustAttend - 1, total + mustAttend - 1), `${attended}/${total} must attend fewer`);
+      }
+      assert.equal(mustAttend > 0, !atLeast(attended, total));
+    }
+  }
+});
+
+test('fetchAttendance walks every semester through the session', async () => {
+  const urls = [];
+  const sessions = {
+    fetch: async (registerNo, password, url) => {
+      urls.push(url);
+      return { data: html };
+    },
+  };
+  const attendance = await fetchAttendance(sessions, 'ABC20CS001', 'pw', 75);
+  assert.equal(urls.length, 2);
+  assert.match(urls[1], /semesterId=5$/);
+  assert.deepEqual(attendance.semesters.map(s => s.semester), ['S5', 'S6']);
+  assert.equal(attendance.current.semester, 'S6');
+  assert.equal(attendance.subjects[0].mustAttend, 4);
+  assert.equal(attendance.threshold, 75);
+});
+
+test('fetchAttendance applies the threshold to subjects and semester totals', async () => {
+  const attendance = await fetchAttendance({ fetch: async () => ({ data: html }) }, 'ABC20CS001', 'pw', 85);
+  const s6 = attendance.semesters.find(s => s.semester === 'S6');
+  assert.deepEqual({ attended: s6.attended, total: s6.total, overall: s6.overall }, { attended: 62, total: 76, overall: '81.58%' });
+  assert.equal(s6.mustAttend, 18);
+  assert.deepEqual(attendance.current, { semester: 'S6', overall: '81.58%', canMiss: 0, mustAttend: 18 });
+  assert.equal(attendance.subjects[0].mustAttend, 34);
+  assert.equal(attendance.subjects[1].canMiss, 2);
+  assert.equal(attendance.threshold, 85);
+});
+
+test('fetchAttendance reads the current semester when the page has no selector', async () => {
+  const single = html.replace(/<select[\s\S]*<\/select>/, '');
+  const urls = [];
+  const attendance = await fetchAttendance({ fetch: async (registerNo, password, url) => { urls.push(url); return { data: single }; } }, 'ABC20CS001', 'pw', 75);
+  assert.equal(urls.length, 1);
+  assert.deepEqual(attendance.semesters.map(s => s.semester), ['Current']);
+  assert.equal(attendance.current.canMiss, 6);
+  assert.equal(attendance.subjects.length, 3);
+});
+
+test('fetchAttendance resolves null when login fails', async () => {
+  assert.equal(await fetchAttendance({ fetch: async () => null }, 'ABC20CS001', 'pw'), null);
+  // A session that dies while walking the other semesters counts as a failed login too
+  let calls = 0;
+  assert.equal(await fetchAttendance({ fetch: async () => (calls++ ? null : { data: html }) }, 'ABC20CS001', 'pw'), null);
+});
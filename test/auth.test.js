@@ -0,0 +1,205 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { AuthService, signJwt, verifyJwt, studentAuth } from '../lib/auth.js';
+import { Vault, seal, unseal } from '../lib/vault.js';
+import { redact, redactString } from '../lib/redact.js';
+
+async function withAuth(options, fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'ktu-auth-'));
+  const file = path.join(dir, 'vault.json');
+  try {
+    const vault = new Vault({ key: crypto.randomBytes(32), file });
+    await fn(new AuthService({ secret: 'test-secret', vault, sweepInterval: 0, ...options }), file);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('JWTs verify with the signing secret only, and expire', () => {
+  const exp = Math.floor(Date.now() / 1000) + 60;
+  const token = signJwt({ sub: 'TVE20CS001', exp }, 'k1');
+  assert.equal(verifyJwt(token, 'k1').sub, 'TVE20CS001');
+  assert.equal(verifyJwt(token, 'k2'), null);
+  assert.equal(verifyJwt(signJwt({ sub: 'X', exp: exp - 120 }, 'k1'), 'k1'), null);
+
+  const [header, , signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'TVE20CS002', exp })).toString('base64url');
+  assert.equal(verifyJwt(`${header}.${forged}.${signature}`, 'k1'), null);
+});
+
+test('sealed values need the same key and are tamper-evident', () => {
+  const key = crypto.randomBytes(32);
+  const blob = seal(key, 'hunter2');
+  assert.ok(!blob.includes('hunter2'));
+  assert.equal(unseal(key, blob), 'hunter2');
+  assert.equal(unseal(crypto.randomBytes(32), blob), null);
+  assert.equal(unseal(key, blob.slice(0, -4) + 'AAAA'), null);
+});
+
+test('login stores the password encrypted and issues working tokens', async () => {
+  await withAuth({}, async (auth, file) => {
+    const tokens = await auth.login('tve20cs001', 'hunter2');
+    assert.equal(tokens.registerNo, 'TVE20CS001');
+    assert.equal(tokens.tokenType, 'Bearer');
+
+    const claims = await auth.verify(tokens.accessToken);
+    assert.equal(claims.sub, 'TVE20CS001');
+    assert.equal(await auth.credentials('TVE20CS001'), 'hunter2');
+    assert.ok(!(await readFile(file, 'utf8')).includes('hunter2'));
+  });
+});
+
+test('refresh tokens rotate and a replayed one revokes the session', async () => {
+  await withAuth({}, async auth => {
+    const first = await auth.login('TVE20CS001', 'hunter2');
+    const second = await auth.refresh(first.refreshToken);
+    assert.ok(second);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.ok(await auth.verify(second.accessToken));
+
+    assert.equal(await auth.refresh(first.refreshToken), null);
+    assert.equal(await auth.refresh(second.refreshToken), null);
+    assert.equal(await auth.verify(second.accessToken), null);
+  });
+});
+
+test('revoking the last session drops the stored credentials', async () => {
+  await withAuth({}, async auth => {
+    const a = await auth.login('TVE20CS001', 'hunter2');
+    const b = await auth.login('TVE20CS001', 'hunter2');
+
+    const first = await auth.revoke((await auth.verify(a.accessToken)).sid);
+    assert.deepEqual(first, { registerNo: 'TVE20CS001', last: false });
+    assert.equal(await auth.verify(a.accessToken), null);
+    assert.equal(await auth.credentials('TVE20CS001'), 'hunter2');
+
+    const second = await auth.revokeRefreshToken(b.refreshToken);
+    assert.equal(second.last, true);
+    assert.equal(await auth.credentials('TVE20CS001'), null);
+    assert.equal(await auth.revokeRefreshToken(b.refreshToken), null);
+  });
+});
+
+test('a refresh token only revokes its session with the right secret', async () => {
+  await withAuth({}, async auth => {
+    const { accessToken, refreshToken } = await auth.login('TVE20CS001', 'hunter2');
+    const [sid] = refreshToken.split('.');
+
+    assert.equal(await auth.revokeRefreshToken(`${sid}.garbage`), null);
+    assert.equal(await auth.revokeRefreshToken(sid), null);
+    assert.ok(await auth.verify(accessToken));
+
+    const { refreshToken: rotated } = await auth.refresh(refreshToken);
+    assert.equal(await auth.revokeRefreshToken(refreshToken), null);
+    assert.equal((await auth.revokeRefreshToken(rotated)).registerNo, 'TVE20CS001');
+  });
+});
+
+test('expired sessions leave no credentials at rest', async () => {
+  await withAuth({ refreshTtl: 0.02 }, async (auth, file) => {
+    const { refreshToken } = await auth.login('TVE20CS001', 'hunter2');
+    await new Promise(r => setTimeout(r, 30));
+
+    assert.equal(await auth.hasSession('TVE20CS001'), false);
+    assert.equal(await auth.refresh(refreshToken), null);
+    const state = JSON.parse(await readFile(file, 'utf8'));
+    assert.deepEqual(state, { credentials: {}, sessions: {} });
+    assert.equal(await auth.credentials('TVE20CS001'), null);
+  });
+
+  await withAuth({ refreshTtl: 0.02 }, async (auth, file) => {
+    await auth.login('TVE20CS001', 'hunter2');
+    await new Promise(r => setTimeout(r, 30));
+    auth.refreshTtl = 60;
+    await auth.login('TVE20CS002', 'secret');
+    assert.equal(await auth.hasSession('tve20cs002'), true);
+    assert.deepEqual(Object.keys(JSON.parse(await readFile(file, 'utf8')).credentials), ['TVE20CS002']);
+
+    auth.refreshTtl = 0.02;
+    await auth.login('TVE20CS003', 'secret');
+    await new Promise(r => setTimeout(r, 30));
+    assert.deepEqual(await auth.sweep(), ['TVE20CS003']);
+    assert.deepEqual(Object.keys(JSON.parse(await readFile(file, 'utf8')).credentials), ['TVE20CS002']);
+  });
+});
+
+test('a replayed refresh token also drops the credentials of the last session', async () => {
+  await withAuth({}, async (auth, file) => {
+    const first = await auth.login('TVE20CS001', 'hunter2');
+    await auth.refresh(first.refreshToken);
+    assert.equal(await auth.refresh(first.refreshToken), null);
+    assert.deepEqual(JSON.parse(await readFile(file, 'utf8')).credentials, {});
+  });
+});
+
+// Minimal Express request / response doubles for the middleware
+const fakeReq = ({ authorization, body } = {}) => ({ body, get: name => (name === 'Authorization' ? authorization : undefined) });
+function fakeRes() {
+  return {
+    locals: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+test('login-backed routes check body credentials against the portal, and take tokens without a login', async () => {
+  await withAuth({}, async auth => {
+    const logins = [];
+    const sessions = { get: async (registerNo, password) => (logins.push(registerNo), password === 'hunter2' ? {} : null) };
+    const { requireStudent } = studentAuth({ auth, sessions });
+    const run = async req => {
+      const res = fakeRes();
+      let called = false;
+      await requireStudent(req, res, () => { called = true; });
+      return { req, res, called };
+    };
+
+    let result = await run(fakeReq({ body: { registerNo: 'TVE20CS001', password: 'wrong' } }));
+    assert.equal(result.called, false);
+    assert.equal(result.res.statusCode, 401);
+    assert.equal(result.res.body.error, 'Invalid credentials');
+
+    result = await run(fakeReq({ body: { registerNo: 'TVE20CS001', password: 'hunter2' } }));
+    assert.equal(result.called, true);
+    assert.deepEqual(result.req.student, { registerNo: 'TVE20CS001', password: 'hunter2' });
+
+    const { accessToken } = await auth.login('TVE20CS001', 'hunter2');
+    logins.length = 0;
+    result = await run(fakeReq({ authorization: `Bearer ${accessToken}` }));
+    assert.equal(result.called, true);
+    assert.equal(result.req.student.password, 'hunter2');
+    assert.deepEqual(logins, []);
+
+    result = await run(fakeReq({ authorization: 'Bearer nope' }));
+    assert.equal(result.res.statusCode, 401);
+  });
+});
+
+test('link tokens carry claims for one purpose and are never access tokens', async () => {
+  await withAuth({}, async auth => {
+    const token = auth.linkToken('exam-calendar', { sub: 'TVE20CS001', filters: { semester: 'S6' } }, 60);
+    assert.deepEqual(auth.verifyLinkToken(token, 'exam-calendar').filters, { semester: 'S6' });
+    assert.equal(auth.verifyLinkToken(token, 'other'), null);
+    assert.equal(await auth.verify(token), null);
+  });
+});
+
+test('log redaction hides passwords, tokens and cookies', () => {
+  assert.deepEqual(redact({ registerNo: 'TVE20CS001', password: 'hunter2', headers: { Cookie: 'JSESSIONID=abc' } }),
+    { registerNo: 'TVE20CS001', password: '[REDACTED]', headers: { Cookie: '[REDACTED]' } });
+  const line = redactString('body {"registerNo":"TVE20CS001","password":"hunter2"} Authorization: Bearer eyJ.abc.def JSESSIONID=abc123; Path=/');
+  assert.ok(!line.includes('hunter2'));
+  assert.ok(!line.includes('eyJ.abc.def'));
+  assert.ok(!line.includes('abc123'));
+  assert.ok(line.includes('TVE20CS001'));
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture } from './helpers.js';
+import { parseProfile } from '../lib/parsers/index.js';
+import { trackBacklogs } from '../lib/backlogs.js';
+
+test('failed course passed in a later semester is cleared', () => {
+  const { semesterResults } = parseProfile(fixture('profile.html'), ['semesterResults']);
+  const backlogs = trackBacklogs(semesterResults, '2019');
+  assert.equal(backlogs.count, 0);
+  assert.equal(backlogs.cleared.length, 1);
+  assert.equal(backlogs.cleared[0].code, 'EST100');
+  assert.equal(backlogs.cleared[0].firstFailedIn, 'S1');
+  assert.equal(backlogs.cleared[0].clearedIn, 'S2');
+  assert.deepEqual(backlogs.cleared[0].attempts.map(a => a.result), ['Failed', 'Passed']);
+  assert.equal(backlogs.credits.earned, '19');
+  assert.equal(backlogs.credits.recoveredBySupplementary, '3');
+});
+
+test('outstanding courses and the credits they would add', () => {
+  const backlogs = trackBacklogs([
+    { semester: 'S1', subjects: [{ code: 'MAT101', name: 'CALCULUS', credits: '4', grade: 'F' }, { code: 'PHT100', name: 'PHYSICS', credits: '4', grade: 'A' }] },
+    { semester: 'S2', subjects: [{ code: 'MAT101', name: 'CALCULUS', credits: '4', grade: 'Absent' }, { code: 'EST110', name: 'GRAPHICS', credits: '3', grade: 'FE' }] },
+    { semester: 'S3', subjects: [{ code: 'EST110', name: 'GRAPHICS', credits: '3', grade: 'Withheld' }] },
+  ], '2019');
+
+  assert.equal(backlogs.count, 2);
+  const [calculus, graphics] = backlogs.outstanding;
+  assert.equal(calculus.attemptCount, 2);
+  assert.equal(calculus.status, 'Not cleared');
+  assert.equal(graphics.status, 'Result pending');
+  assert.deepEqual(backlogs.credits, { earned: '4', outstanding: '7', recoveredBySupplementary: '0', earnedIfAllCleared: '11' });
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture } from './helpers.js';
+import { parseResults } from '../lib/parsers/index.js';
+import { expandRange, createRateLimiter, runBatch, aggregateResults, BatchJobs } from '../lib/batch.js';
+
+test('register number ranges', () => {
+  assert.deepEqual(expandRange('abc20cs008', 'ABC20CS011'), ['ABC20CS008', 'ABC20CS009', 'ABC20CS010', 'ABC20CS011']);
+  assert.equal(expandRange('ABC20CS001', 'ABC20ME010'), null);
+  assert.equal(expandRange('ABC20CS010', 'ABC20CS001'), null);
+  assert.equal(expandRange('ABC20CS001', 'ABC20CS010', 10).length, 10);
+  assert.equal(expandRange('ABC20CS001', 'ABC20CS011', 10), null);
+  // Rejected by size, before anything is allocated
+  assert.equal(expandRange('ABC20CS0000000000', 'ABC20CS9999999999', 200), null);
+});
+
+test('runBatch keeps concurrency bounded and results in order', async () => {
+  let active = 0;
+  let peak = 0;
+  const seen = [];
+  const results = await runBatch([1, 2, 3, 4, 5, 6, 7], async n => {
+    peak = Math.max(peak, ++active);
+    await new Promise(r => setTimeout(r, 8 - n));
+    active--;
+    return n * 10;
+  }, { concurrency: 3, onResult: r => seen.push(r) });
+  assert.deepEqual(results, [10, 20, 30, 40, 50, 60, 70]);
+  assert.equal(peak, 3);
+  assert.equal(seen.length, 7);
+});
+
+test('rate limiter spaces calls apart', async () => {
+  const limiter = createRateLimiter(20);
+  const start = Date.now();
+  await Promise.all([limiter(), limiter(), limiter()]);
+  assert.ok(Date.now() - start >= 35);
+});
+
+test('class aggregates', () => {
+  const john = parseResults(fixture('results.html'));
+  const jane = {
+    studentName: 'JANE DOE',
+    results: [{ examName: 'S1', subjects: [{ code: 'MAT101', name: 'LINEAR ALGEBRA AND CALCULUS', credits: '4', grade: 'F' }] }],
+  };
+  const agg = aggregateResults([
+    { registerNo: 'ABC20CS001', status: 'ok', data: john },
+    { registerNo: 'ABC20CS002', status: 'ok', data: jane },
+    { registerNo: 'ABC20CS003', status: 'not_found' },
+  ], { scheme: '2019', top: 1 });
+
+  assert.equal(agg.found, 2);
+  assert.equal(agg.notFound, 1);
+  assert.equal(agg.passed, 1); // EST100 was cleared in the second exam
+  assert.equal(agg.passPercentage, '50.00%');
+  const mat101 = agg.courses.find(c => c.code === 'MAT101');
+  assert.deepEqual(mat101.grades, { A: 1, F: 1 });
+  assert.equal(mat101.passPercentage, '50.00%');
+  assert.deepEqual(agg.topPerformers.map(p => p.registerNo), ['ABC20CS001']);
+});
+
+test('batch jobs report progress and results', async () => {
+  const jobs = new BatchJobs();
+  const job = jobs.create(['A', 'B'], async onResult => {
+    onResult();
+    onResult();
+    return { results: ['a', 'b'], aggregates: { found: 2 } };
+  });
+  assert.equal(jobs.get(job.id).status, 'running');
+  await new Promise(r => setImmediate(r));
+  assert.equal(job.status, 'done');
+  assert.equal(job.completed, 2);
+  assert.deepEqual(job.aggregates, { found: 2 });
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Cache, MemoryBackend, RedisBackend } from '../lib/cache.js';
+
+// Minimal stand-in for an ioredis client: GET / SET EX / DEL / SCAN MATCH
+function fakeRedis() {
+  const data = new Map();
+  return {
+    data,
+    async get(key) {
+      const item = data.get(key);
+      return item && item.expires > Date.now() ? item.value : null;
+    },
+    async set(key, value, mode, ttl) {
+      assert.equal(mode, 'EX');
+      data.set(key, { value, expires: Date.now() + ttl * 1000 });
+      return 'OK';
+    },
+    async del(...keys) {
+      return keys.filter(k => data.delete(k)).length;
+    },
+    async scan(cursor, match, pattern) {
+      const re = new RegExp('^' + pattern.split('*').join('.*') + '$');
+      return ['0', [...data.keys()].filter(k => re.test(k))];
+    },
+  };
+}
+
+for (const [name, makeBackend] of [['memory', () => new MemoryBackend()], ['redis', () => new RedisBackend(fakeRedis())]]) {
+  test(`${name}: wrap loads once and serves hits`, async () => {
+    const cache = new Cache({ backend: makeBackend(), ttls: { profile: 60 }, staleTtl: 60 });
+    let loads = 0;
+    const loader = async () => ({ n: ++loads });
+
+    assert.deepEqual(await cache.wrap('profile_ABC20CS001_x', 'profile', loader), { value: { n: 1 }, cached: false, stale: false });
+    assert.deepEqual(await cache.wrap('profile_ABC20CS001_x', 'profile', loader), { value: { n: 1 }, cached: true, stale: false });
+    assert.deepEqual((await cache.wrap('profile_ABC20CS001_x', 'profile', loader, { refresh: true })).value, { n: 2 });
+  });
+
+  test(`${name}: values that are not cacheable are not stored`, async () => {
+    const cache = new Cache({ backend: makeBackend() });
+    await cache.wrap('results_ABC20CS001_all', 'results', async () => null);
+    await cache.wrap('results_ABC20CS002_all', 'results', async () => ({ results: [] }), { cacheable: v => v.results.length > 0 });
+    assert.deepEqual(await cache.inspect(), []);
+  });
+
+  test(`${name}: inspect and purge by register number`, async () => {
+    const cache = new Cache({ backend: makeBackend() });
+    await cache.set('profile_ABC20CS001_75', 'profile', {});
+    await cache.set('results_ABC20CS001_all', 'results', {});
+    await cache.set('results_ABC20CS002_all', 'results', {});
+    await cache.set('announcements', 'announcements', {});
+
+    assert.deepEqual((await cache.inspect('abc20cs001')).map(e => e.key), ['profile_ABC20CS001_75', 'results_ABC20CS001_all']);
+    assert.deepEqual((await cache.purge('ABC20CS001')).sort(), ['profile_ABC20CS001_75', 'results_ABC20CS001_all']);
+    assert.deepEqual((await cache.inspect()).map(e => e.key), ['announcements', 'results_ABC20CS002_all']);
+    assert.equal(await cache.purgeKey('announcements'), true);
+  });
+}
+
+test('stale entries are served while one background reload refreshes them', async () => {
+  const cache = new Cache({ backend: new MemoryBackend(), ttls: { announcements: 0 }, staleTtl: 60 });
+  let loads = 0;
+  let release;
+  const gate = new Promise(r => { release = r; });
+  await cache.wrap('announcements', 'announcements', async () => ({ n: ++loads }));
+
+  const slowLoader = async () => {
+    await gate;
+    return { n: ++loads };
+  };
+  const first = await cache.wrap('announcements', 'announcements', slowLoader);
+  const second = await cache.wrap('announcements', 'announcements', slowLoader);
+  assert.deepEqual(first, { value: { n: 1 }, cached: true, stale: true });
+  assert.equal(second.stale, true);
+
+  release();
+  await cache.revalidating.get('announcements');
+  assert.equal(loads, 2);
+  assert.deepEqual((await cache.wrap('announcements', 'announcements', async () => ({ n: 99 }))).value, { n: 2 });
+  await cache.revalidating.get('announcements');
+});
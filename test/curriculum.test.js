@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture } from './helpers.js';
+import { parseSemesterResults } from '../lib/parsers/index.js';
+import { findCourse, curriculumFor, enrichSubjects, COURSE_CODE_RE, isCourseCode } from '../lib/curriculum.js';
+
+test('courses resolve by code with name, credits, L-T-P, category and semester', () => {
+  assert.deepEqual(findCourse('cst302', '2019'), {
+    code: 'CST302',
+    name: 'Compiler Design',
+    credits: 4,
+    ltp: '3-1-0',
+    category: 'core',
+    semester: 6,
+    scheme: '2019',
+    branches: ['CS'],
+  });
+  assert.deepEqual(findCourse('MAT101').branches, ['common']);
+  assert.equal(findCourse('CST312').category, 'elective');
+  assert.equal(findCourse('CST302', '2015'), null);
+  assert.equal(findCourse('XYZ999'), null);
+});
+
+test('branch curriculum includes common courses and keeps minor / honours apart', () => {
+  const cs = curriculumFor('2019', 'cs');
+  assert.deepEqual(cs.semesters.map(s => s.semester), [1, 2, 3, 4, 5, 6, 7, 8]);
+  const s6 = cs.semesters.find(s => s.semester === 6);
+  assert.ok(s6.courses.some(c => c.code === 'HUT300'));
+  assert.equal(s6.coreCredits, 20);
+  assert.ok(cs.minor.every(c => c.category === 'minor'));
+  assert.deepEqual(cs.honours.map(c => c.code), ['CST292', 'CST294']);
+  assert.equal(curriculumFor('2019', 'XX'), null);
+});
+
+test('parsed subjects are enriched from the catalogue', () => {
+  const [s1, s2] = parseSemesterResults(fixture('profile.html'));
+  const subjects = enrichSubjects([...s1.subjects, ...s2.subjects], '2019');
+  const maths = subjects.find(s => s.code === 'MAT101');
+  assert.equal(maths.name, 'LINEAR ALGEBRA AND CALCULUS');
+  assert.deepEqual(maths.curriculum, { name: 'Linear Algebra and Calculus', credits: 4, ltp: '3-1-0', category: 'core', semester: 1 });
+  // Not in the catalogue
+  assert.equal(subjects.find(s => s.code === 'CST102').curriculum, null);
+});
+
+test('course codes of every scheme are recognised', () => {
+  assert.equal('PCCST302 - Compiler Design'.match(COURSE_CODE_RE)[0], 'PCCST302');
+  assert.equal('CST302 Compiler Design'.match(COURSE_CODE_RE)[0], 'CST302');
+  assert.equal('CST302COMPILER DESIGN'.match(COURSE_CODE_RE)[0], 'CST302');
+  assert.equal('(MAT101)Linear Algebra'.match(COURSE_CODE_RE)[0], 'MAT101');
+  assert.equal('CST3021'.match(COURSE_CODE_RE), null);
+  assert.ok(isCourseCode('pccst302'));
+  assert.ok(!isCourseCode('CST302COMPILER'));
+});
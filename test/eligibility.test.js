@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture } from './helpers.js';
+import { parseProfile } from '../lib/parsers/index.js';
+import { trackBacklogs } from '../lib/backlogs.js';
+import { rulesFor, applyRequirements, evaluateEligibility, admissionTypeForRegisterNo } from '../lib/eligibility.js';
+
+test('rule sets per scheme and admission type', () => {
+  const regular = rulesFor('2019', 'regular');
+  const lateral = rulesFor('2019', 'lateral');
+  assert.equal(regular.totalCredits, 162);
+  assert.equal(regular.activityPoints, 100);
+  assert.ok(lateral.activityPoints < regular.activityPoints);
+  assert.equal(rulesFor('2019', 'distance'), null);
+  assert.equal(admissionTypeForRegisterNo('LABC21CS001'), 'lateral');
+  assert.equal(admissionTypeForRegisterNo('ABC20CS001'), 'regular');
+});
+
+test('requirements are filled from the rule set', () => {
+  const sections = parseProfile(fixture('profile.html'), ['credits', 'activityPoints']);
+  const { credits, activityPoints } = applyRequirements(sections, rulesFor('2019', 'lateral'));
+  assert.deepEqual(credits, { earned: '19', required: '122', courseCredits: '120', activityCredits: '2' });
+  assert.equal(activityPoints.required, '75');
+  assert.equal(activityPoints.status, 'Completed');
+});
+
+test('report lists what blocks graduation', () => {
+  const sections = parseProfile(fixture('profile.html'), ['credits', 'activityPoints']);
+  const backlogs = trackBacklogs([{ semester: 'S1', subjects: [{ code: 'MAT101', name: 'CALCULUS', credits: '4', grade: 'F' }] }]);
+  const report = evaluateEligibility({ ...sections, backlogs }, rulesFor('2019', 'regular'));
+
+  assert.equal(report.eligible, false);
+  assert.equal(report.verdict, 'Not eligible');
+  assert.deepEqual(report.credits.byCategory, [
+    { category: 'course', required: 160, earned: 19, missing: 141 },
+    { category: 'activity', required: 2, earned: 0, missing: 2 },
+  ]);
+  assert.deepEqual(report.activityPoints, { required: 100, earned: 85, missing: 15 });
+  assert.deepEqual(report.backlogs.courses, ['MAT101']);
+  assert.equal(report.reasons.length, 4);
+});
+
+test('eligible once every requirement is met', () => {
+  const report = evaluateEligibility({
+    credits: { earned: '160' },
+    activityPoints: { total: '104' },
+    backlogs: { outstanding: [] },
+  }, rulesFor('2019', 'regular'));
+  assert.equal(report.eligible, true);
+  assert.deepEqual(report.reasons, []);
+  assert.equal(report.credits.missing, 0);
+});
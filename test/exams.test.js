@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture } from './helpers.js';
+import { parseTimetable, parseExamRegistration, parseHallTickets, semesterNumber } from '../lib/parsers/index.js';
+import { filterTimetable } from '../lib/exams.js';
+import { toIcs } from '../lib/ics.js';
+
+const exams = parseTimetable(fixture('timetable.html'));
+
+test('timetable tables take exam, semester and scheme from their heading', () => {
+  assert.equal(exams.length, 2);
+  assert.equal(exams[0].exam, 'B.Tech S6 (R,S) Exam June 2025 (2019 Scheme)');
+  assert.equal(exams[0].scheme, '2019');
+  assert.equal(exams[0].semester, 6);
+  assert.deepEqual(exams[0].entries[1], {
+    date: '2025-06-02', // empty date cell: same day as the row above
+    session: 'AN',
+    startTime: '13:30',
+    endTime: '16:30',
+    courseCode: 'MCN302',
+    courseName: 'Disaster Management',
+    branch: 'All Branches',
+    semester: 6,
+    scheme: '2019',
+  });
+  assert.equal(exams[1].entries[0].session, 'AN');
+  assert.equal(exams[1].entries[0].startTime, null);
+});
+
+test('timetable filters: scheme, semester, branch, courses and dates', () => {
+  const codes = filters => filterTimetable(exams, filters).map(e => e.courseCode);
+  assert.deepEqual(codes({ scheme: '2019', semester: 'S6', branch: 'CS' }), ['CST302', 'MCN302', 'CST304']);
+  assert.deepEqual(codes({ semester: '6', branch: 'EC' }), ['MCN302', 'ECT302']);
+  assert.deepEqual(codes({ scheme: '2024' }), ['GAMAT401']);
+  assert.deepEqual(codes({ courses: ['cst304', 'GAMAT401'] }), ['GAMAT401', 'CST304']);
+  assert.deepEqual(codes({ from: '2025-06-03', to: '2025-06-03' }), ['GAMAT401']);
+  assert.equal(semesterNumber('Semester 4'), 4);
+});
+
+test('registration status and registered courses', () => {
+  const { registrations, courses } = parseExamRegistration(fixture('exam-registration.html'));
+  assert.deepEqual(registrations.map(r => [r.registered, r.registeredOn]), [[true, '2025-05-12'], [false, null]]);
+  assert.equal(registrations[0].feeStatus, 'Paid');
+  assert.deepEqual(courses.map(c => c.code), ['CST302', 'MCN302', 'CST304']);
+});
+
+test('hall tickets are available when a download link is shown', () => {
+  assert.deepEqual(parseHallTickets(fixture('hall-tickets.html')), [
+    { exam: 'B.Tech S6 (R,S) Exam June 2025', available: true, url: 'https://app.ktu.edu.in/eu/exm/downloadHallTicket.htm?examId=77' },
+    { exam: 'B.Tech S5 (S) Exam March 2025', available: false, url: null },
+  ]);
+
+  const links = ['javascript:download(78)', 'http://[bad', '//app.ktu.edu.in/eu/exm/hall.htm?examId=79']
+    .map(href => `<tr><td>Exam ${href}</td><td><a href="${href}">Download</a></td></tr>`).join('');
+  assert.deepEqual(parseHallTickets(`<table><tr><th>Exam</th><th>Hall Ticket</th></tr>${links}</table>`).map(t => [t.available, t.url]), [
+    [true, null],
+    [true, null],
+    [true, 'https://app.ktu.edu.in/eu/exm/hall.htm?examId=79'],
+  ]);
+});
+
+test('iCalendar export in UTC with session fallbacks and escaping', () => {
+  const entries = filterTimetable(exams, { courses: ['CST302', 'GAMAT401'] });
+  const ics = toIcs(entries, { name: 'KTU Exams - TVE20CS001', now: new Date('2025-05-01T00:00:00Z') });
+  const lines = ics.split('\r\n');
+
+  assert.equal(lines[0], 'BEGIN:VCALENDAR');
+  assert.equal(lines.filter(l => l === 'BEGIN:VEVENT').length, 2);
+  assert.ok(lines.includes('DTSTART:20250602T040000Z'));
+  assert.ok(lines.includes('DTEND:20250602T070000Z'));
+  // No printed time: the AN session slot
+  assert.ok(lines.includes('DTSTART:20250603T080000Z'));
+  assert.ok(lines.includes('DESCRIPTION:B.Tech S6 (R\\,S) Exam June 2025 (2019 Scheme)\\nSession: FN'));
+  assert.ok(lines.every(l => Buffer.byteLength(l) <= 75));
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { fixture } from './helpers.js';
+import { parseProfile, parseResults } from '../lib/parsers/index.js';
+import { gradeProfile } from '../lib/grading.js';
+import { profileTables, resultsTables, batchTables } from '../lib/export/tables.js';
+import { toCsv } from '../lib/export/csv.js';
+import { negotiateFormat, renderExport } from '../lib/export/index.js';
+
+const sections = parseProfile(fixture('profile.html'));
+const profile = { registerNo: 'ABC20CS001', ...sections, ...gradeProfile(sections, '2019') };
+const results = { registerNo: 'ABC20CS001', ...parseResults(fixture('results.html')) };
+
+test('format from ?format= or the Accept header', () => {
+  const req = (query, accepted) => ({ query, accepts: types => (accepted === '*/*' ? types[0] : types.includes(accepted) ? accepted : false) });
+  assert.equal(negotiateFormat(req({}, '*/*')), 'json');
+  assert.equal(negotiateFormat(req({ format: 'PDF' }, '*/*')), 'pdf');
+  assert.equal(negotiateFormat(req({}, 'text/csv')), 'csv');
+  assert.equal(negotiateFormat(req({ format: 'docx' }, '*/*')), null);
+  assert.equal(negotiateFormat(req({}, 'image/png')), 'json');
+  assert.equal(negotiateFormat(req({}, 'text/html')), 'json');
+});
+
+test('CSV quotes fields and neutralises formulas', () => {
+  const csv = toCsv({ columns: ['a', 'b'], rows: [['x, y', 'say "hi"'], ['=SUM(A1)', 3]] });
+  assert.equal(csv, 'a,b\r\n"x, y","say ""hi"""\r\n\'=SUM(A1),3\r\n');
+});
+
+test('profile grades table', async () => {
+  const [grades, summary] = profileTables(profile);
+  assert.deepEqual(grades.rows[0], ['S1', 'MAT101', 'LINEAR ALGEBRA AND CALCULUS', '4', 'A', '8.5', '6.00']);
+  assert.deepEqual(summary.rows.find(r => r[0] === 'CGPA'), ['CGPA', '8.50']);
+
+  const csv = await renderExport('csv', 'profile', profile);
+  assert.match(csv, /^Semester,Code,Course,Credits,Grade,Grade Point,SGPA\r\n/);
+  assert.equal(csv.trim().split('\r\n').length, 7);
+});
+
+test('results and batch class sheets', () => {
+  assert.equal(resultsTables(results)[0].rows.length, 6);
+
+  const [sheet] = batchTables({
+    scheme: '2019',
+    results: [{ registerNo: 'ABC20CS001', status: 'ok', data: results }, { registerNo: 'ABC20CS002', status: 'not_found' }],
+    aggregates: { courses: [] },
+  });
+  assert.deepEqual(sheet.columns, ['Register No', 'Name', 'Status', 'CGPA', 'CST102', 'EST100', 'MAT101', 'MAT102', 'PHT100']);
+  assert.deepEqual(sheet.rows[0], ['ABC20CS001', 'JOHN DOE', 'ok', '8.50', 'S', 'C', 'A', 'A+', 'B+']);
+  assert.deepEqual(sheet.rows[1], ['ABC20CS002', '', 'not_found', '', '', '', '', '', '']);
+});
+
+test('XLSX workbook has a sheet per table', async () => {
+  const buffer = await renderExport('xlsx', 'profile', profile);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  assert.deepEqual(workbook.worksheets.map(w => w.name), ['Grades', 'Summary']);
+  assert.equal(workbook.getWorksheet('Grades').getRow(2).getCell(2).value, 'MAT101');
+});
+
+test('PDF transcript and results report render', async () => {
+  for (const [kind, data] of [['profile', profile], ['results', results]]) {
+    const pdf = await renderExport('pdf', kind, data);
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.ok(pdf.length > 1000);
+  }
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture } from './helpers.js';
+import { parseProfile } from '../lib/parsers/index.js';
+import {
+  gradePoint,
+  normalizeGrade,
+  schemeForRegisterNo,
+  computeSgpa,
+  computeCgpa,
+  cgpaToPercentage,
+  gradeProfile,
+} from '../lib/grading.js';
+
+test('grade points per scheme', () => {
+  assert.equal(gradePoint('S', '2019'), 10);
+  assert.equal(gradePoint('B', '2019'), 7.5);
+  assert.equal(gradePoint('B', '2015'), 7);
+  assert.equal(gradePoint('O', '2015'), 10);
+  assert.equal(gradePoint('O', '2019'), null);
+  assert.equal(gradePoint('FE', '2024'), 0);
+  assert.equal(gradePoint('Absent'), 0);
+  assert.equal(gradePoint('Withheld'), null);
+  assert.equal(normalizeGrade(' ab '), 'ABSENT');
+});
+
+test('scheme from admission year', () => {
+  assert.equal(schemeForRegisterNo('ABC17CS001'), '2015');
+  assert.equal(schemeForRegisterNo('ABC20CS001'), '2019');
+  assert.equal(schemeForRegisterNo('ABC24CS001'), '2024');
+});
+
+test('credit-weighted SGPA ignores withheld courses', () => {
+  const subjects = [
+    { code: 'MAT101', credits: '4', grade: 'A' },
+    { code: 'PHT100', credits: '4', grade: 'B+' },
+    { code: 'EST100', credits: '3', grade: 'F' },
+    { code: 'HUN101', credits: '0', grade: 'P' },
+    { code: 'EST110', credits: '3', grade: 'Withheld' },
+  ];
+  assert.equal(computeSgpa(subjects, '2019'), 6);
+  assert.equal(computeSgpa([], '2019'), null);
+});
+
+test('CGPA counts the latest attempt of a repeated course', () => {
+  const semesters = [
+    { subjects: [{ code: 'EST100', credits: '3', grade: 'F' }, { code: 'MAT101', credits: '4', grade: 'S' }] },
+    { subjects: [{ code: 'EST100', credits: '3', grade: 'C' }] },
+  ];
+  assert.equal(computeCgpa(semesters, '2019'), 8.5);
+});
+
+test('percentage conversion depends on scheme', () => {
+  assert.equal(cgpaToPercentage('8.5', '2015'), '82.50%');
+  assert.equal(cgpaToPercentage('8.5', '2019'), '77.50%');
+  assert.equal(cgpaToPercentage('', '2019'), '');
+});
+
+test('gradeProfile fills grade points and matches the portal figures', () => {
+  const { academicInfo, semesterResults } = gradeProfile(parseProfile(fixture('profile.html')), '2019');
+  assert.equal(semesterResults[0].subjects[0].gradePoint, '8.5');
+  assert.deepEqual(semesterResults.map(s => s.sgpa), ['6.00', '8.68']);
+  assert.equal(academicInfo.sgpa, '8.68');
+  assert.equal(academicInfo.computedCgpa, '8.50');
+  assert.equal(academicInfo.percentage, '77.50%');
+  assert.deepEqual(academicInfo.discrepancies, []);
+});
+
+test('gradeProfile flags figures that disagree with the portal', () => {
+  const sections = parseProfile(fixture('profile.html'));
+  sections.academicInfo.cgpa = '9.10';
+  sections.semesterResults[0].portalSgpa = '7.00';
+  const { academicInfo } = gradeProfile(sections, '2019');
+  assert.deepEqual(academicInfo.discrepancies, [
+    { field: 'sgpa', semester: 'S1', portal: '7.00', computed: '6.00' },
+    { field: 'cgpa', portal: '9.10', computed: '8.50' },
+  ]);
+});
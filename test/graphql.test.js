@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture } from './helpers.js';
+import { Cache } from '../lib/cache.js';
+import { onSelectorReport } from '../lib/parsers/load.js';
+import { parseAnnouncements } from '../lib/parsers/index.js';
+import { fetchAttendance } from '../lib/attendance.js';
+import { rulesFor } from '../lib/eligibility.js';
+import { executeGraphql, Student, StudentLoader } from '../lib/graphql.js';
+
+// Context over the fixtures; `calls` counts portal fetches and `parsed` lists the sections parsed
+function fixtureContext({ cache = new Cache(), page = fixture('profile.html') } = {}) {
+  const calls = { page: 0, attendance: 0 };
+  const context = {
+    calls,
+    student: async () => new Student(new StudentLoader({
+      registerNo: 'abc20cs001',
+      scheme: '2019',
+      rule: rulesFor('2019', 'regular'),
+      cache,
+      fetchPage: async () => {
+        calls.page++;
+        return page;
+      },
+      fetchAttendance: threshold => {
+        calls.attendance++;
+        return fetchAttendance({ fetch: async () => ({ data: fixture('attendance.html') }) }, 'ABC20CS001', 'pw', threshold);
+      },
+    }), { defaultThreshold: 75 }),
+    announcements: async ({ limit }) => parseAnnouncements(fixture('announcements.html')).slice(0, limit),
+  };
+  return context;
+}
+
+// Runs a query while recording which sections the parsers reported
+async function run(query, context, variables) {
+  const parsed = [];
+  const unsubscribe = onSelectorReport(section => parsed.push(section));
+  try {
+    return { ...(await executeGraphql({ query, variables }, context)), parsed };
+  } finally {
+    unsubscribe();
+  }
+}
+
+test('a query only parses the sections it selects', async () => {
+  const context = fixtureContext();
+  const { status, body, parsed } = await run(`{
+    student { registerNo personalInfo { name } academicInfo { cgpa } attendance { current { semester overall } } }
+  }`, context);
+
+  assert.equal(status, 200);
+  assert.equal(body.errors, undefined);
+  assert.equal(body.data.student.registerNo, 'ABC20CS001');
+  assert.equal(body.data.student.personalInfo.name, 'JOHN DOE');
+  assert.ok(body.data.student.academicInfo.cgpa);
+  assert.ok(body.data.student.attendance.current.overall.endsWith('%'));
+
+  assert.deepEqual(parsed.filter(s => s !== 'attendance').sort(), ['academicInfo', 'personalInfo']);
+  assert.deepEqual(context.calls, { page: 1, attendance: 1 });
+});
+
+test('semester results are graded and enriched, and sections come from the cache afterwards', async () => {
+  const cache = new Cache();
+  const query = `query ($semester: String) {
+    student { academicInfo { sgpa computedCgpa } semesterResults(semester: $semester) { semester sgpa subjects { code gradePoint curriculum { name } } } }
+  }`;
+  const first = await run(query, fixtureContext({ cache }), { semester: 'S1' });
+  assert.equal(first.body.errors, undefined);
+  const [s1] = first.body.data.student.semesterResults;
+  assert.equal(first.body.data.student.semesterResults.length, 1);
+  assert.equal(s1.semester, 'S1');
+  assert.ok(s1.sgpa);
+  assert.ok(s1.subjects.every(subject => subject.gradePoint !== ''));
+  assert.ok(s1.subjects.some(subject => subject.curriculum?.name));
+  assert.deepEqual(first.parsed, ['semesterResults']);
+
+  const again = fixtureContext({ cache });
+  const second = await run(query, again, { semester: 'S2' });
+  assert.equal(second.body.data.student.semesterResults[0].semester, 'S2');
+  assert.deepEqual(second.parsed, []);
+  assert.equal(again.calls.page, 0);
+});
+
+test('activity points carry the requirement of the rule set', async () => {
+  const { body } = await run('{ student { activityPoints { total required status breakdown { category points } } } }', fixtureContext());
+  const { activityPoints } = body.data.student;
+  assert.equal(activityPoints.required, String(rulesFor('2019', 'regular').activityPoints));
+  assert.ok(['Completed', 'Pending'].includes(activityPoints.status));
+  assert.ok(activityPoints.breakdown.length);
+});
+
+test('announcements need no login', async () => {
+  const context = fixtureContext();
+  const { body } = await run('{ announcements(limit: 2) { id title category attachments { url } } }', context);
+  assert.equal(body.data.announcements.length, 2);
+  assert.deepEqual(context.calls, { page: 0, attendance: 0 });
+});
+
+test('invalid documents are 400s; resolver failures come back with error codes', async () => {
+  const context = fixtureContext();
+  let result = await run('{ student { ', context);
+  assert.equal(result.status, 400);
+  assert.equal(result.body.errors[0].extensions.code, 'VALIDATION_FAILED');
+
+  result = await run('{ student { password } }', context);
+  assert.equal(result.status, 400);
+  assert.match(result.body.errors[0].message, /password/);
+
+  assert.equal((await executeGraphql({}, context)).status, 400);
+
+  result = await run('query ($semester: String) { student { semesterResults(semester: $semester) { semester } } }', context, { semester: { no: 1 } });
+  assert.equal(result.status, 400);
+  assert.equal(result.body.data, undefined);
+  assert.equal(result.body.errors[0].extensions.code, 'VALIDATION_FAILED');
+
+  for (const variables of [5, [1], 'x']) {
+    result = await run('{ announcements { id } }', context, variables);
+    assert.equal(result.status, 400);
+    assert.equal(result.body.errors[0].extensions.code, 'VALIDATION_FAILED');
+  }
+
+  result = await run('{ student { attendance(threshold: 120) { overall } } }', context);
+  assert.equal(result.status, 200);
+  assert.equal(result.body.data, null);
+  assert.equal(result.body.errors[0].extensions.code, 'INVALID_THRESHOLD');
+
+  result = await run('{ student { personalInfo { name } } }', fixtureContext({ page: null }));
+  assert.equal(result.body.errors[0].extensions.code, 'INVALID_CREDENTIALS');
+  assert.deepEqual(result.body.errors[0].path, ['student', 'personalInfo']);
+});
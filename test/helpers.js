@@ -0,0 +1,5 @@
+// test/helpers.js - Shared helpers for the offline test suite
+
+import { readFileSync } from 'fs';
+
+export const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
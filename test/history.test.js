@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fixture } from './helpers.js';
+import { parseResults } from '../lib/parsers/index.js';
+import { SnapshotStore } from '../lib/snapshots.js';
+import { diffProfile, diffResults, diffAttendance, diffSnapshots, timeline } from '../lib/diff.js';
+
+const profile = (cgpa, points, grades) => ({
+  academicInfo: { cgpa },
+  activityPoints: { total: String(points) },
+  semesterResults: [{ semester: 'S1', subjects: grades.map(([code, grade]) => ({ code, name: code, grade })) }],
+  attendance: { overall: '80.00%', semesters: [] },
+});
+
+test('snapshot store keeps concurrent saves and trims to the limit', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'ktu-snapshots-'));
+  try {
+    const store = new SnapshotStore({ dir, limit: 3 });
+    await Promise.all([1, 2, 3, 4, 5].map(n => store.save('abc20cs001', 'profile', { n, cached: true })));
+    await store.save('ABC20CS001', 'attendance', { overall: '70%' });
+
+    const all = await store.list('ABC20CS001');
+    assert.equal(all.length, 4);
+    assert.deepEqual((await store.list('ABC20CS001', 'profile')).map(s => s.data), [{ n: 3 }, { n: 4 }, { n: 5 }]);
+    assert.deepEqual(await store.list('XYZ20CS001'), []);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a snapshot equal to the previous one of its type is not saved again', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'ktu-snapshots-'));
+  try {
+    const store = new SnapshotStore({ dir });
+    assert.ok(await store.save('ABC20CS001', 'attendance', { overall: '70%', lastUpdated: '2025-01-01T00:00:00.000Z' }));
+    assert.equal(await store.save('ABC20CS001', 'attendance', { overall: '70%', lastUpdated: '2025-01-02T00:00:00.000Z', cached: true }), null);
+    assert.ok(await store.save('ABC20CS001', 'profile', { overall: '70%' }));
+    assert.ok(await store.save('ABC20CS001', 'attendance', { overall: '72%' }));
+    assert.ok(await store.save('ABC20CS001', 'attendance', { overall: '70%' }));
+    assert.deepEqual((await store.list('ABC20CS001', 'attendance')).map(s => s.data.overall), ['70%', '72%', '70%']);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('profile diff reports new grades, CGPA and activity points', () => {
+  const changes = diffProfile(profile('8.1', 60, [['MAT101', 'A']]), profile('8.3', 80, [['MAT101', 'A+'], ['PHT100', 'B']]));
+  assert.deepEqual(changes.map(c => c.kind), ['grade_changed', 'grade_published', 'cgpa_changed', 'activity_points_added']);
+  assert.deepEqual(changes[2], { kind: 'cgpa_changed', from: '8.1', to: '8.3' });
+});
+
+test('attendance diff flags drops', () => {
+  const before = { overall: '80.00%', semesters: [{ semester: 'S6', subjects: [{ subject: 'CST302', attended: 8, total: 10, percentage: '80.00%' }] }] };
+  const after = { overall: '72.73%', semesters: [{ semester: 'S6', subjects: [{ subject: 'CST302', attended: 8, total: 11, percentage: '72.73%' }] }] };
+  const changes = diffAttendance(before, after);
+  assert.equal(changes[0].kind, 'attendance_dropped');
+  assert.equal(changes[0].to, '72.73%');
+  assert.deepEqual(diffAttendance(before, before), []);
+});
+
+test('results diff reports newly published exams', () => {
+  const next = parseResults(fixture('results.html'));
+  const prev = { ...next, results: next.results.slice(0, 1) };
+  assert.deepEqual(diffResults(prev, next).map(c => c.kind), ['exam_published']);
+  assert.deepEqual(diffResults(next, next), []);
+});
+
+test('diffSnapshots against nothing treats everything as new', () => {
+  const diff = diffSnapshots(null, { type: 'profile', takenAt: '2025-01-01T00:00:00.000Z', data: profile('8', 10, [['MAT101', 'A']]) });
+  assert.equal(diff.from, null);
+  assert.ok(diff.changes.some(c => c.kind === 'grade_published'));
+});
+
+test('timeline collects series across snapshot types', () => {
+  const series = timeline([
+    { type: 'profile', takenAt: 't1', data: profile('8.1', 60, []) },
+    { type: 'attendance', takenAt: 't2', data: { overall: '75.00%' } },
+    { type: 'results', takenAt: 't3', data: { results: [{ cgpa: 'N/A' }] } },
+  ]);
+  assert.deepEqual(series.cgpa, [{ takenAt: 't1', value: '8.1' }]);
+  assert.deepEqual(series.attendance.map(p => p.value), ['80.00%', '75.00%']);
+  assert.deepEqual(series.activityPoints, [{ takenAt: 't1', value: '60' }]);
+});
@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture } from './helpers.js';
+import { parseProfile, parseResults, parseTimetable, parseAnnouncements } from '../lib/parsers/index.js';
+import { gradeProfile } from '../lib/grading.js';
+import { applyRequirements, evaluateEligibility, rulesFor } from '../lib/eligibility.js';
+import { trackBacklogs } from '../lib/backlogs.js';
+import { enrichSubjects, findCourse, curriculumFor } from '../lib/curriculum.js';
+import { fetchAttendance } from '../lib/attendance.js';
+import { filterTimetable } from '../lib/exams.js';
+import { isRegisterNo, parseRegisterNo } from '../lib/registerNo.js';
+import { sendError } from '../lib/errors.js';
+import { openapiSpec } from '../lib/openapi.js';
+import { OpenApiValidator } from '../lib/validation.js';
+
+const validator = new OpenApiValidator(openapiSpec, { responses: true });
+
+// Problems with a response body for `method path` at `status`
+const check = (method, path, status, body) => validator.validateResponse(validator.match(method, path), status, body);
+
+// Minimal Express response double
+function fakeRes(apiVersion) {
+  return {
+    locals: { apiVersion },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+test('register numbers: regular, lateral entry and three-letter branches', () => {
+  for (const regNo of ['ABC20CS001', 'abc20cs001', 'LTVE21CS045', 'TVE20MCA001']) assert.ok(isRegisterNo(regNo), regNo);
+  for (const regNo of ['AB20CS001', 'ABC20CS01', 'XABC20CS001', 'ABC20CS001 ', '', undefined]) assert.ok(!isRegisterNo(regNo), String(regNo));
+  assert.deepEqual(parseRegisterNo('ltve21cs045'), {
+    registerNo: 'LTVE21CS045', lateral: true, college: 'TVE', year: 2021, branch: 'CS', serial: '045',
+  });
+  assert.equal(parseRegisterNo('TVE20MCA001').branch, 'MCA');
+  assert.equal(parseRegisterNo('nope'), null);
+});
+
+test('errors keep the v1 shape on /api and use { code, message, details } on /api/v2', () => {
+  const v1 = sendError(fakeRes(undefined), 400, 'INVALID_SCHEME', 'Invalid scheme', { expected: ['2019'] });
+  assert.equal(v1.statusCode, 400);
+  assert.deepEqual(v1.body, { error: 'Invalid scheme', expected: ['2019'] });
+
+  const v2 = sendError(fakeRes(2), 400, 'INVALID_SCHEME', 'Invalid scheme', { expected: ['2019'] });
+  assert.deepEqual(v2.body, { error: { code: 'INVALID_SCHEME', message: 'Invalid scheme', details: { expected: ['2019'] } } });
+  assert.deepEqual(sendError(fakeRes(2), 404, 'NOT_FOUND', 'Webhook not found').body, { error: { code: 'NOT_FOUND', message: 'Webhook not found' } });
+  assert.deepEqual(check('GET', '/webhooks', 404, v2.body), []);
+});
+
+test('paths match literal routes before templated ones', () => {
+  assert.equal(validator.match('GET', '/exams/timetable.ics').template, '/exams/timetable.ics');
+  assert.deepEqual(validator.match('GET', '/exams/calendar/abc.def.ics').params, { token: 'abc.def' });
+  assert.deepEqual(validator.match('GET', '/results/LTVE21CS045').params, { registerNo: 'LTVE21CS045' });
+  assert.equal(validator.match('GET', '/results/batch/123').template, '/results/batch/{jobId}');
+  assert.equal(validator.match('PUT', '/profile'), null);
+  assert.equal(validator.match('GET', '/unknown'), null);
+});
+
+test('requests: params, query strings and bodies are checked against the document', () => {
+  const validate = (method, path, request) => validator.validateRequest(validator.match(method, path), request);
+
+  assert.deepEqual(validate('GET', '/results/LTVE21CS045', { query: { format: 'csv', refresh: 'true' } }), []);
+  assert.deepEqual(validate('GET', '/results/ABC20C001', {}).map(e => [e.in, e.path]), [['path', 'registerNo']]);
+  assert.deepEqual(validate('GET', '/announcements', { query: { page: '2', limit: '500' } }).map(e => [e.in, e.path]), [['query', 'limit']]);
+
+  assert.deepEqual(validate('POST', '/auth/login', { body: { registerNo: 'ABC20CS001', password: 'pw' } }), []);
+  assert.deepEqual(validate('POST', '/auth/login', { body: { registerNo: 'ABC20CS001' } }).map(e => e.path), ['password']);
+  assert.deepEqual(validate('POST', '/auth/login', { body: {} }).map(e => e.message), ['request body is required']);
+  // Login-backed routes also take a Bearer token instead of body credentials
+  assert.deepEqual(validate('POST', '/attendance', { body: {} }), []);
+  assert.deepEqual(validate('POST', '/profile', { body: { threshold: 120, scheme: '2018' } }).map(e => e.path).sort(), ['scheme', 'threshold']);
+  // Form posts arrive as strings
+  assert.deepEqual(validate('POST', '/profile', { body: { registerNo: 'ABC20CS001', password: 'pw', threshold: '80' } }), []);
+});
+
+test('responses are only validated by default in development and test', t => {
+  const previous = process.env.NODE_ENV;
+  t.after(() => {
+    if (previous === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = previous;
+  });
+  const defaultFor = env => {
+    if (env === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = env;
+    return new OpenApiValidator(openapiSpec).responses;
+  };
+  assert.equal(defaultFor('production'), false);
+  assert.equal(defaultFor(undefined), false);
+  assert.equal(defaultFor('staging'), false);
+  assert.equal(defaultFor('test'), true);
+  assert.equal(defaultFor('development'), true);
+  assert.equal(new OpenApiValidator(openapiSpec, { responses: false }).responses, false);
+});
+
+test('malformed percent-encoding in a path is a 400, not a thrown URIError', () => {
+  const route = validator.match('GET', '/results/%E0%A4');
+  assert.equal(route.params.registerNo, null);
+  assert.deepEqual(validator.validateRequest(route, {}).map(e => [e.in, e.path]), [['path', 'registerNo']]);
+
+  const res = fakeRes(2);
+  let called = false;
+  validator.middleware()({ method: 'GET', path: '/results/%E0%A4', query: {} }, res, () => { called = true; });
+  assert.equal(called, false);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error.code, 'VALIDATION_FAILED');
+});
+
+test('profile built from the fixture matches the Profile schema', async () => {
+  const sections = parseProfile(fixture('profile.html'));
+  const { academicInfo, semesterResults } = gradeProfile(sections, '2019');
+  const rule = rulesFor('2019', 'regular');
+  const { credits, activityPoints } = applyRequirements(sections, rule);
+  const backlogs = trackBacklogs(semesterResults, '2019');
+  const attendance = await fetchAttendance({ fetch: async () => ({ data: fixture('attendance.html') }) }, 'ABC20CS001', 'pw', 75);
+  const profile = {
+    registerNo: 'ABC20CS001',
+    personalInfo: sections.personalInfo,
+    academicInfo,
+    attendance,
+    activityPoints,
+    credits,
+    semesterResults: semesterResults.map(sem => ({ ...sem, subjects: enrichSubjects(sem.subjects, '2019') })),
+    backlogs,
+    eligibility: evaluateEligibility({ credits, activityPoints, backlogs }, rule),
+  };
+
+  assert.deepEqual(check('POST', '/profile', 200, profile), []);
+  assert.deepEqual(check('POST', '/attendance', 200, attendance), []);
+  assert.deepEqual(check('POST', '/backlogs', 200, { registerNo: 'ABC20CS001', scheme: '2019', ...backlogs, cached: true }), []);
+
+  // semesterResults is a list of { semester, subjects[] }, not a flat course list
+  const flat = { ...profile, semesterResults: [{ courseCode: 'MAT101', courseName: 'LINEAR ALGEBRA AND CALCULUS' }] };
+  assert.ok(check('POST', '/profile', 200, flat).some(e => e.path === 'response.semesterResults.0.semester'));
+});
+
+test('results, timetable, announcements and curriculum match their schemas', () => {
+  const results = { registerNo: 'ABC20CS001', ...parseResults(fixture('results.html')), fetchedFrom: 'https://app.ktu.edu.in/public/results' };
+  results.results = results.results.map(exam => ({ ...exam, subjects: enrichSubjects(exam.subjects, '2019') }));
+  assert.ok(results.results.length);
+  assert.deepEqual(check('GET', '/results/ABC20CS001', 200, results), []);
+
+  const entries = filterTimetable(parseTimetable(fixture('timetable.html')));
+  assert.deepEqual(check('GET', '/exams/timetable', 200, { entries, count: entries.length, exams: [...new Set(entries.map(e => e.exam))] }), []);
+
+  const announcements = parseAnnouncements(fixture('announcements.html'));
+  const list = { announcements, count: announcements.length, page: 1, limit: 20, hasMore: false, portalPages: 1, lastUpdated: new Date().toISOString() };
+  assert.deepEqual(check('GET', '/announcements', 200, list), []);
+
+  assert.deepEqual(check('GET', '/courses/CST201', 200, findCourse('CST201')), []);
+  assert.deepEqual(check('GET', '/curriculum/2019/CS', 200, curriculumFor('2019', 'CS')), []);
+});
+
+test('responses with undocumented statuses or missing fields are reported', () => {
+  assert.ok(check('GET', '/courses/CST201', 200, { code: 'CST201' }).length);
+  // Undocumented statuses are held to the error response
+  assert.deepEqual(check('DELETE', '/webhooks/1', 200, {}).map(e => e.path), ['response.error']);
+  assert.ok(check('GET', '/webhooks', 500, { error: 'Failed to list webhooks' }).length);
+});
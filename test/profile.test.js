@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { fixture } from './helpers.js';
+import {
+  parseProfile,
+  parsePersonalInfo,
+  parseAcademicInfo,
+  parseActivityPoints,
+  parseCredits,
+  parseSemesterResults,
+} from '../lib/parsers/index.js';
+
+const html = fixture('profile.html');
+
+test('personal info', () => {
+  assert.deepEqual(parsePersonalInfo(html), {
+    name: 'JOHN DOE',
+    admissionNo: 'ABC20001',
+    gender: 'Male',
+    dob: '01/02/2002',
+    branch: 'Computer Science and Engineering',
+    semester: 'S6',
+    batch: '',
+    college: 'ABC College of Engineering',
+  });
+});
+
+test('academic info takes the portal CGPA and the last SGPA', () => {
+  assert.deepEqual(parseAcademicInfo(html), { cgpa: '8.50', sgpa: '8.68', percentage: '' });
+});
+
+test('activity points breakdown excludes the total row', () => {
+  const points = parseActivityPoints(html);
+  assert.equal(points.total, '85');
+  assert.deepEqual(points.breakdown.map(b => b.points), [40, 20, 25]);
+});
+
+test('credits sum the earned column', () => {
+  assert.equal(parseCredits(html).earned, '19');
+});
+
+test('semester results group courses by semester', () => {
+  const semesters = parseSemesterResults(html);
+  assert.deepEqual(semesters.map(s => s.semester), ['S1', 'S2']);
+  assert.deepEqual(semesters.map(s => s.portalSgpa), ['6.00', '8.68']);
+  assert.deepEqual(semesters[0].subjects[0], { code: 'MAT101', name: 'LINEAR ALGEBRA AND CALCULUS', credits: '4', grade: 'A', gradePoint: '' });
+  assert.equal(semesters[1].subjects[2].grade, 'C');
+});
+
+test('parseProfile runs only the requested sections on one parse', () => {
+  const $ = cheerio.load(html);
+  const profile = parseProfile($, ['personalInfo', 'credits']);
+  assert.deepEqual(Object.keys(profile), ['personalInfo', 'credits']);
+  assert.throws(() => parseProfile(html, ['nope']), /Unknown profile section/);
+});
+
+test('empty page yields empty values instead of throwing', () => {
+  const profile = parseProfile('<html></html>');
+  assert.equal(profile.personalInfo.name, '');
+  assert.equal(profile.academicInfo.cgpa, '');
+  assert.deepEqual(profile.semesterResults, []);
+});
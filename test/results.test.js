@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture } from './helpers.js';
+import { parseResults } from '../lib/parsers/index.js';
+
+test('public results page', () => {
+  const { studentName, results } = parseResults(fixture('results.html'));
+  assert.equal(studentName, 'JOHN DOE');
+  assert.equal(results.length, 2);
+  assert.equal(results[0].examName, 'B.Tech S1 (R,S) Exam December 2020');
+  assert.equal(results[0].sgpa, '7.82');
+  assert.equal(results[1].sgpa, 'N/A');
+  assert.deepEqual(results[0].subjects[2], { code: 'EST100', name: 'ENGINEERING MECHANICS', credits: '3', grade: 'F', gradePoint: '0' });
+});
+
+test('page without results', () => {
+  assert.deepEqual(parseResults('<html><body>No records</body></html>'), { studentName: 'Name not available', results: [] });
+});
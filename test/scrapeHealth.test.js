@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture } from './helpers.js';
+import { parseProfile, parseResults, parseAttendanceTable } from '../lib/parsers/index.js';
+import { onSelectorReport } from '../lib/parsers/load.js';
+import { ScrapeMonitor, driftFields, findDrift, upstreamLabel } from '../lib/scrapeHealth.js';
+import { metricsRegistry } from '../lib/metrics.js';
+
+// A fresh monitor fed by the parsers while `fn` runs
+function monitored(fn) {
+  const monitor = new ScrapeMonitor();
+  const unsubscribe = onSelectorReport((section, matches, data) => monitor.parsed(section, matches, data));
+  try {
+    fn();
+  } finally {
+    unsubscribe();
+  }
+  return monitor.report();
+}
+
+test('parsers report which selectors matched on the fixtures', () => {
+  const report = monitored(() => {
+    parseProfile(fixture('profile.html'));
+    parseResults(fixture('results.html'));
+    parseAttendanceTable(fixture('attendance.html'));
+  });
+
+  assert.deepEqual(report.degraded, []);
+  for (const section of ['personalInfo', 'academicInfo', 'semesterResults', 'results', 'attendance', 'activityPoints', 'credits']) {
+    assert.equal(report.sections[section].status, 'ok', section);
+    assert.deepEqual(report.sections[section].unmatchedSelectors, [], section);
+  }
+  assert.ok(report.sections.semesterResults.selectors.courseRows > 0);
+  // Sections nothing was parsed for yet
+  assert.equal(report.sections.timetable.status, 'unknown');
+});
+
+test('a changed layout degrades the section until it parses cleanly again', () => {
+  const html = fixture('profile.html');
+  const monitor = new ScrapeMonitor();
+  const unsubscribe = onSelectorReport((section, matches, data) => monitor.parsed(section, matches, data));
+  try {
+    const drifted = parseProfile(html.replaceAll('view-badge', 'info-badge'), ['personalInfo', 'academicInfo']);
+    assert.deepEqual(findDrift(drifted), ['personalInfo.branch', 'personalInfo.semester', 'academicInfo.cgpa']);
+
+    let report = monitor.report();
+    assert.deepEqual(report.degraded, ['personalInfo', 'academicInfo']);
+    assert.deepEqual(report.sections.personalInfo.emptyFields, ['branch', 'semester']);
+    assert.deepEqual(report.sections.academicInfo.unmatchedSelectors, ['CGPA']);
+    assert.ok(report.sections.personalInfo.lastDriftAt);
+
+    parseProfile(html, ['personalInfo', 'academicInfo']);
+    report = monitor.report();
+    assert.deepEqual(report.degraded, []);
+    assert.equal(report.sections.personalInfo.checks, 2);
+    assert.equal(report.sections.personalInfo.drifted, 1);
+  } finally {
+    unsubscribe();
+  }
+});
+
+test('drift rules: empty and placeholder values count, empty lists do not', () => {
+  assert.deepEqual(driftFields('results', { studentName: 'Name not available', results: [] }), []);
+  assert.deepEqual(driftFields('results', { results: [{ examName: 'S1', subjects: [{ code: 'MAT101', grade: 'A' }, { code: 'PHT100', grade: ' ' }] }] }), ['results[].subjects[].grade']);
+  assert.deepEqual(driftFields('attendance', [{ subject: 'MAT101', percentage: '' }]), ['percentage']);
+  assert.deepEqual(driftFields('personalInfo', { name: 'N/A', admissionNo: '1', branch: 'CS', semester: 'S3' }), ['name']);
+  assert.deepEqual(driftFields('credits', {}), []);
+});
+
+test('upstream labels drop the query and register numbers', () => {
+  assert.equal(upstreamLabel('https://app.ktu.edu.in/public/results?registerNo=ABC20CS001'), 'app.ktu.edu.in/public/results');
+  assert.equal(upstreamLabel('https://app.ktu.edu.in/public/studentresults/LTVE21CS045'), 'app.ktu.edu.in/public/studentresults/:registerNo');
+  assert.equal(upstreamLabel('not a url'), 'invalid-url');
+});
+
+test('request attempts are tracked per upstream and exported as metrics', async () => {
+  const monitor = new ScrapeMonitor();
+  const url = 'https://results.ktu.edu.in/results?registerNo=ABC20CS001';
+  monitor.attempt(url, { durationMs: 120, ok: false, error: { code: 'ECONNRESET', message: 'socket hang up' }, last: false });
+  monitor.attempt(url, { durationMs: 80, ok: false, status: 503, retry: true });
+
+  const upstream = monitor.report().upstreams['results.ktu.edu.in/results'];
+  assert.equal(upstream.status, 'failing');
+  assert.equal(upstream.requests, 1);
+  assert.equal(upstream.failures, 1);
+  assert.equal(upstream.retries, 1);
+  assert.equal(upstream.averageLatencyMs, 100);
+  assert.equal(upstream.lastError, 'HTTP 503');
+
+  monitor.attempt(url, { durationMs: 50, ok: true, status: 200 });
+  assert.equal(monitor.report().upstreams['results.ktu.edu.in/results'].status, 'ok');
+
+  const text = await metricsRegistry.metrics();
+  assert.match(text, /ktu_upstream_failures_total\{upstream="results\.ktu\.edu\.in\/results",reason="http_503"\} 1/);
+  assert.match(text, /ktu_upstream_retries_total\{upstream="results\.ktu\.edu\.in\/results"\} 1/);
+  assert.match(text, /ktu_upstream_request_duration_seconds_count\{upstream="results\.ktu\.edu\.in\/results",outcome="success"\} 1/);
+  assert.match(text, /ktu_parser_selector_matches\{section="personalInfo",selector="profileTitle"\} 1/);
+  assert.doesNotMatch(text, /ABC20CS001/);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BrowserPool } from '../lib/browserPool.js';
+import { SessionManager, isLoginPage } from '../lib/session.js';
+
+const fakeBrowser = () => ({ connected: true, close: async () => {} });
+
+test('browser pool never exceeds its size', async () => {
+  let launched = 0;
+  const pool = new BrowserPool({ size: 2, idleTimeout: 10, launch: async () => { launched++; return fakeBrowser(); } });
+  let concurrent = 0;
+  let peak = 0;
+  await Promise.all([...Array(6)].map(() => pool.withBrowser(async () => {
+    peak = Math.max(peak, ++concurrent);
+    await new Promise(r => setTimeout(r, 5));
+    concurrent--;
+  })));
+  assert.equal(launched, 2);
+  assert.equal(peak, 2);
+  await pool.close();
+});
+
+test('closing the pool closes checked-out browsers and rejects waiters', async () => {
+  const closed = [];
+  const browser = () => ({ connected: true, close: async function () { closed.push(this); } });
+  const pool = new BrowserPool({ size: 1, idleTimeout: 1000, launch: async () => browser() });
+
+  const held = await pool.acquire();
+  const waiting = pool.acquire();
+  await pool.close();
+
+  await assert.rejects(waiting, /closed/);
+  assert.deepEqual(closed, [held]);
+  assert.deepEqual(pool.stats(), { size: 1, active: 0, idle: 0, inUse: 0, waiting: 0 });
+
+  // Releasing after shutdown must not pool (or close) the browser again
+  pool.release(held);
+  assert.equal(closed.length, 1);
+  assert.equal(pool.stats().idle, 0);
+  await assert.rejects(pool.acquire(), /closed/);
+});
+
+test('browser pool reuses idle browsers and discards disconnected ones', async () => {
+  let launched = 0;
+  const pool = new BrowserPool({ size: 1, idleTimeout: 1000, launch: async () => { launched++; return fakeBrowser(); } });
+
+  const first = await pool.acquire();
+  pool.release(first);
+  assert.equal(await pool.acquire(), first);
+
+  first.connected = false;
+  pool.release(first);
+  const second = await pool.acquire();
+  assert.notEqual(second, first);
+  assert.equal(launched, 2);
+  pool.release(second);
+  await pool.close();
+});
+
+test('session manager shares one login and checks the password', async () => {
+  let logins = 0;
+  const pool = new BrowserPool({ size: 1, idleTimeout: 10, launch: async () => fakeBrowser() });
+  const sessions = new SessionManager({
+    pool,
+    login: async (browser, registerNo, password) => {
+      logins++;
+      return password === 'right' ? [{ name: 'JSESSIONID', value: 'abc' }] : null;
+    },
+  });
+
+  const [a, b] = await Promise.all([sessions.get('abc20cs001', 'right'), sessions.get('ABC20CS001', 'right')]);
+  assert.equal(logins, 1);
+  assert.equal(a, b);
+
+  assert.equal(await sessions.get('ABC20CS001', 'wrong'), null);
+  assert.equal(await sessions.get('ABC20CS001', 'right'), a, 'failed login must not evict the valid session');
+  await pool.close();
+});
+
+test('session manager logs in again once a session has expired', async () => {
+  let logins = 0;
+  const pool = new BrowserPool({ size: 1, idleTimeout: 10, launch: async () => fakeBrowser() });
+  const sessions = new SessionManager({ pool, login: async () => [{ name: 'JSESSIONID', value: String(++logins) }] });
+
+  const first = await sessions.get('ABC20CS001', 'right');
+  assert.equal(await sessions.get('ABC20CS001', 'right'), first);
+  first.lastUsed -= sessions.ttl;
+  const second = await sessions.get('ABC20CS001', 'right');
+  assert.notEqual(second, first);
+  assert.equal(logins, 2);
+
+  sessions.invalidate('abc20cs001');
+  assert.equal(sessions.stats().sessions, 0);
+  await pool.close();
+});
+
+test('login page detection', () => {
+  assert.equal(isLoginPage({ request: { res: { responseUrl: 'https://app.ktu.edu.in/login.jsp' } }, data: '' }), true);
+  assert.equal(isLoginPage({ data: '<input name="CSRF_TOKEN"><input name="password">' }), true);
+  assert.equal(isLoginPage({ data: '<div class="profile-title">X</div>' }), false);
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import http from 'http';
+import path from 'path';
+import { WebhookManager, sign, isPublicAddress, isPublicCallback, resolveCallback } from '../lib/webhooks.js';
+import { diffAnnouncements } from '../lib/diff.js';
+
+async function withManager(options, fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'ktu-webhooks-'));
+  try {
+    // example.test does not resolve; address checks have their own test
+    const resolveUrl = async () => ({ address: '192.0.2.1', family: 4 });
+    await fn(new WebhookManager({ file: path.join(dir, 'webhooks.json'), retryDelay: 1, resolveUrl, ...options }));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('new announcements are diffed by title and date', () => {
+  const a = { title: 'A', date: '1' };
+  const b = { title: 'B', date: '2' };
+  assert.deepEqual(diffAnnouncements([a], [b, a]), [{ kind: 'announcement_published', ...b }]);
+});
+
+test('first poll records a baseline, later polls deliver signed changes', async () => {
+  let announcements = [{ title: 'Old', date: '1' }];
+  const delivered = [];
+  await withManager({
+    fetchers: { announcements: async () => announcements },
+    post: async (url, body, headers) => delivered.push({ url, body, headers }),
+  }, async manager => {
+    const sub = await manager.subscribe({ url: 'http://example.test/hook', event: 'announcements' });
+    await manager.poll();
+    assert.equal(delivered.length, 0);
+
+    announcements = [{ title: 'New', date: '2' }, ...announcements];
+    await manager.poll();
+    assert.equal(delivered.length, 1);
+    const { body, headers } = delivered[0];
+    assert.equal(headers['X-KTU-Signature'], sign(sub.secret, body));
+    const payload = JSON.parse(body);
+    assert.equal(payload.event, 'announcements.new');
+    assert.deepEqual(payload.changes.map(c => c.title), ['New']);
+
+    assert.equal((await manager.list())[0].secret, undefined);
+  });
+});
+
+test('results subscriptions are polled per register number and retried on failure', async () => {
+  let exams = [];
+  let attempts = 0;
+  const fetched = [];
+  await withManager({
+    maxRetries: 2,
+    fetchers: { results: async registerNo => { fetched.push(registerNo); return { results: exams }; } },
+    post: async () => {
+      attempts++;
+      if (attempts < 3) throw new Error('connection refused');
+    },
+  }, async manager => {
+    await manager.subscribe({ url: 'http://example.test/a', event: 'results', registerNo: 'abc20cs001' });
+    await manager.subscribe({ url: 'http://example.test/b', event: 'results', registerNo: 'ABC20CS001', secret: 'x'.repeat(16) });
+    assert.equal(await manager.watches('abc20cs001'), true);
+    assert.equal(await manager.watches('ABC20CS002'), false);
+    await manager.poll();
+    assert.deepEqual(fetched, ['ABC20CS001']);
+
+    exams = [{ examName: 'S1 Dec 2020', sgpa: '8', subjects: [] }];
+    await manager.poll();
+    assert.equal(attempts, 4); // two failed attempts, then one success per subscriber
+  });
+});
+
+test('unsubscribe removes the subscription and its target state', async () => {
+  await withManager({ fetchers: { announcements: async () => [] } }, async manager => {
+    const sub = await manager.subscribe({ url: 'http://example.test/hook', event: 'announcements' });
+    await manager.poll();
+    assert.equal(await manager.unsubscribe(sub.id), true);
+    assert.equal(await manager.unsubscribe(sub.id), false);
+    assert.deepEqual(manager.state.targets, {});
+  });
+});
+
+test('concurrent subscriptions are all persisted', async () => {
+  await withManager({ fetchers: {} }, async manager => {
+    await Promise.all(Array.from({ length: 10 }, (_, i) => manager.subscribe({ url: `http://example.test/${i}`, event: 'announcements' })));
+    const stored = JSON.parse(await readFile(manager.file, 'utf8'));
+    assert.equal(stored.subscriptions.length, 10);
+  });
+});
+
+test('subscriptions are listed and removed per owner', async () => {
+  await withManager({ fetchers: {} }, async manager => {
+    const mine = await manager.subscribe({ url: 'http://example.test/a', event: 'announcements', owner: 'key:a' });
+    const theirs = await manager.subscribe({ url: 'http://example.test/b', event: 'announcements', owner: 'key:b' });
+    assert.equal(mine.owner, undefined);
+
+    assert.deepEqual((await manager.list('key:a')).map(s => s.id), [mine.id]);
+    assert.equal((await manager.list()).length, 2);
+    assert.equal(await manager.unsubscribe(theirs.id, 'key:a'), false);
+    assert.equal(await manager.unsubscribe(theirs.id, 'key:b'), true);
+  });
+});
+
+test('callbacks must resolve to public addresses', async () => {
+  for (const address of ['127.0.0.1', '10.0.0.5', '172.16.3.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700::1111']) assert.equal(isPublicAddress(address), true, address);
+
+  assert.equal(await isPublicCallback('http://localhost:3000/hook'), false);
+  assert.equal(await isPublicCallback('http://[::1]/hook'), false);
+  assert.equal(await isPublicCallback('http://169.254.169.254/latest/meta-data'), false);
+  assert.equal(await isPublicCallback('ftp://8.8.8.8/hook'), false);
+  assert.equal(await isPublicCallback('https://8.8.8.8/hook'), true);
+  assert.deepEqual(await resolveCallback('http://127.0.0.1/hook', { allowPrivate: true }), { address: '127.0.0.1', family: 4 });
+
+  // Checked again at delivery time
+  const posted = [];
+  const resolveUrl = async url => (url.includes('internal') ? null : { address: '192.0.2.1', family: 4 });
+  await withManager({ fetchers: {}, resolveUrl, post: async url => posted.push(url) }, async manager => {
+    const sub = await manager.subscribe({ url: 'http://internal.test/hook', event: 'announcements' });
+    assert.equal(await manager.deliver({ ...sub }, { id: '1', event: 'announcements.new' }), false);
+    assert.deepEqual(posted, []);
+  });
+});
+
+test('deliveries connect to the checked address, not a fresh lookup of the host', async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    received.push(req.headers.host);
+    req.resume();
+    req.on('end', () => res.end('ok'));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const { port } = server.address();
+    // rebound.test does not resolve at all; the checked address is all the post may use
+    await withManager({ fetchers: {}, resolveUrl: async () => ({ address: '127.0.0.1', family: 4 }) }, async manager => {
+      const sub = await manager.subscribe({ url: `http://rebound.test:${port}/hook`, event: 'announcements' });
+      assert.equal(await manager.deliver(sub, { id: '1', event: 'announcements.new' }), true);
+    });
+    assert.deepEqual(received, [`rebound.test:${port}`]);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('polls without changes leave the store alone', async () => {
+  await withManager({ fetchers: { announcements: async () => [{ title: 'Old', date: '1' }] } }, async manager => {
+    await manager.poll();
+    await assert.rejects(stat(manager.file), { code: 'ENOENT' });
+
+    await manager.subscribe({ url: 'http://example.test/hook', event: 'announcements' });
+    await manager.poll();
+    const baseline = await readFile(manager.file, 'utf8');
+    await manager.poll();
+    assert.equal(await readFile(manager.file, 'utf8'), baseline);
+  });
+});